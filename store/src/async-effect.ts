@@ -0,0 +1,54 @@
+import { type EffectConfig, type EffectOptions, effect } from './effect';
+import { activeScope } from './globals';
+import { reportError } from './scope';
+import type { EffectCleanup } from './types';
+
+/**
+ * Creates an effect with an async callback
+ * Reads before the first await are tracked. The AbortSignal aborts when the effect re-runs or is disposed
+ * (a ONCE effect keeps it open until dispose), a cleanup the callback resolves to runs once its promise settled.
+ * Rejections of runs that were not aborted go to the error handlers of the scope like errors of synchronous effects.
+ */
+export const asyncEffect = (
+    // biome-ignore lint/suspicious/noConfusingVoidType: void is semantically correct here - callback may resolve to nothing or a cleanup function
+    callback: (abortSignal: AbortSignal) => PromiseLike<void | EffectCleanup>,
+    options?: EffectOptions | EffectConfig
+): (() => void) => {
+    const effectScope = activeScope;
+
+    return effect(() => {
+        const controller = new AbortController();
+        const abortSignal = controller.signal;
+        let cleanup: unknown;
+        let settled = false;
+        let cancelled = false;
+
+        Promise.resolve(callback(abortSignal))
+            .then(
+                value => {
+                    settled = true;
+                    cleanup = value;
+                    // The effect re-ran or was disposed while the promise was pending
+                    if (cancelled && typeof cleanup === 'function') {
+                        cleanup();
+                    }
+                },
+                e => {
+                    settled = true;
+                    // Errors of aborted runs are expected (e.g. an aborted fetch)
+                    if (!abortSignal.aborted) {
+                        throw e;
+                    }
+                }
+            )
+            .catch(e => reportError(effectScope, e));
+
+        return () => {
+            controller.abort();
+            cancelled = true;
+            if (settled && typeof cleanup === 'function') {
+                cleanup();
+            }
+        };
+    }, options);
+};
@@ -1,4 +1,7 @@
+import { DEV } from 'esm-env';
+
 import {
+    addDependent,
     checkComputedSources,
     clearSources,
     createSourceEntry,
@@ -10,11 +13,14 @@ import {
     runWithTracking,
     setTracked,
     tracked,
+    untracked,
 } from './core';
-import { cycleMessage } from './debug';
+import { cycleMessage, inspectHooks, warnIfDisposedRead } from './debug';
 import { Flag } from './flags';
+import { activeScope } from './globals';
+import { ownSymbol } from './symbols';
 import type { ReactiveNode, SourceEntry } from './internal-types';
-import type { Computed } from './types';
+import type { Computed, WritableComputed } from './types';
 
 /**
  * Read function for computed nodes
@@ -42,7 +48,7 @@ export function computedRead<T>(self: ReactiveNode): T {
 
             // Only register with source if we're live
             if ((currentComputing.$_flags & (Flag.EFFECT | Flag.LIVE)) !== 0) {
-                (deps as DepsSet<ReactiveNode>).add(currentComputing);
+                addDependent(deps as DepsSet<ReactiveNode>, currentComputing);
                 // If source computed is not live, make it live
                 if ((self.$_flags & Flag.LIVE) === 0) {
                     makeLive(self);
@@ -212,6 +218,26 @@ export function computedRead<T>(self: ReactiveNode): T {
     return self.$_value as T;
 }
 
+/**
+ * Computeds detached by a disposed scope, reads of them warn in DEV
+ */
+const detachedNodes = DEV ? new WeakSet<ReactiveNode>() : undefined;
+
+/**
+ * Detach a computed owned by a disposed scope
+ * Removes it from the deps of its sources; the next recomputation (if it was stale) runs
+ * untracked, so the node never links to sources again
+ */
+export const detachComputed = (node: ReactiveNode): void => {
+    clearSources(node);
+    node.$_flags &= ~Flag.LIVE;
+    const getter = node.$_fn as () => unknown;
+    node.$_fn = () => untracked(getter);
+    if (DEV) {
+        (detachedNodes as WeakSet<ReactiveNode>).add(node);
+    }
+};
+
 /**
  * Creates a computed value that automatically tracks dependencies and caches results
  */
@@ -228,5 +254,46 @@ export const computed = <T>(getter: () => T, equals: (a: T, b: T) => boolean = O
         $_equals: equals,
     } as ReactiveNode;
 
-    return () => computedRead(node);
+    let read = () => computedRead<T>(node);
+
+    // Owned by the active scope (see ScopeOptions.ownComputeds)
+    const own = activeScope?.[ownSymbol] as ((node: ReactiveNode) => void) | undefined;
+    if (own !== undefined) {
+        own(node);
+        if (DEV) {
+            read = () => {
+                warnIfDisposedRead((detachedNodes as WeakSet<ReactiveNode>).has(node));
+                return computedRead<T>(node);
+            };
+        }
+    }
+
+    if (DEV && inspectHooks !== undefined) {
+        inspectHooks.$_node('computed', read, node);
+    }
+
+    return read;
+};
+
+/**
+ * Creates a computed value with a setter
+ * Reads behave exactly like computed(); set() forwards the value to the setter,
+ * which is expected to write the sources the getter depends on
+ */
+export const writableComputed = <T>(
+    getter: () => T,
+    setter: (value: T) => void,
+    equals: (a: T, b: T) => boolean = Object.is
+): WritableComputed<T> => {
+    const read = computed(getter, equals) as WritableComputed<T>;
+
+    /**
+     * Write through the setter
+     * Runs untracked so reads inside the setter don't subscribe the caller
+     */
+    read.set = (value: T): void => {
+        untracked(() => setter(value));
+    };
+
+    return read;
 };
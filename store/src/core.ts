@@ -12,11 +12,15 @@
  *   - Update cached value and version
  */
 
+import { DEV } from 'esm-env';
+
 import { computedRead } from './computed';
+import { inspectHooks, traceRuns } from './debug';
 import { Flag } from './flags';
 import { scheduler } from './globals';
+import { createIdleFlush } from './idle';
 import { unwrap } from './symbols';
-import type { ReactiveNode, SourceEntry } from './internal-types';
+import type { InspectHooks, Lane, ReactiveNode, SourceEntry } from './internal-types';
 
 /**
  * No-op getter used as default for DepsSet.$_getter to ensure all DepsSet
@@ -27,24 +31,59 @@ import type { ReactiveNode, SourceEntry } from './internal-types';
 /* v8 ignore next -- @preserve */
 export const noopGetter = (): unknown => undefined;
 
+/**
+ * No-op watcher used as default for DepsSet.$_watcher for the same reason as
+ * noopGetter: every DepsSet carries a function in this field.
+ */
+/* v8 ignore next -- @preserve */
+export const noopWatcher = (_observed: boolean): void => {};
+
 /**
  * DepsSet extends Set with $_version and $_getter properties for dependency
  * tracking. Using a class ensures all instances share the same V8 hidden class,
  * avoiding hidden class transitions and field constness changes.
  *
- * IMPORTANT: $_getter always defaults to a no-op function (never undefined)
- * so that all DepsSet instances share the same V8 field representation.
+ * $_watcher is called with `true` when the set gains its first live dependent
+ * and with `false` when it loses the last one (see addDependent/removeDependent).
+ *
+ * IMPORTANT: $_getter and $_watcher always default to no-op functions (never
+ * undefined) so that all DepsSet instances share the same V8 field representation.
  * This prevents "dependent field representation changed" deopts.
  */
 export class DepsSet<T> extends Set<T> {
     $_version = 0;
     $_getter: () => unknown;
-    constructor(getter: () => unknown) {
+    $_watcher: (observed: boolean) => void;
+    constructor(getter: () => unknown, watcher: (observed: boolean) => void = noopWatcher) {
         super();
         this.$_getter = getter;
+        this.$_watcher = watcher;
     }
 }
 
+/**
+ * Register a live dependent with a deps set
+ * Notifies the set's watcher when it becomes observed (first live dependent)
+ */
+export const addDependent = (deps: DepsSet<ReactiveNode>, node: ReactiveNode): void => {
+    if (deps.size === 0) {
+        deps.add(node);
+        deps.$_watcher(true);
+    } else {
+        deps.add(node);
+    }
+};
+
+/**
+ * Unregister a dependent from a deps set
+ * Notifies the set's watcher when it becomes unobserved (last live dependent left)
+ */
+export const removeDependent = (deps: DepsSet<ReactiveNode>, node: ReactiveNode): void => {
+    if (deps.delete(node) && deps.size === 0) {
+        deps.$_watcher(false);
+    }
+};
+
 /**
  * Factory for creating source entries (unified allocation site).
  *
@@ -76,17 +115,32 @@ export const createSourceEntry = (
 
 let flushScheduled = false;
 
+let flushingSync = false;
+
 /**
  * Global version counter - increments on every signal/state write
  * Used for fast-path: if globalVersion hasn't changed since last read, skip all checks
  */
 export let globalVersion = 1;
 
-export const batched: ReactiveNode[] = [];
-
-let lastAddedId = 0;
+// Indices of lanes (values of EffectPriority)
+// biome-ignore lint/suspicious/noConstEnum: optimization
+const enum Priority {
+    SYNC = 0,
+    USER_BLOCKING = 1,
+    NORMAL = 2,
+    IDLE = 3,
+}
 
-let needsSort = false;
+/**
+ * Lanes in the order they are drained
+ */
+const lanes: Lane[] = [
+    { $_nodes: [], $_lastAddedId: 0, $_needsSort: false },
+    { $_nodes: [], $_lastAddedId: 0, $_needsSort: false },
+    { $_nodes: [], $_lastAddedId: 0, $_needsSort: false },
+    { $_nodes: [], $_lastAddedId: 0, $_needsSort: false },
+];
 
 // Computation tracking state
 export let currentComputing: ReactiveNode | undefined;
@@ -100,28 +154,64 @@ export const setTracked = (value: boolean) => {
 };
 
 /**
- * Add an effect to the batched set
+ * Add an effect to the lane of its priority and schedule the flush of the lane
  * PUSH PHASE: Part of effect scheduling during dirty propagation
  * Caller must check Flag.NEEDS_WORK before calling to avoid duplicates
  */
 export const batchedAdd = (node: ReactiveNode): void => {
+    const priority = (node.$_flags & Flag.PRIORITY) >>> Flag.PRIORITY_SHIFT;
+    const lane = lanes[priority] as Lane;
     const nodeId = node.$_stamp;
     // Track if we're adding out of order
-    if (nodeId < lastAddedId) {
-        needsSort = true;
+    if (nodeId < lane.$_lastAddedId) {
+        lane.$_needsSort = true;
     }
-    lastAddedId = nodeId;
-    batched.push(node);
+    lane.$_lastAddedId = nodeId;
+    lane.$_nodes.push(node);
+    scheduleLane(priority);
 };
 
 /**
- * Add a newly created effect to the batched set
+ * Add a newly created effect to the lane of its priority and schedule the flush of the lane
  * Used during effect creation - new effects always have the highest ID
  * so we unconditionally update lastAddedId without checking order
  */
 export const batchedAddNew = (node: ReactiveNode, effectId: number): void => {
-    lastAddedId = effectId;
-    batched.push(node);
+    const priority = (node.$_flags & Flag.PRIORITY) >>> Flag.PRIORITY_SHIFT;
+    const lane = lanes[priority] as Lane;
+    lane.$_lastAddedId = effectId;
+    lane.$_nodes.push(node);
+    scheduleLane(priority);
+};
+
+/**
+ * Take the scheduled effects of a lane in creation order
+ * Use a copy of the array for execution to allow re-scheduling
+ */
+const takeLane = (lane: Lane): ReactiveNode[] => {
+    const nodes = lane.$_nodes.slice();
+    lane.$_nodes.length = 0;
+
+    if (lane.$_needsSort) {
+        nodes.sort((a, b) => a.$_stamp - b.$_stamp);
+    }
+
+    lane.$_lastAddedId = 0;
+    lane.$_needsSort = false;
+    return nodes;
+};
+
+/**
+ * Run an effect, logging errors so one failing effect does not stop the others
+ * Call $_fn on the node instead of calling nodes directly as functions
+ * This enables effect nodes to be plain objects (same hidden class as computed)
+ */
+const runNode = (node: ReactiveNode): void => {
+    try {
+        node.$_fn?.();
+    } catch (e) {
+        console.error(e);
+    }
 };
 
 /**
@@ -144,7 +234,7 @@ export const makeLive = (node: ReactiveNode): void => {
     const nodeSources = node.$_sources;
     for (let i = 0, len = nodeSources.length; i < len; ++i) {
         const { $_dependents, $_node: sourceNode } = nodeSources[i] as SourceEntry;
-        $_dependents.add(node);
+        addDependent($_dependents as DepsSet<ReactiveNode>, node);
         if (sourceNode !== undefined && (sourceNode.$_flags & (Flag.EFFECT | Flag.LIVE)) === 0) {
             makeLive(sourceNode);
         }
@@ -161,7 +251,7 @@ export const makeNonLive = (node: ReactiveNode): void => {
     const nodeSources = node.$_sources;
     for (let i = 0, len = nodeSources.length; i < len; ++i) {
         const { $_dependents, $_node: sourceNode } = nodeSources[i] as SourceEntry;
-        $_dependents.delete(node);
+        removeDependent($_dependents as DepsSet<ReactiveNode>, node);
         // Check: has Flag.LIVE but not Flag.EFFECT (effects never become non-live)
         if (
             sourceNode !== undefined &&
@@ -192,7 +282,7 @@ export const clearSources = (node: ReactiveNode, fromIndex = 0): void => {
 
         if (!retained) {
             // Always remove from deps to prevent stale notifications
-            $_dependents.delete(node);
+            removeDependent($_dependents as DepsSet<ReactiveNode>, node);
             // If source is a computed and we're live, check if it became non-live
             if (
                 isLive &&
@@ -214,27 +304,84 @@ export const clearSources = (node: ReactiveNode, fromIndex = 0): void => {
  * PULL PHASE: Executes batched effects, each effect pulls its dependencies
  */
 export const flushEffects = (): void => {
-    flushScheduled = false;
-    // Collect nodes, only sort if effects were added out of order
-    // Use a copy of the array for execution to allow re-scheduling
-    const nodes = batched.slice();
-    batched.length = 0;
+    flushLanes(Priority.IDLE);
+};
 
-    if (needsSort) {
-        nodes.sort((a, b) => a.$_stamp - b.$_stamp);
+/**
+ * Run the effects of lanes up to and including the last priority, in lane order
+ */
+const flushLanes = (last: Priority): void => {
+    flushScheduled = false;
+    for (let priority: number = Priority.SYNC; priority <= last; ++priority) {
+        const nodes = takeLane(lanes[priority] as Lane);
+        for (let i = 0, len = nodes.length; i < len; ++i) {
+            runNode(nodes[i] as ReactiveNode);
+        }
     }
+};
 
-    lastAddedId = 0;
-    needsSort = false;
+/**
+ * Flush scheduled by the scheduler - idle effects wait for the idle scheduler
+ */
+const flushScheduledLanes = (): void => {
+    flushLanes(Priority.NORMAL);
+};
 
-    // Call $_fn on each node instead of calling nodes directly as functions
-    // This enables effect nodes to be plain objects (same hidden class as computed)
-    for (let i = 0, len = nodes.length; i < len; ++i) {
-        const node = nodes[i] as ReactiveNode;
-        try {
-            node.$_fn?.();
-        } catch (e) {
-            console.error(e);
+/**
+ * Schedules the time-sliced flush of the idle lane (see idle.ts), created with the first idle effect
+ */
+let scheduleIdleFlush: (() => void) | undefined;
+
+/**
+ * Run sync effects scheduled by a write
+ * Writes made by sync effects append to the lane and are picked up by the same loop.
+ * Effects still running further up the stack are put back and run after that run (see runSyncEffect).
+ */
+const flushSyncLane = (): void => {
+    flushingSync = true;
+    const lane = lanes[Priority.SYNC] as Lane;
+    let running: ReactiveNode[] | undefined;
+    try {
+        while (lane.$_nodes.length !== 0) {
+            const nodes = takeLane(lane);
+            for (let i = 0, len = nodes.length; i < len; ++i) {
+                const node = nodes[i] as ReactiveNode;
+                if ((node.$_flags & Flag.COMPUTING) !== 0) {
+                    if (running === undefined) {
+                        running = [];
+                    }
+                    running.push(node);
+                } else {
+                    runNode(node);
+                }
+            }
+        }
+    } finally {
+        flushingSync = false;
+        if (running !== undefined) {
+            lane.$_nodes.push(...running);
+            lane.$_needsSort = true;
+        }
+    }
+};
+
+/**
+ * Run a sync effect with the sync lane held: its writes only queue sync effects (itself included,
+ * it is still computing) and the lane is flushed after the run
+ * Used for every run of a sync effect, also the first and the ones outside of flushSyncLane
+ */
+export const runSyncEffect = (node: ReactiveNode, getter: () => void): void => {
+    if (flushingSync) {
+        runWithTracking(node, getter);
+        return;
+    }
+    flushingSync = true;
+    try {
+        runWithTracking(node, getter);
+    } finally {
+        flushingSync = false;
+        if ((lanes[Priority.SYNC] as Lane).$_nodes.length !== 0) {
+            flushSyncLane();
         }
     }
 };
@@ -243,10 +390,25 @@ export const flushEffects = (): void => {
  * Schedule flush via scheduler (default: microtask)
  * PUSH PHASE: Schedules the transition from push to pull phase
  */
-export const scheduleFlush = (): void => {
+const scheduleFlush = (): void => {
     if (!flushScheduled) {
         flushScheduled = true;
-        scheduler(flushEffects);
+        scheduler(flushScheduledLanes);
+    }
+};
+
+/**
+ * Schedule the flush of a lane: idle effects go to the idle scheduler,
+ * other lanes to the scheduler (sync effects also run at the end of the write that scheduled them)
+ */
+const scheduleLane = (priority: number): void => {
+    if (priority !== Priority.IDLE) {
+        scheduleFlush();
+    } else {
+        if (scheduleIdleFlush === undefined) {
+            scheduleIdleFlush = createIdleFlush(lanes[Priority.IDLE] as Lane, takeLane, runNode);
+        }
+        scheduleIdleFlush();
     }
 };
 
@@ -280,7 +442,7 @@ export const trackStateDependency = <T>(deps: DepsSet<ReactiveNode>, valueGetter
 
         // Only register with source if we're live
         if (((currentComputing as ReactiveNode).$_flags & (Flag.EFFECT | Flag.LIVE)) !== 0) {
-            deps.add(currentComputing as ReactiveNode);
+            addDependent(deps, currentComputing as ReactiveNode);
         }
     } else {
         // Same state source - update depsVersion, getter, and storedValue for accurate polling
@@ -300,6 +462,9 @@ export const trackStateDependency = <T>(deps: DepsSet<ReactiveNode>, valueGetter
  */
 export const markNeedsCheck = (node: ReactiveNode): void => {
     const flags = node.$_flags;
+    if (DEV && traceRuns !== undefined) {
+        (inspectHooks as InspectHooks).$_traceMark(node, flags);
+    }
     // Fast path: skip if already computing, dirty, or marked CHECK
     // (COMPUTING | DIRTY | CHECK) (bits 0, 1, 2)
     if ((flags & (Flag.COMPUTING | Flag.DIRTY | Flag.CHECK)) !== 0) {
@@ -308,7 +473,6 @@ export const markNeedsCheck = (node: ReactiveNode): void => {
         if ((flags & (Flag.COMPUTING | Flag.EFFECT | Flag.DIRTY)) === (Flag.COMPUTING | Flag.EFFECT)) {
             node.$_flags = flags | Flag.DIRTY;
             batchedAdd(node);
-            scheduleFlush();
         }
         return;
     }
@@ -316,11 +480,16 @@ export const markNeedsCheck = (node: ReactiveNode): void => {
     node.$_flags = flags | Flag.CHECK;
     if ((flags & Flag.EFFECT) !== 0) {
         batchedAdd(node);
-        scheduleFlush();
+    }
+    if (DEV && traceRuns !== undefined) {
+        (inspectHooks as InspectHooks).$_traceEnter(node);
     }
     for (const dep of node.$_deps) {
         markNeedsCheck(dep);
     }
+    if (DEV && traceRuns !== undefined) {
+        (inspectHooks as InspectHooks).$_traceLeave();
+    }
 };
 
 /**
@@ -331,9 +500,22 @@ export const markDependents = (deps: DepsSet<ReactiveNode>): void => {
     ++globalVersion;
     // Increment deps version for non-live computed polling
     ++deps.$_version;
+    if (DEV && traceRuns !== undefined) {
+        // The value is read for the trace only
+        const prevTracked = tracked;
+        tracked = false;
+        (inspectHooks as InspectHooks).$_traceSource(deps);
+        tracked = prevTracked;
+    }
     for (const dep of deps) {
         markNeedsCheck(dep);
     }
+    if (DEV && traceRuns !== undefined) {
+        (inspectHooks as InspectHooks).$_traceSource(undefined);
+    }
+    if (!flushingSync && (lanes[Priority.SYNC] as Lane).$_nodes.length !== 0) {
+        flushSyncLane();
+    }
 };
 
 /**
@@ -350,6 +532,14 @@ export const runWithTracking = <T>(node: ReactiveNode, getter: () => T): T => {
 
     const prev = currentComputing;
     const prevTracked = tracked;
+    if (DEV && traceRuns !== undefined) {
+        // Reads in the callback are not dependencies of the outer computation
+        tracked = false;
+        (inspectHooks as InspectHooks).$_reportRun(node, traceRuns);
+    }
+    // Runs are timed only while the graph is recorded
+    const hooks = DEV ? inspectHooks : undefined;
+    const start = DEV && hooks !== undefined ? performance.now() : 0;
     currentComputing = node;
     tracked = true;
 
@@ -378,6 +568,9 @@ export const runWithTracking = <T>(node: ReactiveNode, getter: () => T): T => {
         if (nodeSourcesLength > skipped) {
             clearSources(node, skipped);
         }
+        if (DEV && hooks !== undefined) {
+            hooks.$_run(node, start);
+        }
     }
 };
 
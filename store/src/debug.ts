@@ -2,7 +2,9 @@ import { DEV } from 'esm-env';
 
 import { currentComputing } from './core';
 import { Flag } from './flags';
-import type { Scope } from './types';
+import { hooks } from './inspect';
+import type { InspectHooks } from './internal-types';
+import type { RunTrace, Scope } from './types';
 
 /**
  * Debug configuration flag: Warn when writing to signals/state inside a computed
@@ -20,28 +22,70 @@ export const SUPPRESS_EFFECT_GC_WARNING = 1 << 1;
  */
 export const WARN_ON_UNTRACKED_EFFECT = 1 << 2;
 
+/**
+ * Debug configuration flag: Report why effects and computeds run to the callback set with setTraceCallback
+ */
+export const TRACE_RUNS = 1 << 3;
+
+/**
+ * Debug configuration flag: Keep records of signals, computeds, effects, state properties and scopes
+ * for inspect() and exportGraph(). Only nodes created while it is enabled are recorded.
+ */
+export const INSPECT_GRAPH = 1 << 4;
+
 /**
  * Current debug configuration bitfield
  */
 let debugConfigFlags = 0;
 
+let traceCallback: ((trace: RunTrace) => void) | undefined;
+
+/**
+ * Trace callback while TRACE_RUNS is enabled in DEV mode, undefined otherwise
+ * Checked on the hot paths of the push and pull phases
+ */
+export let traceRuns: ((trace: RunTrace) => void) | undefined;
+
+/**
+ * Graph bookkeeping while INSPECT_GRAPH or TRACE_RUNS is enabled in DEV mode, undefined otherwise
+ * (traces are reported with the records, so TRACE_RUNS needs them too)
+ */
+export let inspectHooks: InspectHooks | undefined;
+
+const updateTraceRuns = (): void => {
+    traceRuns = DEV && (debugConfigFlags & TRACE_RUNS) !== 0 ? traceCallback : undefined;
+};
+
 /**
  * Configure debug behavior using a bitfield of flags
  */
 export const debugConfig = (flags: number): void => {
     debugConfigFlags = flags | 0;
+    if (DEV) {
+        inspectHooks = (debugConfigFlags & (INSPECT_GRAPH | TRACE_RUNS)) !== 0 ? hooks : undefined;
+    }
+    updateTraceRuns();
 };
 
 /**
- * Safely call each function in an iterable, logging any errors to console
+ * Set the callback that receives run traces when TRACE_RUNS is enabled
+ * Pass undefined to remove it
  */
-export const safeForEach = (fns: Array<() => void>): void => {
+export const setTraceCallback = (callback: ((trace: RunTrace) => void) | undefined): void => {
+    traceCallback = callback;
+    updateTraceRuns();
+};
+
+/**
+ * Safely call each function in an iterable, passing any errors to onError
+ */
+export const safeForEach = (fns: Array<() => void>, onError: (error: unknown) => void): void => {
     for (let i = 0, len = fns.length; i < len; ++i) {
         const fn = fns[i] as () => void;
         try {
             fn?.();
         } catch (e) {
-            console.error(e);
+            onError(e);
         }
     }
 };
@@ -112,4 +156,18 @@ export const warnIfNoActiveScope: (activeScope: Scope | undefined) => void = DEV
       }
     : () => {};
 
+/**
+ * Warn when a computed owned by a disposed scope is read
+ * Only runs in DEV mode.
+ */
+export const warnIfDisposedRead: (disposed: boolean) => void = DEV
+    ? (disposed: boolean) => {
+          if (disposed) {
+              console.warn(
+                  `[@slimlib/store] Reading a computed of a disposed scope. It no longer tracks its sources: a stale value is recomputed once, then kept.`
+              );
+          }
+      }
+    : () => {};
+
 export const cycleMessage = 'Detected cycle in computations.';
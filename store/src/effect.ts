@@ -1,7 +1,10 @@
-import { batchedAddNew, checkComputedSources, clearSources, DepsSet, noopGetter, runWithTracking, scheduleFlush } from './core';
-import { cycleMessage, registerEffect, unregisterEffect, warnIfNoActiveScope } from './debug';
+import { DEV } from 'esm-env';
+
+import { batchedAdd, batchedAddNew, checkComputedSources, clearSources, DepsSet, noopGetter, runSyncEffect, runWithTracking } from './core';
+import { cycleMessage, inspectHooks, registerEffect, unregisterEffect, warnIfNoActiveScope } from './debug';
 import { Flag } from './flags';
 import { activeScope, setActiveScope } from './globals';
+import { reportError } from './scope';
 import { trackSymbol } from './symbols';
 import type { ReactiveNode } from './internal-types';
 import type { EffectCleanup } from './types';
@@ -15,17 +18,15 @@ const enum EffectOptionsValues {
 /**
  * Bitflag-style options controlling effect creation.
  *
- * Pass one of these values as the second argument to {@link effect}.
- *
- * Today only the first-run scheduling mode is encoded; future flags will be
- * combinable via bitwise OR. Internal callers in @slimlib/* can also pass the
- * raw numeric literals (`0` for DEFERRED, `1` for EAGER) to avoid pulling the
- * enum-like struct into their bundle.
+ * Pass these values as the second argument to {@link effect}, or as `flags`
+ * of an {@link EffectConfig}. Internal callers in @slimlib/* can also pass
+ * the raw numeric literals (`0` for DEFERRED, `1` for EAGER) to avoid pulling
+ * the enum-like struct into their bundle.
  *
- * | Member     | Value | First run                                              | Error handling                                                                                  |
- * | ---------- | ----- | ------------------------------------------------------ | ----------------------------------------------------------------------------------------------- |
- * | `DEFERRED` | `0`   | Scheduled on the active scheduler (default microtask). | Caught by the flush loop and logged via `console.error` — caller of `effect()` never sees them. |
- * | `EAGER`    | `1`   | Runs synchronously inside the `effect()` call.         | Thrown synchronously to the caller — preserves the stack trace and is catchable with try/catch. |
+ * | Member     | Value | First run                                              | Error handling                                                                                                     |
+ * | ---------- | ----- | ------------------------------------------------------ | ------------------------------------------------------------------------------------------------------------------ |
+ * | `DEFERRED` | `0`   | Scheduled on the active scheduler (default microtask). | Passed to the `onError` handlers of the scope (`console.error` if none) — caller of `effect()` never sees them.    |
+ * | `EAGER`    | `1`   | Runs synchronously inside the `effect()` call.         | Thrown synchronously to the caller — preserves the stack trace and is catchable with try/catch.                    |
  *
  * Behavior shared by both modes:
  *  - Dependency tracking is identical: signals/state/computed reads inside the
@@ -52,11 +53,106 @@ export const EffectOptions = {
 } as const;
 
 /**
- * Numeric union of the values in {@link EffectOptions} (`0 | 1`). Accepted as
- * the second argument to {@link effect}.
+ * Numeric union of the values in {@link EffectOptions} (`0 | 1`).
+ * Accepted as the second argument to {@link effect}.
  */
 export type EffectOptions = (typeof EffectOptions)[keyof typeof EffectOptions];
 
+// biome-ignore lint/suspicious/noConstEnum: optimization
+const enum EffectPriorityValues {
+    SYNC = 0,
+    NORMAL = 2,
+}
+
+/**
+ * Priority lanes of effect re-runs.
+ *
+ * Pass one of these values as `priority` of an {@link EffectConfig}. Each lane
+ * has its own queue; within a lane effects run in creation order.
+ *
+ * | Member          | Value | Runs                                                                                          |
+ * | --------------- | ----- | --------------------------------------------------------------------------------------------- |
+ * | `SYNC`          | `0`   | Synchronously at the end of the write that scheduled it.                                      |
+ * | `USER_BLOCKING` | `1`   | On the scheduler (default microtask), before `NORMAL` effects of the same flush.              |
+ * | `NORMAL`        | `2`   | On the scheduler (default microtask). The default.                                            |
+ * | `IDLE`          | `3`   | On the idle scheduler, in time slices: the flush yields when the idle deadline is used up.    |
+ *
+ * The first run of a `DEFERRED` effect goes through the lane as well (`SYNC`
+ * effects run their first time on the scheduler). `flushEffects()` drains all
+ * lanes in the order above.
+ */
+export const EffectPriority = {
+    SYNC: 0,
+    USER_BLOCKING: 1,
+    NORMAL: 2,
+    IDLE: 3,
+} as const;
+
+/**
+ * Numeric union of the values in {@link EffectPriority} (`0 | 1 | 2 | 3`).
+ * Accepted as `priority` of an {@link EffectConfig}.
+ */
+export type EffectPriority = (typeof EffectPriority)[keyof typeof EffectPriority];
+
+// biome-ignore lint/suspicious/noConstEnum: optimization
+const enum EffectTimingValues {
+    NONE = 0,
+    ONCE = 1,
+    DEBOUNCE = 2,
+    THROTTLE = 3,
+}
+
+/**
+ * Timing modes of effect re-runs.
+ *
+ * Pass one of these values as `timing` of an {@link EffectConfig}, the delay
+ * is its `wait`.
+ *
+ * | Member     | Value | Behavior                                                                                   |
+ * | ---------- | ----- | ------------------------------------------------------------------------------------------ |
+ * | `ONCE`     | `1`   | Stops the effect after its first run. The cleanup runs on dispose.                         |
+ * | `DEBOUNCE` | `2`   | A re-run waits until no dependency changed for `wait` ms.                                  |
+ * | `THROTTLE` | `3`   | Re-runs at most once per `wait` ms: the first change runs, later ones are coalesced.       |
+ *
+ * Timing applies to re-runs only, the first run is scheduled by the first-run
+ * mode. The effect stays subscribed to its dependencies while a re-run waits
+ * and goes through its priority lane once the timer fires. Dispose cancels
+ * pending timers.
+ */
+export const EffectTiming = {
+    ONCE: 1,
+    DEBOUNCE: 2,
+    THROTTLE: 3,
+} as const;
+
+/**
+ * Numeric union of the values in {@link EffectTiming} (`1 | 2 | 3`).
+ * Accepted as `timing` of an {@link EffectConfig}.
+ */
+export type EffectTiming = (typeof EffectTiming)[keyof typeof EffectTiming];
+
+/**
+ * Options object of {@link effect}
+ */
+export type EffectConfig = {
+    /**
+     * First-run mode, {@link EffectOptions}. Default `DEFERRED`
+     */
+    flags?: EffectOptions;
+    /**
+     * Priority lane, {@link EffectPriority}. Default `NORMAL`
+     */
+    priority?: EffectPriority;
+    /**
+     * Timing mode of re-runs, {@link EffectTiming}. Default none
+     */
+    timing?: EffectTiming;
+    /**
+     * Delay in milliseconds for `DEBOUNCE` and `THROTTLE`. Default `0`
+     */
+    wait?: number;
+};
+
 /**
  * Effect creation counter - increments on every effect creation
  * Used to maintain effect execution order by creation time
@@ -68,18 +164,36 @@ let effectCreationCounter = 0;
  *
  * @param callback - Function to run; may return an {@link EffectCleanup} to be
  *                   invoked before each re-run and on dispose.
- * @param eager    - One of {@link EffectOptions}. Default `DEFERRED` schedules
- *                   the first run on the active scheduler. `EAGER` runs the
- *                   first invocation synchronously inside `effect()` — errors
- *                   propagate to the caller (catchable with try/catch),
- *                   whereas errors in deferred first runs are caught by the
- *                   flush loop and reported via `console.error`.
+ * @param options  - One of {@link EffectOptions} or an {@link EffectConfig}
+ *                   with the first-run mode, priority and timing. Default
+ *                   `DEFERRED` schedules the first run on the active
+ *                   scheduler. `EAGER` runs the first invocation
+ *                   synchronously inside `effect()` — errors propagate to the
+ *                   caller (catchable with try/catch), whereas errors in
+ *                   deferred first runs and all re-runs are passed to the
+ *                   `onError` handlers of the scope.
  * @returns        - Dispose function that stops re-runs and invokes the last
  *                   cleanup.
  */
-// biome-ignore lint/suspicious/noConfusingVoidType: void is semantically correct here - callback may return nothing or a cleanup function
-export const effect = (callback: () => void | EffectCleanup, eager: EffectOptions = EffectOptionsValues.DEFERRED): (() => void) => {
+export const effect = (
+    // biome-ignore lint/suspicious/noConfusingVoidType: void is semantically correct here - callback may return nothing or a cleanup function
+    callback: () => void | EffectCleanup,
+    options: EffectOptions | EffectConfig = EffectOptionsValues.DEFERRED
+): (() => void) => {
+    const config: EffectConfig = typeof options === 'object' ? options : { flags: options };
+    const priority = config.priority ?? EffectPriorityValues.NORMAL;
+    const timing = config.timing ?? EffectTimingValues.NONE;
+    const wait = config.wait ?? 0;
+
     let disposed = false;
+    let hasRun = false;
+
+    // DEBOUNCE / THROTTLE state: a held re-run keeps its DIRTY/CHECK flags
+    // here so later writes mark (and schedule) the effect again
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    let heldFlags = 0;
+    let released = false;
+    let lastRun = 0;
 
     // Register effect for GC tracking (only in DEV mode)
     const gcToken = registerEffect();
@@ -93,6 +207,13 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
 
     const effectScope = activeScope;
 
+    // Sync effects hold the sync lane while they run, so writes they make re-run them after the run
+    const run = priority === EffectPriorityValues.SYNC ? runSyncEffect : runWithTracking;
+
+    // The first run of an eager effect throws to the caller of effect(),
+    // later runs report errors to the error handlers of the effect scope
+    let throwErrors = config.flags === EffectOptionsValues.EAGER;
+
     // Define the runner function BEFORE creating the node so that $_fn
     // is a function from the start (Fix #1: avoids hidden class transition
     // from undefined → function on the $_fn field).
@@ -108,6 +229,23 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
             throw new Error(cycleMessage);
         }
 
+        // Timing modes: hold the re-run until the timer releases it
+        if (hasRun && !released && timing >= EffectTimingValues.DEBOUNCE) {
+            const now = Date.now();
+            if (timing === EffectTimingValues.DEBOUNCE || timer !== undefined || now - lastRun < wait) {
+                heldFlags |= flags & (Flag.DIRTY | Flag.CHECK);
+                node.$_flags = flags & ~(Flag.DIRTY | Flag.CHECK);
+                if (timing === EffectTimingValues.DEBOUNCE) {
+                    clearTimeout(timer);
+                    timer = setTimeout(release, wait);
+                } else if (timer === undefined) {
+                    timer = setTimeout(release, wait - (now - lastRun));
+                }
+                return;
+            }
+        }
+        released = false;
+
         // ----------------------------------------------------------------
         // PULL PHASE: Verify if sources actually changed before running
         // ----------------------------------------------------------------
@@ -123,6 +261,8 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
             }
         }
 
+        hasRun = true;
+        lastRun = Date.now();
         const previousScope = activeScope;
         setActiveScope(effectScope);
 
@@ -130,17 +270,49 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
         // PULL PHASE: Execute effect and track dependencies
         // ----------------------------------------------------------------
         try {
-            runWithTracking(node, () => {
+            run(node, () => {
                 // Run previous cleanup if it exists (stored in $_value)
-                if (typeof node.$_value === 'function') {
-                    (node.$_value as EffectCleanup)();
+                const cleanup = node.$_value;
+                if (typeof cleanup === 'function') {
+                    // Clear first so a throwing run does not call the same cleanup again
+                    node.$_value = undefined;
+                    (cleanup as EffectCleanup)();
                 }
                 // Run the callback and store new cleanup in $_value
                 // (callback will PULL values from signals/state/computed)
                 node.$_value = callback();
             });
+        } catch (e) {
+            if (throwErrors) {
+                throw e;
+            }
+            // The effect keeps the dependencies read before the error and re-runs when they change
+            reportError(effectScope, e);
         } finally {
             setActiveScope(previousScope);
+            if (timing === EffectTimingValues.ONCE) {
+                // Detach after the first run, the cleanup waits for dispose
+                disposed = true;
+                clearSources(node);
+                if (typeof node.$_value !== 'function') {
+                    unregisterEffect(gcToken);
+                }
+            }
+        }
+    };
+
+    /**
+     * Timer callback of DEBOUNCE / THROTTLE: restore the held flags and schedule the re-run
+     */
+    const release = () => {
+        timer = undefined;
+        const flags = node.$_flags;
+        node.$_flags = flags | heldFlags;
+        heldFlags = 0;
+        released = true;
+        // Already scheduled if a write marked it after it was held
+        if ((flags & (Flag.DIRTY | Flag.CHECK)) === 0) {
+            batchedAdd(node);
         }
     };
 
@@ -155,7 +327,7 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
     node = {
         $_sources: [],
         $_deps: new DepsSet<ReactiveNode>(noopGetter),
-        $_flags: Flag.DIRTY | Flag.EFFECT,
+        $_flags: Flag.DIRTY | Flag.EFFECT | (priority << Flag.PRIORITY_SHIFT),
         $_skipped: 0,
         $_version: 0,
         $_value: undefined as unknown,
@@ -169,15 +341,23 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
     const dispose = (): void => {
         // Mark as disposed to prevent running if still in batched queue
         disposed = true;
+        clearTimeout(timer);
         // Unregister from GC tracking (only in DEV mode)
         unregisterEffect(gcToken);
         // Run cleanup if it exists (stored in $_value)
-        if (typeof node.$_value === 'function') {
-            (node.$_value as EffectCleanup)();
+        const cleanup = node.$_value;
+        if (typeof cleanup === 'function') {
+            // Clear first so a second dispose does not call it again
+            node.$_value = undefined;
+            (cleanup as EffectCleanup)();
         }
         clearSources(node);
     };
 
+    if (DEV && inspectHooks !== undefined) {
+        inspectHooks.$_node('effect', dispose, node);
+    }
+
     // Track to appropriate scope
     if (effectScope) {
         (effectScope[trackSymbol] as (dispose: () => void) => void)(dispose);
@@ -189,9 +369,8 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
     // Trigger first run via batched queue
     // node is already dirty
     // and effect is for sure with the latest id so we directly adding without the sort
-    if (eager === EffectOptionsValues.DEFERRED) {
+    if (config.flags !== EffectOptionsValues.EAGER) {
         batchedAddNew(node, effectId);
-        scheduleFlush();
     } else {
         // For eager effects, run immediately (in the same tick) instead of
         // scheduling a microtask. Errors thrown by the first run propagate
@@ -199,9 +378,13 @@ export const effect = (callback: () => void | EffectCleanup, eager: EffectOption
         // useful stack trace and lets surrounding code handle the failure
         // with try/catch. (Deferred runs cannot do this because the runner
         // executes inside a queueMicrotask callback, where thrown errors
-        // would become unhandled rejections; the flush loop logs them via
-        // console.error instead.)
-        runner();
+        // would become unhandled rejections; they are passed to the
+        // error handlers of the scope instead.)
+        try {
+            runner();
+        } finally {
+            throwErrors = false;
+        }
     }
 
     return dispose;
@@ -35,4 +35,8 @@ export const enum Flag {
 
     // PULL PHASE: Has at least one computed source (requires version update loop)
     HAS_COMPUTED_SOURCE = 1 << 8, // 256 - has computed dependency
+
+    // Scheduling: priority lane of an effect (bits 9-10, see EffectPriority)
+    PRIORITY_SHIFT = 9,
+    PRIORITY = 3 << 9, // 1536 - mask of the priority lane
 }
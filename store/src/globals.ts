@@ -1,4 +1,4 @@
-import type { Scope } from './types';
+import type { IdleScheduler, Scope } from './types';
 
 /**
  * Active scope for effect tracking
@@ -28,3 +28,16 @@ export let scheduler: (callback: () => void) => void = queueMicrotask;
 export const setScheduler = (newScheduler: (callback: () => void) => void): void => {
     scheduler = newScheduler;
 };
+
+/**
+ * Scheduler function used to schedule idle priority effects
+ * Undefined until set: idle.ts falls back to requestIdleCallback where available, setTimeout otherwise
+ */
+export let idleScheduler: IdleScheduler | undefined;
+
+/**
+ * Set a custom scheduler function for idle priority effects
+ */
+export const setIdleScheduler = (newScheduler: IdleScheduler): void => {
+    idleScheduler = newScheduler;
+};
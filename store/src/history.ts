@@ -0,0 +1,165 @@
+import { untracked, unwrapValue } from './core';
+import { activeScope, scheduler } from './globals';
+import { signal } from './signal';
+import { getStateInternals } from './state';
+import { trackSymbol } from './symbols';
+import type { History, HistoryOptions } from './types';
+
+/**
+ * A single property-level change
+ */
+type Change = {
+    $_proxy: Record<string | symbol, unknown>;
+    $_property: unknown;
+    $_oldValue: unknown;
+    $_newValue: unknown;
+    $_had: boolean;
+    $_has: boolean;
+};
+
+/**
+ * Write one side of a change back through the proxy
+ */
+const applyChange = (change: Change, undo: boolean): void => {
+    const proxy = change.$_proxy;
+    const property = change.$_property;
+    const has = undo ? change.$_had : change.$_has;
+    const target = unwrapValue(proxy);
+    if (target instanceof Map) {
+        if (has) {
+            (proxy as unknown as Map<unknown, unknown>).set(property, undo ? change.$_oldValue : change.$_newValue);
+        } else {
+            (proxy as unknown as Map<unknown, unknown>).delete(property);
+        }
+    } else if (target instanceof Set) {
+        if (has) {
+            (proxy as unknown as Set<unknown>).add(property);
+        } else {
+            (proxy as unknown as Set<unknown>).delete(property);
+        }
+    } else if (has) {
+        proxy[property as string | symbol] = undo ? change.$_oldValue : change.$_newValue;
+    } else {
+        delete proxy[property as string | symbol];
+    }
+};
+
+/**
+ * Creates an undo/redo history for a state() tree
+ * Records every write made through the state proxies; writes made in the same
+ * batch (before the scheduler runs) are grouped into one undo step.
+ * Tracked to the active scope like an effect and stops recording when disposed.
+ */
+export const history = (stateProxy: object, options?: HistoryOptions): History => {
+    const limit = options?.limit ?? Number.POSITIVE_INFINITY;
+    const undoStack: Change[][] = [];
+    const redoStack: Change[][] = [];
+    const canUndo = signal(false);
+    const canRedo = signal(false);
+    let group: Change[] | undefined;
+    let applying = false;
+
+    const update = (): void => {
+        canUndo.set(undoStack.length > 0 || group !== undefined);
+        canRedo.set(redoStack.length > 0);
+    };
+
+    /**
+     * Close the current group so later writes start a new undo step
+     */
+    const commit = (): void => {
+        if (group !== undefined) {
+            undoStack.push(group);
+            group = undefined;
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+            update();
+        }
+    };
+
+    const unsubscribe = getStateInternals(stateProxy).$_subscribe((proxy, property, oldValue, newValue, had, has) => {
+        if (applying) {
+            return;
+        }
+        if (group === undefined) {
+            const current: Change[] = [];
+            group = current;
+            // Commits scheduled for groups that were closed meanwhile (commit, undo, redo, clear) do nothing
+            scheduler(() => {
+                if (group === current) {
+                    commit();
+                }
+            });
+        }
+        group.push({
+            $_proxy: proxy as Record<string | symbol, unknown>,
+            $_property: property,
+            $_oldValue: oldValue,
+            $_newValue: newValue,
+            $_had: had,
+            $_has: has,
+        });
+        redoStack.length = 0;
+        update();
+    });
+
+    /**
+     * Move the last group from one stack to the other, applying its changes
+     */
+    const travel = (from: Change[][], to: Change[][], undo: boolean): void => {
+        commit();
+        const changes = from.pop();
+        if (changes === undefined) {
+            return;
+        }
+        applying = true;
+        try {
+            untracked(() => {
+                if (undo) {
+                    for (let i = changes.length - 1; i >= 0; --i) {
+                        applyChange(changes[i] as Change, true);
+                    }
+                } else {
+                    for (let i = 0, len = changes.length; i < len; ++i) {
+                        applyChange(changes[i] as Change, false);
+                    }
+                }
+            });
+        } finally {
+            applying = false;
+        }
+        to.push(changes);
+        update();
+    };
+
+    const clear = (): void => {
+        group = undefined;
+        undoStack.length = 0;
+        redoStack.length = 0;
+        update();
+    };
+
+    const dispose = (): void => {
+        unsubscribe();
+        clear();
+    };
+
+    if (activeScope) {
+        (activeScope[trackSymbol] as (dispose: () => void) => void)(dispose);
+    }
+
+    return {
+        get canUndo() {
+            return canUndo();
+        },
+        get canRedo() {
+            return canRedo();
+        },
+        undo: () => travel(undoStack, redoStack, true),
+        redo: () => travel(redoStack, undoStack, false),
+        commit,
+        clear,
+        dispose,
+    };
+};
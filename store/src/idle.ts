@@ -0,0 +1,55 @@
+import { idleScheduler } from './globals';
+import type { Lane, ReactiveNode } from './internal-types';
+import type { IdleScheduler } from './types';
+
+/**
+ * Time budget of an idle flush in milliseconds when the idle scheduler provides no deadline
+ */
+const idleBudget = 5;
+
+/**
+ * Idle scheduler used until setIdleScheduler is called
+ */
+const defaultIdleScheduler: IdleScheduler =
+    typeof requestIdleCallback === 'function' ? callback => requestIdleCallback(callback) : callback => setTimeout(callback);
+
+/**
+ * Create the time-sliced flush of the idle lane, returns the function that schedules it
+ */
+export const createIdleFlush = (lane: Lane, take: (lane: Lane) => ReactiveNode[], run: (node: ReactiveNode) => void): (() => void) => {
+    let scheduled = false;
+
+    /**
+     * Run idle effects until the deadline (or the idle budget) is used up
+     * Effects that did not fit are put back and run in the next idle period
+     */
+    const flush = (deadline?: { timeRemaining: () => number }): void => {
+        scheduled = false;
+        const nodes = take(lane);
+        const end = performance.now() + idleBudget;
+        const len = nodes.length;
+        let i = 0;
+        while (i < len) {
+            run(nodes[i++] as ReactiveNode);
+            if (deadline === undefined ? performance.now() >= end : deadline.timeRemaining() <= 0) {
+                break;
+            }
+        }
+        if (i < len) {
+            // Effects added meanwhile may be older than the rest
+            lane.$_needsSort = lane.$_nodes.length !== 0;
+            lane.$_nodes.unshift(...nodes.slice(i));
+            lane.$_lastAddedId = (lane.$_nodes[lane.$_nodes.length - 1] as ReactiveNode).$_stamp;
+            schedule();
+        }
+    };
+
+    const schedule = (): void => {
+        if (!scheduled) {
+            scheduled = true;
+            (idleScheduler ?? defaultIdleScheduler)(flush);
+        }
+    };
+
+    return schedule;
+};
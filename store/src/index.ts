@@ -1,9 +1,78 @@
-export { computed } from './computed';
+export { asyncEffect } from './async-effect';
+export { computed, writableComputed } from './computed';
 export { flushEffects, untracked, unwrapValue } from './core';
-export { debugConfig, SUPPRESS_EFFECT_GC_WARNING, WARN_ON_UNTRACKED_EFFECT, WARN_ON_WRITE_IN_COMPUTED } from './debug';
-export { EffectOptions, effect } from './effect';
-export { activeScope, setActiveScope, setScheduler } from './globals';
+export {
+    debugConfig,
+    INSPECT_GRAPH,
+    SUPPRESS_EFFECT_GC_WARNING,
+    setTraceCallback,
+    TRACE_RUNS,
+    WARN_ON_UNTRACKED_EFFECT,
+    WARN_ON_WRITE_IN_COMPUTED,
+} from './debug';
+export { EffectOptions, EffectPriority, EffectTiming, effect } from './effect';
+export { activeScope, setActiveScope, setIdleScheduler, setScheduler } from './globals';
+export { history } from './history';
+export { exportGraph, inspect } from './inspect';
+export { linkedSignal } from './linked-signal';
+export { fromObservable, toAsyncIterable, toObservable } from './observable';
+export { applyPatches, observePatches } from './patches';
+export { memoryStorage, persist } from './persist';
+export { readonly } from './readonly';
+export { resource } from './resource';
+export { schema } from './schema';
 export { getParentScope, scope } from './scope';
+export { selector } from './selector';
+export { hydrate, serialize } from './serialize';
 export { signal } from './signal';
+export { restore, snapshot } from './snapshot';
 export { state } from './state';
-export type { Computed, Effect, EffectCleanup, OnDisposeCallback, Scope, ScopeCallback, ScopeFunction, ScopeParent, Signal } from './types';
+export { sync } from './sync';
+export { TC39Signal } from './tc39-signal';
+export type { EffectConfig } from './effect';
+export type { TC39SignalOptions } from './tc39-signal';
+export type {
+    Computed,
+    Effect,
+    EffectCleanup,
+    ErrorHandler,
+    History,
+    HistoryOptions,
+    IdleScheduler,
+    InspectGraph,
+    InspectInfo,
+    InspectKind,
+    InspectNode,
+    InspectScopeInfo,
+    Observable,
+    ObservableSignal,
+    Observer,
+    OnDisposeCallback,
+    OnErrorCallback,
+    PatchOperation,
+    PersistedValue,
+    PersistOptions,
+    PersistStorage,
+    ReadonlyState,
+    Resource,
+    RunCause,
+    RunTrace,
+    Schema,
+    Scope,
+    ScopeCallback,
+    ScopeFunction,
+    ScopeOptions,
+    ScopeParent,
+    Selector,
+    Signal,
+    SignalOptions,
+    Snapshot,
+    StateOptions,
+    StateSchema,
+    Subscribable,
+    Subscription,
+    SyncMessage,
+    SyncOptions,
+    SyncTransport,
+    WritableComputed,
+} from './types';
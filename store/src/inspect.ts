@@ -0,0 +1,417 @@
+import { DEV } from 'esm-env';
+
+import { Flag } from './flags';
+import { copyValue } from './snapshot';
+import { absentSymbol, childrenSymbol } from './symbols';
+import type { DepsSet } from './core';
+import type { InspectHooks, ReactiveNode, SourceEntry } from './internal-types';
+import type { InspectGraph, InspectInfo, InspectKind, InspectNode, InspectScopeInfo, RunCause, RunTrace, Scope } from './types';
+
+/**
+ * Debug record of one graph node (DEV only, while INSPECT_GRAPH or TRACE_RUNS is enabled)
+ * Reactive nodes can't get extra fields (hidden class monomorphism), so records live in WeakMaps
+ */
+type DebugEntry = {
+    $_id: number;
+    $_kind: InspectKind;
+    $_label: string;
+    $_target: object | undefined;
+    $_node: ReactiveNode | undefined;
+    $_deps: () => DepsSet<ReactiveNode> | undefined;
+    $_runs: number;
+    $_duration: number | undefined;
+};
+
+type ScopeEntry = {
+    $_id: number;
+    $_effects: (() => void)[];
+};
+
+const flagNames: [number, string][] = [
+    [Flag.DIRTY, 'DIRTY'],
+    [Flag.CHECK, 'CHECK'],
+    [Flag.COMPUTING, 'COMPUTING'],
+    [Flag.EFFECT, 'EFFECT'],
+    [Flag.HAS_VALUE, 'HAS_VALUE'],
+    [Flag.HAS_ERROR, 'HAS_ERROR'],
+    [Flag.LIVE, 'LIVE'],
+    [Flag.HAS_STATE_SOURCE, 'HAS_STATE_SOURCE'],
+    [Flag.HAS_COMPUTED_SOURCE, 'HAS_COMPUTED_SOURCE'],
+];
+
+let lastId = 0;
+
+/**
+ * Records by user-facing handle (signal/computed read function, effect dispose function)
+ */
+const byTarget = new WeakMap<object, DebugEntry>();
+/**
+ * Records by computed/effect node (sources and dependents reference nodes)
+ */
+const byNode = new WeakMap<ReactiveNode, DebugEntry>();
+/**
+ * Records by DepsSet of state properties (state sources reference their DepsSet)
+ */
+const byDeps = new WeakMap<DepsSet<ReactiveNode>, DebugEntry>();
+const scopes = new WeakMap<Scope, ScopeEntry>();
+
+/**
+ * All records for whole graph export, dropped when collected
+ * Created with the first record
+ */
+let entries: Set<WeakRef<DebugEntry>> | undefined;
+let entriesRegistry: FinalizationRegistry<WeakRef<DebugEntry>> | undefined;
+
+const addEntry = (
+    kind: InspectKind,
+    label: string | undefined,
+    target: object | undefined,
+    node: ReactiveNode | undefined,
+    deps: () => DepsSet<ReactiveNode> | undefined
+): DebugEntry => {
+    const id = ++lastId;
+    const entry: DebugEntry = {
+        $_id: id,
+        $_kind: kind,
+        $_label: label ?? `${kind}#${id}`,
+        $_target: target,
+        $_node: node,
+        $_deps: deps,
+        $_runs: 0,
+        $_duration: undefined,
+    };
+    if (entries === undefined) {
+        const all = new Set<WeakRef<DebugEntry>>();
+        entries = all;
+        entriesRegistry = new FinalizationRegistry((ref: WeakRef<DebugEntry>) => {
+            all.delete(ref);
+        });
+    }
+    const ref = new WeakRef(entry);
+    entries.add(ref);
+    (entriesRegistry as FinalizationRegistry<WeakRef<DebugEntry>>).register(entry, ref);
+    return entry;
+};
+
+/**
+ * Register a signal for inspection
+ * Signals create their DepsSet lazily, so it is read through an accessor
+ */
+const registerSignal = (read: object, deps: () => DepsSet<ReactiveNode> | undefined): void => {
+    byTarget.set(read, addEntry('signal', undefined, read, undefined, deps));
+};
+
+/**
+ * Register a computed or effect node for inspection
+ */
+const registerNode = (kind: 'computed' | 'effect', target: object, node: ReactiveNode): void => {
+    const entry = addEntry(kind, undefined, target, node, () => node.$_deps as DepsSet<ReactiveNode>);
+    byTarget.set(target, entry);
+    byNode.set(node, entry);
+};
+
+/**
+ * Register a state property DepsSet for inspection
+ */
+const registerStateDeps = (deps: DepsSet<ReactiveNode>, label: string): void => {
+    byDeps.set(
+        deps,
+        addEntry('state', label, undefined, undefined, () => deps)
+    );
+};
+
+/**
+ * Register the effect list of a scope for inspection
+ */
+const registerScope = (scope: Scope, effects: (() => void)[]): void => {
+    scopes.set(scope, { $_id: ++lastId, $_effects: effects });
+};
+
+/**
+ * Count a computed/effect run and store its duration
+ */
+const recordRun = (node: ReactiveNode, start: number): void => {
+    const entry = byNode.get(node);
+    if (entry !== undefined) {
+        ++entry.$_runs;
+        entry.$_duration = performance.now() - start;
+    }
+};
+
+/**
+ * Record of a source: computed sources by node, signal sources by their getter (the read function)
+ */
+const sourceEntry = (source: SourceEntry): DebugEntry | undefined =>
+    source.$_node !== undefined
+        ? byNode.get(source.$_node)
+        : (byDeps.get(source.$_dependents as DepsSet<ReactiveNode>) ??
+          byTarget.get((source.$_dependents as DepsSet<ReactiveNode>).$_getter as object));
+
+const toNode = (entry: DebugEntry): InspectNode => ({
+    id: entry.$_id,
+    kind: entry.$_kind,
+    label: entry.$_label,
+    target: entry.$_target,
+});
+
+const sourcesOf = (entry: DebugEntry): DebugEntry[] => {
+    const result: DebugEntry[] = [];
+    const sources = entry.$_node?.$_sources;
+    if (sources !== undefined) {
+        for (let i = 0, len = sources.length; i < len; ++i) {
+            const source = sourceEntry(sources[i] as SourceEntry);
+            if (source !== undefined && !result.includes(source)) {
+                result.push(source);
+            }
+        }
+    }
+    return result;
+};
+
+const dependentsOf = (entry: DebugEntry): DebugEntry[] => {
+    const result: DebugEntry[] = [];
+    const deps = entry.$_deps();
+    if (deps !== undefined) {
+        for (const node of deps) {
+            const dependent = byNode.get(node);
+            if (dependent !== undefined) {
+                result.push(dependent);
+            }
+        }
+    }
+    return result;
+};
+
+const flagsOf = (entry: DebugEntry): string[] => {
+    const flags = entry.$_node?.$_flags ?? 0;
+    const result: string[] = [];
+    for (let i = 0, len = flagNames.length; i < len; ++i) {
+        const [bit, name] = flagNames[i] as [number, string];
+        if ((flags & bit) !== 0) {
+            result.push(name);
+        }
+    }
+    return result;
+};
+
+const toInfo = (entry: DebugEntry): InspectInfo => ({
+    ...toNode(entry),
+    sources: sourcesOf(entry).map(toNode),
+    dependents: dependentsOf(entry).map(toNode),
+    flags: flagsOf(entry),
+    runs: entry.$_runs,
+    lastRunDuration: entry.$_duration,
+});
+
+const toScopeInfo = (scope: Scope, entry: ScopeEntry): InspectScopeInfo => {
+    const effects: InspectInfo[] = [];
+    for (let i = 0, len = entry.$_effects.length; i < len; ++i) {
+        const effectEntry = byTarget.get(entry.$_effects[i] as object);
+        // Other disposables (history, patches, resources) are tracked to scopes too
+        if (effectEntry !== undefined) {
+            effects.push(toInfo(effectEntry));
+        }
+    }
+    const children: InspectScopeInfo[] = [];
+    const childScopes = scope[childrenSymbol] as (Scope | undefined)[];
+    for (let i = 0, len = childScopes.length; i < len; ++i) {
+        const child = childScopes[i];
+        const childEntry = child === undefined ? undefined : scopes.get(child);
+        if (childEntry !== undefined) {
+            children.push(toScopeInfo(child as Scope, childEntry));
+        }
+    }
+    return { id: entry.$_id, kind: 'scope', label: `scope#${entry.$_id}`, effects, children };
+};
+
+/**
+ * A write that marked a node, recorded in the push phase (TRACE_RUNS)
+ */
+type Cause = {
+    $_deps: DepsSet<ReactiveNode>;
+    $_path: ReactiveNode[];
+    $_oldValue: unknown;
+    $_newValue: unknown;
+};
+
+/**
+ * Causes recorded since the last run of a node
+ */
+const pendingCauses = new WeakMap<ReactiveNode, Cause[]>();
+
+/**
+ * Source of the markDependents call in progress and the computeds it propagated through
+ */
+let traceSource: DepsSet<ReactiveNode> | undefined;
+let traceValue: unknown;
+const tracePath: ReactiveNode[] = [];
+
+/**
+ * Value of a source as reported in traces: a missing Map key is undefined, and the raw
+ * objects the source holds are copied (arrays and plain objects deeply and frozen) so later writes don't show
+ */
+const traceValueOf = (value: unknown): unknown =>
+    value === absentSymbol ? undefined : value instanceof Map ? new Map(value) : value instanceof Set ? new Set(value) : copyValue(value);
+
+/**
+ * Set the source of the markDependents call in progress (callers guard with traceRuns and disable tracking)
+ */
+const setTraceSource = (deps: DepsSet<ReactiveNode> | undefined): void => {
+    traceSource = deps;
+    traceValue = deps === undefined ? undefined : traceValueOf(deps.$_getter());
+};
+
+/**
+ * Record that the markDependents call in progress reached a node (callers guard with traceRuns)
+ * Nodes without DIRTY/CHECK flags ran (or bailed out) since their last causes, so those are dropped
+ */
+const traceMark = (node: ReactiveNode, flags: number): void => {
+    if (traceSource === undefined) {
+        return;
+    }
+    const deps = traceSource;
+    // The first node of the chain read the source directly and stored the value it saw
+    const link = (tracePath[0] ?? node).$_sources.find(entry => entry.$_dependents === deps);
+    const cause: Cause = { $_deps: deps, $_path: tracePath.slice(), $_oldValue: traceValueOf(link?.$_storedValue), $_newValue: traceValue };
+    const causes = (flags & (Flag.DIRTY | Flag.CHECK)) === 0 ? undefined : pendingCauses.get(node);
+    if (causes === undefined) {
+        pendingCauses.set(node, [cause]);
+    } else {
+        causes.push(cause);
+    }
+};
+
+/**
+ * Track propagation through a computed (callers guard with traceRuns)
+ */
+const traceEnter = (node: ReactiveNode): void => {
+    tracePath.push(node);
+};
+
+const traceLeave = (): void => {
+    tracePath.pop();
+};
+
+const toCause = (cause: Cause): RunCause => {
+    const deps = cause.$_deps;
+    const source = byDeps.get(deps) ?? byTarget.get(deps.$_getter as object);
+    const path: InspectNode[] = [];
+    for (let i = 0, len = cause.$_path.length; i < len; ++i) {
+        const entry = byNode.get(cause.$_path[i] as ReactiveNode);
+        if (entry !== undefined) {
+            path.push(toNode(entry));
+        }
+    }
+    return {
+        source: source === undefined ? undefined : toNode(source),
+        property: source?.$_kind === 'state' ? source.$_label : undefined,
+        oldValue: cause.$_oldValue,
+        newValue: cause.$_newValue,
+        path,
+    };
+};
+
+/**
+ * Report why a node is about to run (callers guard with traceRuns)
+ */
+const reportRun = (node: ReactiveNode, callback: (trace: RunTrace) => void): void => {
+    const causes = pendingCauses.get(node);
+    pendingCauses.delete(node);
+    const entry = byNode.get(node);
+    if (entry === undefined) {
+        return;
+    }
+    try {
+        callback({ node: toNode(entry), causes: causes === undefined ? [] : causes.map(toCause) });
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+/**
+ * Bookkeeping installed as inspectHooks by debugConfig (see debug.ts)
+ */
+export const hooks: InspectHooks = {
+    $_signal: registerSignal,
+    $_node: registerNode,
+    $_stateDeps: registerStateDeps,
+    $_scope: registerScope,
+    $_run: recordRun,
+    $_traceSource: setTraceSource,
+    $_traceMark: traceMark,
+    $_traceEnter: traceEnter,
+    $_traceLeave: traceLeave,
+    $_reportRun: reportRun,
+};
+
+/**
+ * Inspect a scope: its effects and child scopes
+ * (DEV only with INSPECT_GRAPH enabled, returns undefined otherwise)
+ */
+export function inspect(target: Scope): InspectScopeInfo | undefined;
+/**
+ * Inspect a signal, computed or effect (dispose function): its sources, dependents, flags
+ * and run statistics (DEV only with INSPECT_GRAPH enabled, returns undefined otherwise)
+ */
+export function inspect(target: object): InspectInfo | undefined;
+export function inspect(target: object): InspectInfo | InspectScopeInfo | undefined {
+    if (!DEV) {
+        return undefined;
+    }
+    const entry = byTarget.get(target);
+    if (entry !== undefined) {
+        return toInfo(entry);
+    }
+    const scopeEntry = scopes.get(target as Scope);
+    return scopeEntry === undefined ? undefined : toScopeInfo(target as Scope, scopeEntry);
+}
+
+const quote = (value: string): string => JSON.stringify(value);
+
+const shapes: Record<InspectKind, string> = {
+    signal: 'ellipse',
+    state: 'ellipse',
+    computed: 'box',
+    effect: 'doubleoctagon',
+};
+
+/**
+ * Export the whole dependency graph (DEV only with INSPECT_GRAPH enabled, empty otherwise)
+ * Edges point from a source to the node that read it
+ */
+export function exportGraph(format?: 'json'): InspectGraph;
+export function exportGraph(format: 'dot'): string;
+export function exportGraph(format: 'json' | 'dot' = 'json'): InspectGraph | string {
+    const graph: InspectGraph = { nodes: [], edges: [] };
+    if (DEV && entries !== undefined) {
+        for (const ref of entries) {
+            const entry = ref.deref();
+            if (entry === undefined) {
+                continue;
+            }
+            graph.nodes.push({
+                id: entry.$_id,
+                kind: entry.$_kind,
+                label: entry.$_label,
+                flags: flagsOf(entry),
+                runs: entry.$_runs,
+                lastRunDuration: entry.$_duration,
+            });
+            const sources = sourcesOf(entry);
+            for (let i = 0, len = sources.length; i < len; ++i) {
+                graph.edges.push({ from: (sources[i] as DebugEntry).$_id, to: entry.$_id });
+            }
+        }
+    }
+    if (format === 'json') {
+        return graph;
+    }
+    let dot = 'digraph {\n';
+    for (const node of graph.nodes) {
+        dot += `  n${node.id} [label=${quote(node.label)} shape=${shapes[node.kind]}];\n`;
+    }
+    for (const edge of graph.edges) {
+        dot += `  n${edge.from} -> n${edge.to};\n`;
+    }
+    return `${dot}}\n`;
+}
@@ -2,6 +2,9 @@
  * Internal types used for implementation - not part of public API
  */
 
+import type { DepsSet } from './core';
+import type { RunTrace, Scope } from './types';
+
 /**
  * Source entry for dependencies (unified for monomorphism).
  * Properties are initialized for both types to ensure consistent hidden class.
@@ -43,3 +46,74 @@ export type ReactiveNode = {
     $_fn: (() => unknown) | undefined;
     $_equals: ((a: unknown, b: unknown) => boolean) | undefined;
 };
+
+/**
+ * Queue of scheduled effects of one priority lane
+ * Effects run in creation order, the queue is sorted only if effects were added out of order
+ */
+export type Lane = {
+    $_nodes: ReactiveNode[];
+    $_lastAddedId: number;
+    $_needsSort: boolean;
+};
+
+/**
+ * Listener for writes made through the proxies of one state() tree.
+ * Called after the raw object was changed with the proxy of the changed object,
+ * the property, the previous and the new value and whether the property existed
+ * (as an own property) before and after the write.
+ * For Map/Set writes the property is the entry key (a Set value is its own key).
+ */
+export type WriteListener = (proxy: object, property: unknown, oldValue: unknown, newValue: unknown, had: boolean, has: boolean) => void;
+
+/**
+ * Internal API of one state() tree, reachable through any of its proxies via internalsSymbol
+ */
+export type StateInternals = {
+    /**
+     * Subscribe to writes, returns an unsubscribe function
+     * observer names a subscriber that does not support Map and Set writes: while it is subscribed
+     * they throw in DEV before the collection changes (in production its listener has to skip them)
+     */
+    $_subscribe: (listener: WriteListener, observer?: string) => () => void;
+    /**
+     * Property path from the root object to a raw object of the tree, undefined if it is no longer reachable
+     */
+    $_pathOf: (target: object) => string[] | undefined;
+};
+
+/**
+ * Write checks created by schema() and passed to state() as its schema option
+ * Reached through the option so schema.ts is only bundled by apps that use schemas.
+ */
+export type SchemaHooks = {
+    /**
+     * Validate (DEV) or coerce (production) a value written to a property, returns the value to write
+     */
+    $_write: (path: string[], target: object, property: string, value: unknown) => unknown;
+    /**
+     * Validate (DEV) or coerce in place (production) the length and items of an array starting at from
+     */
+    $_items: (path: string[], array: unknown[], from: number) => void;
+    /**
+     * Validate the initial object of the tree
+     */
+    $_validate: (value: unknown) => void;
+};
+
+/**
+ * Graph bookkeeping of inspect.ts, installed by debugConfig(INSPECT_GRAPH or TRACE_RUNS) in DEV mode
+ * Reached through a hook so inspect.ts is only bundled by apps that import it or debugConfig.
+ */
+export type InspectHooks = {
+    $_signal: (read: object, deps: () => DepsSet<ReactiveNode> | undefined) => void;
+    $_node: (kind: 'computed' | 'effect', target: object, node: ReactiveNode) => void;
+    $_stateDeps: (deps: DepsSet<ReactiveNode>, label: string) => void;
+    $_scope: (scope: Scope, effects: (() => void)[]) => void;
+    $_run: (node: ReactiveNode, start: number) => void;
+    $_traceSource: (deps: DepsSet<ReactiveNode> | undefined) => void;
+    $_traceMark: (node: ReactiveNode, flags: number) => void;
+    $_traceEnter: (node: ReactiveNode) => void;
+    $_traceLeave: () => void;
+    $_reportRun: (node: ReactiveNode, callback: (trace: RunTrace) => void) => void;
+};
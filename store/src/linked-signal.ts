@@ -0,0 +1,84 @@
+import { DEV } from 'esm-env';
+
+import { computedRead } from './computed';
+import { DepsSet, markDependents, noopGetter, untracked } from './core';
+import { inspectHooks, warnIfWriteInComputed } from './debug';
+import { Flag } from './flags';
+import type { ReactiveNode } from './internal-types';
+import type { Signal } from './types';
+
+/**
+ * Create a writable signal that resets to its source whenever the source changes
+ */
+export function linkedSignal<T>(source: () => T, compute?: undefined, equals?: (a: T, b: T) => boolean): Signal<T>;
+/**
+ * Create a writable signal that is re-derived from its source whenever the source changes
+ * compute receives the new source value and the previous value (undefined on the first run)
+ */
+export function linkedSignal<S, T>(
+    source: () => S,
+    compute: (source: S, previous: T | undefined) => T,
+    equals?: (a: T, b: T) => boolean
+): Signal<T>;
+/**
+ * Create a linked signal
+ * Reads behave like computed(): only source is tracked and the node takes part in DIRTY/CHECK
+ * propagation. set() overrides the value until the source changes again.
+ */
+export function linkedSignal<S, T>(
+    source: () => S,
+    compute?: (source: S, previous: T | undefined) => T,
+    equals: (a: T, b: T) => boolean = Object.is
+): Signal<T> {
+    const getter = (): T => {
+        const value = source();
+        if (compute === undefined) {
+            return value as unknown as T;
+        }
+        // Only the source is a dependency
+        return untracked(() => compute(value, (node.$_flags & Flag.HAS_VALUE) !== 0 ? (node.$_value as T) : undefined));
+    };
+
+    const node = {
+        $_sources: [],
+        $_deps: new DepsSet<ReactiveNode>(noopGetter),
+        $_flags: Flag.DIRTY,
+        $_skipped: 0,
+        $_version: 0,
+        $_value: undefined,
+        $_stamp: 0,
+        $_fn: getter,
+        $_equals: equals,
+    } as ReactiveNode;
+
+    const read = (() => computedRead<T>(node)) as Signal<T>;
+
+    /**
+     * Override the value until the source changes
+     * Re-runs the node with a getter that tracks the source but returns the value,
+     * so source changes made before the write don't reset it on the next read
+     */
+    read.set = (value: T): void => {
+        warnIfWriteInComputed('linkedSignal');
+        const version = node.$_version;
+        node.$_fn = () => {
+            source();
+            return value;
+        };
+        node.$_flags |= Flag.DIRTY;
+        try {
+            untracked(() => computedRead<T>(node));
+        } finally {
+            node.$_fn = getter;
+        }
+        if (node.$_version !== version) {
+            markDependents(node.$_deps as DepsSet<ReactiveNode>);
+        }
+    };
+
+    if (DEV && inspectHooks !== undefined) {
+        inspectHooks.$_node('computed', read, node);
+    }
+
+    return read;
+}
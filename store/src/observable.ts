@@ -0,0 +1,193 @@
+import { untracked } from './core';
+import { EffectOptions, effect } from './effect';
+import { activeScope, setActiveScope } from './globals';
+import { reportError, scope } from './scope';
+import { signal } from './signal';
+import { trackSymbol } from './symbols';
+import type { Observable, ObservableSignal, Observer, Subscribable, Subscription } from './types';
+
+/**
+ * Interop key of observables (Symbol.observable where a polyfill defines it)
+ */
+const observableSymbol: symbol | '@@observable' = (Symbol as unknown as { observable?: symbol }).observable ?? '@@observable';
+
+/**
+ * Call next with the current value of readable and every later change
+ * Runs in its own root scope so it is owned by the caller rather than the active scope.
+ * Errors (of the first run too) stop watching and are passed to error.
+ * Returns the dispose function.
+ */
+const watch = <T>(readable: () => T, next: (value: T) => void, error: (error: unknown) => void): (() => void) => {
+    const prev = activeScope;
+    setActiveScope(undefined);
+    const ctx = scope();
+    setActiveScope(prev);
+
+    const fail = (e: unknown): void => {
+        ctx();
+        error(e);
+    };
+
+    ctx((_onDispose, onError) => {
+        onError(fail);
+        try {
+            effect(() => {
+                const value = readable();
+                untracked(() => next(value));
+            }, EffectOptions.EAGER);
+        } catch (e) {
+            fail(e);
+        }
+    });
+
+    return ctx;
+};
+
+/**
+ * Convert a signal, computed or any reactive getter to an Observable
+ * Every subscription gets its own effect: the current value is emitted synchronously,
+ * later values after effects flush. The effect is disposed on unsubscribe.
+ */
+export const toObservable = <T>(readable: () => T): Observable<T> => {
+    const observable = {
+        subscribe: (observerOrNext: Observer<T> | ((value: T) => void)): Subscription => {
+            const observer = typeof observerOrNext === 'function' ? { next: observerOrNext } : observerOrNext;
+            const unsubscribe = watch(
+                readable,
+                value => observer.next?.(value),
+                e => {
+                    if (observer.error) {
+                        observer.error(e);
+                    } else {
+                        reportError(undefined, e);
+                    }
+                }
+            );
+            return { unsubscribe };
+        },
+    } as Observable<T> & Record<symbol | string, () => Observable<T>>;
+
+    observable[observableSymbol] = () => observable;
+    observable['@@observable'] = () => observable;
+
+    return observable;
+};
+
+/**
+ * Read-only signal of the values of an observable
+ * Subscribes immediately; the subscription is tracked to the active scope and
+ * unsubscribed with it or by dispose(). Errors go to the error handlers of the scope.
+ */
+export const fromObservable = <T>(observable: Subscribable<T>, initialValue: T): ObservableSignal<T> => {
+    const value = signal(initialValue);
+    const owner = activeScope;
+    const interop = (observable as unknown as Record<symbol | string, unknown>)[observableSymbol];
+    const source = typeof interop === 'function' ? (interop.call(observable) as Subscribable<T>) : observable;
+
+    const subscription = source.subscribe({
+        next: next => value.set(next),
+        error: e => reportError(owner, e),
+    });
+
+    let disposed = false;
+    const dispose = (): void => {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        if (typeof subscription === 'function') {
+            subscription();
+        } else {
+            subscription.unsubscribe();
+        }
+    };
+
+    if (owner) {
+        (owner[trackSymbol] as (dispose: () => void) => void)(dispose);
+    }
+
+    const read = (() => value()) as ObservableSignal<T>;
+    read.dispose = dispose;
+    return read;
+};
+
+/**
+ * Iterate over the values of a signal, computed or reactive getter with `for await`
+ * Yields the current value first, then the latest value after each change; values that
+ * change again before the consumer asks for the next one are skipped.
+ * The effect is disposed when the loop ends (break/return) or the getter throws.
+ */
+export const toAsyncIterable = <T>(readable: () => T): AsyncIterableIterator<T> => {
+    let latest: T;
+    let hasValue = false;
+    let done = false;
+    let failed = false;
+    let error: unknown;
+    let resolveNext: ((result: IteratorResult<T>) => void) | undefined;
+    let rejectNext: ((error: unknown) => void) | undefined;
+
+    const take = (): IteratorResult<T> => {
+        hasValue = false;
+        return { value: latest, done: false };
+    };
+
+    const settle = (): void => {
+        const resolve = resolveNext;
+        const reject = rejectNext;
+        if (resolve === undefined || reject === undefined) {
+            return;
+        }
+        resolveNext = undefined;
+        rejectNext = undefined;
+        if (failed) {
+            done = true;
+            reject(error);
+        } else if (done) {
+            resolve({ value: undefined, done: true });
+        } else {
+            resolve(take());
+        }
+    };
+
+    const dispose = watch(
+        readable,
+        value => {
+            latest = value;
+            hasValue = true;
+            settle();
+        },
+        e => {
+            failed = true;
+            error = e;
+            settle();
+        }
+    );
+
+    const iterator: AsyncIterableIterator<T> = {
+        next: () => {
+            if (failed && !done) {
+                done = true;
+                return Promise.reject(error);
+            }
+            if (done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            if (hasValue) {
+                return Promise.resolve(take());
+            }
+            return new Promise((resolve, reject) => {
+                resolveNext = resolve;
+                rejectNext = reject;
+            });
+        },
+        return: () => {
+            done = true;
+            dispose();
+            settle();
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        [Symbol.asyncIterator]: () => iterator,
+    };
+
+    return iterator;
+};
@@ -0,0 +1,163 @@
+import { untracked, unwrapValue } from './core';
+import { activeScope } from './globals';
+import { cloneValue, restore, snapshotValue } from './snapshot';
+import { getStateInternals } from './state';
+import { trackSymbol } from './symbols';
+import type { PatchOperation } from './types';
+
+/**
+ * Build a JSON Pointer (RFC 6901) from path segments
+ */
+export const toPointer = (path: string[]): string => {
+    let pointer = '';
+    for (let i = 0, len = path.length; i < len; ++i) {
+        pointer += `/${(path[i] as string).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+    return pointer;
+};
+
+/**
+ * Whether a write was made to a Map/Set - entries have no JSON Pointer, so observers skip them
+ * (they subscribe with their name, so in DEV these writes throw before the collection changes)
+ */
+export const isCollectionWrite = (target: object): boolean => target instanceof Map || target instanceof Set;
+
+/**
+ * Split a JSON Pointer (RFC 6901) into path segments
+ */
+const fromPointer = (pointer: string): string[] => {
+    if (pointer === '') {
+        return [];
+    }
+    if (pointer[0] !== '/') {
+        throw new Error(`[@slimlib/store] Invalid JSON Pointer: ${pointer}`);
+    }
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+/**
+ * Subscribe to JSON Patch (RFC 6902) operations describing writes made through
+ * the proxies of a state() tree, including nested proxies.
+ * Values are frozen snapshots. Returns an unsubscribe function; the subscription
+ * is also tracked to the active scope.
+ */
+export const observePatches = (stateProxy: object, listener: (operation: PatchOperation) => void): (() => void) => {
+    const internals = getStateInternals(stateProxy);
+    // Array whose new items were reported with its longer length, their index writes follow and are skipped
+    let grown: object | undefined;
+    let grownFrom = 0;
+    let pending = 0;
+
+    const unsubscribe = internals.$_subscribe((proxy, property, oldValue, newValue, had, has) => {
+        const target = unwrapValue(proxy);
+        if (isCollectionWrite(target) || typeof property !== 'string') {
+            return;
+        }
+        const path = internals.$_pathOf(target);
+        // Objects that are no longer part of the tree
+        if (path === undefined) {
+            return;
+        }
+        const isArray = Array.isArray(target);
+        if (isArray && property === 'length') {
+            // A shorter length is implied by the removals reported before it. A longer one is reported
+            // before the index writes: add every new item, holes as null like JSON, so later indices exist
+            pending = 0;
+            for (let i = oldValue as number, len = newValue as number; i < len; ++i) {
+                const exists = i in target;
+                if (exists) {
+                    ++pending;
+                }
+                listener({ op: 'add', path: toPointer([...path, String(i)]), value: exists ? snapshotValue(target[i]) : null });
+            }
+            grown = pending === 0 ? undefined : target;
+            grownFrom = oldValue as number;
+            return;
+        }
+        if (isArray && grown === target && !had && has && Number(property) >= grownFrom) {
+            if (--pending === 0) {
+                grown = undefined;
+            }
+            return;
+        }
+        path.push(property);
+        const pointer = toPointer(path);
+        if (!has && isArray && Number(property) < target.length) {
+            // A hole (delete arr[i]) keeps the length - JSON has no holes, so it becomes null
+            // (a remove would shift the following items when applied)
+            listener({ op: 'replace', path: pointer, value: null });
+            return;
+        }
+        // Array items below the length exist (holes are null), new ones were added with the length
+        listener(
+            has
+                ? { op: had || isArray ? 'replace' : 'add', path: pointer, value: snapshotValue(newValue) }
+                : { op: 'remove', path: pointer }
+        );
+    }, 'observePatches');
+
+    if (activeScope) {
+        (activeScope[trackSymbol] as (dispose: () => void) => void)(unsubscribe);
+    }
+
+    return unsubscribe;
+};
+
+/**
+ * Apply JSON Patch (RFC 6902) add/replace/remove operations to a state() tree
+ * Writes go through the proxies, so dependents are notified as for regular writes
+ */
+export const applyPatches = (stateProxy: object, operations: readonly PatchOperation[]): void => {
+    untracked(() => {
+        for (let i = 0, len = operations.length; i < len; ++i) {
+            const operation = operations[i] as PatchOperation;
+            const { op, path } = operation;
+            const value = op === 'remove' ? undefined : operation.value;
+            const keys = fromPointer(path);
+
+            if (keys.length === 0) {
+                // Whole document replacement
+                if (op === 'remove') {
+                    throw new Error('[@slimlib/store] Cannot remove the root of a state.');
+                }
+                restore(stateProxy, value as object);
+                continue;
+            }
+
+            let parent = stateProxy as Record<string, unknown>;
+            for (let j = 0, last = keys.length - 1; j < last; ++j) {
+                const next = parent[keys[j] as string];
+                if (next === null || typeof next !== 'object') {
+                    throw new Error(`[@slimlib/store] Path not found: ${path}`);
+                }
+                parent = next as Record<string, unknown>;
+            }
+            const key = keys[keys.length - 1] as string;
+
+            if (Array.isArray(parent)) {
+                const index = key === '-' ? parent.length : Number(key);
+                if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+                    throw new Error(`[@slimlib/store] Invalid array index: ${path}`);
+                }
+                if (op === 'add') {
+                    parent.splice(index, 0, cloneValue(value));
+                } else if (op === 'replace') {
+                    parent[index] = cloneValue(value);
+                } else if (op === 'remove') {
+                    parent.splice(index, 1);
+                } else {
+                    throw new Error(`[@slimlib/store] Unsupported patch operation: ${op}`);
+                }
+            } else if (op === 'add' || op === 'replace') {
+                parent[key] = cloneValue(value);
+            } else if (op === 'remove') {
+                delete parent[key];
+            } else {
+                throw new Error(`[@slimlib/store] Unsupported patch operation: ${op}`);
+            }
+        }
+    });
+};
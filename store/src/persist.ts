@@ -0,0 +1,127 @@
+import { DEV } from 'esm-env';
+
+import { DepsSet, markDependents, trackStateDependency, untracked } from './core';
+import { EffectOptions, EffectTiming, effect } from './effect';
+import { activeScope } from './globals';
+import { reportError } from './scope';
+import { restore, snapshot } from './snapshot';
+import { getStateInternals } from './state';
+import { trackSymbol } from './symbols';
+import type { ReactiveNode } from './internal-types';
+import type { PersistedValue, PersistOptions, PersistStorage, Signal, Snapshot } from './types';
+
+/**
+ * In-memory storage for tests and environments without localStorage
+ */
+export const memoryStorage = (): PersistStorage => {
+    const items = new Map<string, string>();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: key => {
+            items.delete(key);
+        },
+    };
+};
+
+/**
+ * Persist a signal or a state() tree
+ * Hydrates synchronously from the storage, then writes the value back after changes (a DEBOUNCE effect).
+ * Values stored with another version go through migrate (or are ignored without it).
+ * Tracked to the active scope like an effect; dispose writes a pending change and stops persisting.
+ */
+export function persist<T>(target: Signal<T>, options: PersistOptions<T>): () => void;
+export function persist<T extends object>(target: T, options: PersistOptions<Snapshot<T>>): () => void;
+export function persist(target: Signal<unknown> | object, options: PersistOptions<unknown>): () => void {
+    const { key, serialize = JSON.stringify, deserialize = JSON.parse, version = 0, migrate, wait = 100 } = options;
+    const storage = options.storage ?? globalThis.localStorage;
+    const isSignal = typeof target === 'function';
+    const scope = activeScope;
+    // Writes to a state tree, a signal is compared by its value
+    let changes = 0;
+    let written: unknown;
+
+    const current = (): unknown => (isSignal ? untracked(target as Signal<unknown>) : changes);
+
+    const write = (): void => {
+        written = current();
+        try {
+            storage.setItem(key, serialize({ version, value: isSignal ? written : snapshot(target) }));
+        } catch (e) {
+            reportError(scope, e);
+        }
+    };
+
+    const hydrate = (value: unknown): void => {
+        if (isSignal) {
+            (target as Signal<unknown>).set(value);
+        } else {
+            restore(target, value as Snapshot<object>);
+        }
+    };
+
+    // Hydrate before subscribing so the stored value is not written back
+    try {
+        const text = storage.getItem(key);
+        if (text !== null) {
+            const stored = deserialize(text) as PersistedValue<unknown>;
+            if (stored.version === version) {
+                hydrate(stored.value);
+            } else if (migrate !== undefined) {
+                hydrate(migrate(stored.value, stored.version));
+            } else if (DEV) {
+                console.warn(
+                    `[@slimlib/store] persist: ignoring "${key}" stored with version ${stored.version} without migrate (current version ${version})`
+                );
+            }
+        }
+    } catch (e) {
+        reportError(scope, e);
+    }
+
+    let track = target as () => unknown;
+    let unsubscribe: (() => void) | undefined;
+    if (!isSignal) {
+        // A state tree has no single source to track, its writes notify a deps set instead
+        const changed = new DepsSet<ReactiveNode>(() => changes);
+        unsubscribe = getStateInternals(target).$_subscribe(() => {
+            ++changes;
+            markDependents(changed);
+        });
+        track = () => trackStateDependency(changed, changed.$_getter, changes);
+    }
+
+    written = current();
+    // EAGER: track right away so writes made before the next flush are not missed
+    const stop = effect(
+        () => {
+            track();
+            if (!Object.is(current(), written)) {
+                write();
+            }
+        },
+        { flags: EffectOptions.EAGER, timing: EffectTiming.DEBOUNCE, wait }
+    );
+
+    let disposed = false;
+    const dispose = (): void => {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        stop();
+        unsubscribe?.();
+        // The debounced re-run is cancelled, write its change now
+        if (!Object.is(current(), written)) {
+            write();
+        }
+    };
+
+    if (scope) {
+        (scope[trackSymbol] as (dispose: () => void) => void)(dispose);
+    }
+
+    return dispose;
+}
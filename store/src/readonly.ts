@@ -0,0 +1,174 @@
+import { DEV } from 'esm-env';
+
+import { unwrapValue } from './core';
+import { getStateInternals } from './state';
+import { internalsSymbol } from './symbols';
+import type { ReadonlyState } from './types';
+
+/**
+ * Readonly views by the state() proxy they read through
+ * The state proxies come from the proxy cache of their state() tree, so a nested object
+ * always gets the same view and reads share the property deps of the state.
+ */
+const views = new WeakMap<object, object>();
+
+/**
+ * All readonly views, so readonly() of a view returns it
+ */
+const isView = new WeakSet<object>();
+
+const arrayMutators = new Set<string | symbol>(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+const collectionMutators = new Set<string | symbol>(['set', 'add', 'delete', 'clear']);
+
+/**
+ * Reject a write to a view: throws in DEV, ignored in production
+ */
+const reject = (action: string, property: string | symbol): true => {
+    if (DEV) {
+        throw new TypeError(`[@slimlib/store] Cannot ${action} "${String(property)}" of a readonly view`);
+    }
+    return true;
+};
+
+const isStateProxy = (value: object): boolean => (value as Record<symbol, unknown>)[internalsSymbol] !== undefined;
+
+/**
+ * View of a value returned by a state() proxy or one of its methods, other values are returned as is
+ */
+const toView = (value: unknown): unknown =>
+    value !== null && typeof value === 'object' && !isView.has(value) && isStateProxy(value) ? viewOf(value) : value;
+
+/**
+ * Iterator yielding views of the values (or [key, value] pairs) of a state() iterator
+ */
+const viewIterator = (iterator: Iterator<unknown>, pairs: boolean): IterableIterator<unknown> => {
+    const wrapped: IterableIterator<unknown> = {
+        next() {
+            const result = iterator.next();
+            if (result.done) {
+                return result;
+            }
+            const value = result.value;
+            return { done: false, value: pairs ? [toView((value as unknown[])[0]), toView((value as unknown[])[1])] : toView(value) };
+        },
+        [Symbol.iterator]() {
+            return wrapped;
+        },
+    };
+    return wrapped;
+};
+
+/**
+ * Get or create the readonly view of a state() proxy
+ */
+const viewOf = (stateProxy: object): object => {
+    let view = views.get(stateProxy);
+    if (view !== undefined) {
+        return view;
+    }
+    const raw = unwrapValue(stateProxy);
+    const isArray = Array.isArray(raw);
+    const collection = raw instanceof Map || raw instanceof Set;
+    // Date methods need the raw object, its setters are blocked
+    const isDate = raw instanceof Date;
+    let methodCache: Map<string | symbol, (...args: unknown[]) => unknown> | undefined;
+
+    const createMethod = (p: string | symbol, stateMethod: (...args: unknown[]) => unknown): ((...args: unknown[]) => unknown) => {
+        if (
+            (isArray && arrayMutators.has(p)) ||
+            (collection && collectionMutators.has(p)) ||
+            (isDate && typeof p === 'string' && p.startsWith('set'))
+        ) {
+            return () => {
+                reject('call', p);
+            };
+        }
+        const methods = raw as unknown as Record<string | symbol, (...args: unknown[]) => unknown>;
+        if (isDate) {
+            const method = methods[p] as (...args: unknown[]) => unknown;
+            return (...args: unknown[]) => method.apply(raw, args);
+        }
+        if (!collection) {
+            // Array methods are generic and methods of other objects would write through the state proxy -
+            // run them on the view so items and properties are read as views and writes are rejected
+            return (...args: unknown[]) => toView((methods[p] as (...args: unknown[]) => unknown).apply(view, args));
+        }
+        // Map and Set methods need the raw collection - call the tracking methods of the state proxy and wrap what they return
+        if (p === 'forEach') {
+            return (callback: unknown, thisArg?: unknown) =>
+                stateMethod((value: unknown, key: unknown) => {
+                    (callback as (value: unknown, key: unknown, collection: object) => void).call(
+                        thisArg,
+                        toView(value),
+                        toView(key),
+                        view as object
+                    );
+                });
+        }
+        if (p === 'keys' || p === 'values' || p === 'entries' || p === Symbol.iterator) {
+            const pairs = p === 'entries' || (p === Symbol.iterator && raw instanceof Map);
+            return () => viewIterator(stateMethod() as Iterator<unknown>, pairs);
+        }
+        return (...args: unknown[]) => toView(stateMethod(...args));
+    };
+
+    view = new Proxy(stateProxy, {
+        // PULL PHASE: Reads go through the state proxy, so they are tracked like reads of the state
+        get(target, p) {
+            const value = (target as Record<string | symbol, unknown>)[p];
+            if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+                return value;
+            }
+            if (typeof value === 'object') {
+                return toView(value);
+            }
+            if (methodCache === undefined) {
+                methodCache = new Map();
+            }
+            let cached = methodCache.get(p);
+            if (cached === undefined) {
+                cached = createMethod(p, value as (...args: unknown[]) => unknown);
+                methodCache.set(p, cached);
+            }
+            return cached;
+        },
+        set(_target, p) {
+            return reject('set', p);
+        },
+        defineProperty(_target, p) {
+            return reject('define', p);
+        },
+        deleteProperty(_target, p) {
+            return reject('delete', p);
+        },
+    });
+    views.set(stateProxy, view);
+    isView.add(view);
+    return view;
+};
+
+/**
+ * Readonly getter of a signal or computed
+ */
+export function readonly<T>(signal: () => T): () => T;
+/**
+ * Readonly view of a state() tree
+ */
+export function readonly<T extends object>(state: T): ReadonlyState<T>;
+/**
+ * Create a readonly view of a signal or a state() tree
+ * Reads are tracked like reads of the source. Writes through the view (assignment, delete,
+ * defineProperty, mutating Array/Map/Set methods and Date setters) throw in DEV and are ignored in production.
+ * Values returned by reads, methods and iterators are views; other methods run with the view as this.
+ */
+export function readonly<T>(source: T): unknown {
+    if (typeof source === 'function') {
+        const read = source as () => unknown;
+        return () => read();
+    }
+    if (isView.has(source as object)) {
+        return source;
+    }
+    getStateInternals(source as object);
+    return viewOf(source as object);
+}
@@ -0,0 +1,83 @@
+import { untracked } from './core';
+import { EffectOptions, effect } from './effect';
+import { signal } from './signal';
+import type { Resource } from './types';
+
+/**
+ * Create a resource without an initial value
+ */
+export function resource<S, T>(
+    source: () => S,
+    fetcher: (source: S, abortSignal: AbortSignal) => T | PromiseLike<T>
+): Resource<T | undefined>;
+/**
+ * Create a resource with an initial value
+ */
+export function resource<S, T>(
+    source: () => S,
+    fetcher: (source: S, abortSignal: AbortSignal) => T | PromiseLike<T>,
+    initialValue: T
+): Resource<T>;
+/**
+ * Creates an async derived value
+ * The fetcher re-runs whenever signals/state read by source change; the previous
+ * request is aborted through its AbortSignal and its result is ignored.
+ * The underlying effect is tracked to the active scope; disposing the scope or calling dispose()
+ * stops re-fetching and aborts the pending request.
+ */
+export function resource<S, T>(
+    source: () => S,
+    fetcher: (source: S, abortSignal: AbortSignal) => T | PromiseLike<T>,
+    initialValue?: T
+): Resource<T> {
+    const value = signal(initialValue as T);
+    const loading = signal(false);
+    const error = signal<unknown>(undefined);
+    const trigger = signal(0);
+    let requests = 0;
+
+    // EAGER: the first request starts synchronously so `loading` is true right after creation
+    const dispose = effect(() => {
+        trigger();
+        const controller = new AbortController();
+        const abortSignal = controller.signal;
+        loading.set(true);
+        try {
+            // Only source is tracked - reads inside the fetcher don't re-trigger the request
+            const input = source();
+            Promise.resolve(untracked(() => fetcher(input, abortSignal))).then(
+                result => {
+                    if (!abortSignal.aborted) {
+                        error.set(undefined);
+                        value.set(result);
+                        loading.set(false);
+                    }
+                },
+                e => {
+                    if (!abortSignal.aborted) {
+                        error.set(e);
+                        loading.set(false);
+                    }
+                }
+            );
+        } catch (e) {
+            error.set(e);
+            loading.set(false);
+        }
+        return () => controller.abort();
+    }, EffectOptions.EAGER);
+
+    return {
+        get value() {
+            return value();
+        },
+        get loading() {
+            return loading();
+        },
+        get error() {
+            return error();
+        },
+        refetch: () => trigger.set(++requests),
+        dispose,
+    };
+}
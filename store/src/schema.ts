@@ -0,0 +1,181 @@
+import { DEV } from 'esm-env';
+
+import { unwrapValue } from './core';
+import type { SchemaHooks } from './internal-types';
+import type { Schema, StateSchema } from './types';
+
+/**
+ * Readable name of a value's type for error messages
+ */
+const typeName = (value: unknown): string => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const fail = (path: string[], message: string): never => {
+    throw new TypeError(`[@slimlib/store] Invalid value for "${path.join('.') || 'state'}": ${message}`);
+};
+
+/**
+ * Schema of the property key of a value described by schema, undefined if it is not described
+ */
+const childSchema = (schema: StateSchema, key: string): StateSchema | undefined =>
+    schema.items !== undefined
+        ? schema.items
+        : schema.properties !== undefined && Object.hasOwn(schema.properties, key)
+          ? schema.properties[key]
+          : undefined;
+
+/**
+ * Schema of the value at a property path, undefined if it is not described
+ */
+const schemaAt = (schema: StateSchema, path: string[]): StateSchema | undefined => {
+    let current: StateSchema | undefined = schema;
+    for (let i = 0, len = path.length; i < len && current !== undefined; ++i) {
+        current = childSchema(current, path[i] as string);
+    }
+    return current;
+};
+
+/**
+ * Check min/max of a number, or of the length of a string or array
+ */
+const validateBounds = (schema: StateSchema, size: number, path: string[], length: boolean): void => {
+    const what = length ? 'a length of ' : '';
+    if (schema.min !== undefined && size < schema.min) {
+        fail(path, `expected ${what}at least ${schema.min}, got ${size}`);
+    }
+    if (schema.max !== undefined && size > schema.max) {
+        fail(path, `expected ${what}at most ${schema.max}, got ${size}`);
+    }
+};
+
+/**
+ * Validate the length of an array and its items starting at from
+ */
+const validateItems = (schema: StateSchema, array: unknown[], from: number, path: string[]): void => {
+    validateBounds(schema, array.length, path, true);
+    const items = schema.items;
+    if (items !== undefined) {
+        for (let i = from, len = array.length; i < len; ++i) {
+            validateValue(items, unwrapValue(array[i]), [...path, String(i)]);
+        }
+    }
+};
+
+/**
+ * Validate a value against a schema, nested objects and arrays included
+ * Throws a TypeError naming the property path of the first invalid value.
+ * undefined is valid unless the schema is required.
+ */
+const validateValue = (schema: StateSchema, value: unknown, path: string[]): void => {
+    if (value === undefined) {
+        if (schema.required) {
+            fail(path, 'value is required');
+        }
+        return;
+    }
+    const type = schema.type;
+    if (type !== undefined) {
+        const actual = typeName(value);
+        if (actual !== type) {
+            fail(path, `expected ${type}, got ${actual}`);
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        fail(path, `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+    }
+    if (typeof value === 'number') {
+        validateBounds(schema, value, path, false);
+    } else if (typeof value === 'string') {
+        validateBounds(schema, value.length, path, true);
+    } else if (Array.isArray(value)) {
+        validateItems(schema, value, 0, path);
+    } else if (value !== null && typeof value === 'object' && schema.properties !== undefined) {
+        const properties = schema.properties;
+        const keys = Object.keys(properties);
+        for (let i = 0, len = keys.length; i < len; ++i) {
+            const key = keys[i] as string;
+            validateValue(properties[key] as StateSchema, unwrapValue((value as Record<string, unknown>)[key]), [...path, key]);
+        }
+    }
+};
+
+/**
+ * Convert a primitive value to the type of its schema when it can be converted losslessly
+ * (e.g. "42" to 42 or "true" to true), other values are returned unchanged
+ */
+const coerceValue = (schema: StateSchema, value: unknown): unknown => {
+    switch (schema.type) {
+        case 'number':
+            if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+                return Number(value);
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                return value === 'true';
+            }
+            break;
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'bigint') {
+                return String(value);
+            }
+            break;
+        case 'bigint':
+            if ((typeof value === 'string' && /^-?\d+$/.test(value.trim())) || Number.isInteger(value)) {
+                return BigInt(typeof value === 'string' ? value.trim() : (value as number));
+            }
+            break;
+    }
+    return value;
+};
+
+/**
+ * Create the write checks of a state() tree from a schema
+ * Pass the result as the schema option of state(). In DEV the initial object and every write are
+ * validated, in production writes are coerced when the coerce option is set.
+ */
+export const schema = (definition: StateSchema): Schema => {
+    const hooks: Schema & SchemaHooks = {
+        definition,
+        $_write(path, target, property, value) {
+            const targetSchema = schemaAt(definition, path);
+            if (targetSchema === undefined) {
+                return value;
+            }
+            if (Array.isArray(target) && property === 'length') {
+                if (DEV) {
+                    validateBounds(targetSchema, value as number, path, true);
+                }
+                return value;
+            }
+            const propertySchema = childSchema(targetSchema, property);
+            if (propertySchema === undefined) {
+                return value;
+            }
+            if (DEV) {
+                validateValue(propertySchema, value, [...path, property]);
+                return value;
+            }
+            return coerceValue(propertySchema, value);
+        },
+        $_items(path, array, from) {
+            const targetSchema = schemaAt(definition, path);
+            if (targetSchema === undefined) {
+                return;
+            }
+            if (DEV) {
+                validateItems(targetSchema, array, from, path);
+                return;
+            }
+            const items = targetSchema.items;
+            if (items !== undefined) {
+                for (let i = from, len = array.length; i < len; ++i) {
+                    array[i] = coerceValue(items, array[i]);
+                }
+            }
+        },
+        $_validate(value) {
+            validateValue(definition, value, []);
+        },
+    };
+    return hooks;
+};
@@ -1,16 +1,54 @@
-import { safeForEach } from './debug';
+import { DEV } from 'esm-env';
+
+import { detachComputed } from './computed';
+import { inspectHooks, safeForEach } from './debug';
 import { activeScope, setActiveScope } from './globals';
-import { childrenSymbol, parentSymbol, trackSymbol } from './symbols';
-import type { OnDisposeCallback, Scope, ScopeCallback, ScopeParent } from './types';
+import { childrenSymbol, errorHandlersSymbol, ownSymbol, parentSymbol, trackSymbol } from './symbols';
+import type { ReactiveNode } from './internal-types';
+import type { ErrorHandler, OnDisposeCallback, OnErrorCallback, Scope, ScopeCallback, ScopeOptions, ScopeParent } from './types';
+
+/**
+ * Pass an error to the nearest error handlers, starting at scope and walking up its parents
+ * A handler that throws passes the thrown error further up, errors nobody handles are logged
+ */
+export const reportError = (scope: ScopeParent | undefined, error: unknown): void => {
+    for (let current = scope; current !== undefined; current = current[parentSymbol] as ScopeParent | undefined) {
+        // Parents not created by scope() have no handlers
+        const handlers = current[errorHandlersSymbol] as ErrorHandler[] | undefined;
+        if (handlers === undefined || handlers.length === 0) {
+            continue;
+        }
+        try {
+            for (let i = 0, len = handlers.length; i < len; ++i) {
+                (handlers[i] as ErrorHandler)(error);
+            }
+            return;
+        } catch (e) {
+            error = e;
+        }
+    }
+    console.error(error);
+};
 
 /**
  * Creates a reactive scope for tracking effects
  * Effects created within a scope callback are automatically tracked and disposed together
+ * With ownComputeds, computeds created within it are detached from their sources too
  */
-export const scope = (callback?: ScopeCallback, parent: Scope | undefined = activeScope): Scope => {
+export const scope = (callback?: ScopeCallback, parent: Scope | undefined = activeScope, options?: ScopeOptions): Scope => {
     const effects: (() => void)[] = [];
     const children: Scope[] = [];
     const cleanups: Array<() => void> = [];
+    // Owned computeds, undefined if the scope doesn't own computeds
+    // Held weakly so computeds created repeatedly (e.g. by effect re-runs) are released when collected
+    const owned: Set<WeakRef<ReactiveNode>> | undefined =
+        (options?.ownComputeds ?? parent?.[ownSymbol] !== undefined) ? new Set() : undefined;
+    const ownedRegistry =
+        owned &&
+        new FinalizationRegistry((ref: WeakRef<ReactiveNode>) => {
+            owned.delete(ref);
+        });
+    const errorHandlers: ErrorHandler[] = [];
     let disposed = false;
     let myIndex = -1;
 
@@ -24,6 +62,18 @@ export const scope = (callback?: ScopeCallback, parent: Scope | undefined = acti
         cleanups.push(cleanup);
     };
 
+    /**
+     * Register a handler for errors of effects, cleanups and child scopes
+     */
+    const onError: OnErrorCallback = handler => {
+        if (disposed) {
+            return;
+        }
+        errorHandlers.push(handler);
+    };
+
+    const report = (error: unknown): void => reportError(ctx, error);
+
     const ctx = ((cb?: ScopeCallback) => {
         if (!cb) {
             // Dispose - return early if already disposed (idempotent)
@@ -34,14 +84,25 @@ export const scope = (callback?: ScopeCallback, parent: Scope | undefined = acti
             disposed = true;
 
             // Dispose children first (depth-first)
-            safeForEach(children);
+            safeForEach(children, report);
 
             // Stop all effects
-            safeForEach(effects);
+            safeForEach(effects, report);
             effects.length = 0;
 
             // Run cleanup handlers
-            safeForEach(cleanups);
+            safeForEach(cleanups, report);
+
+            // Detach owned computeds last so cleanups can still read them
+            if (owned) {
+                for (const ref of owned) {
+                    const node = ref.deref();
+                    if (node !== undefined) {
+                        detachComputed(node);
+                    }
+                }
+                owned.clear();
+            }
 
             // Remove from parent
             if (parent) {
@@ -60,7 +121,7 @@ export const scope = (callback?: ScopeCallback, parent: Scope | undefined = acti
         const prev = activeScope;
         setActiveScope(ctx);
         try {
-            cb(onDispose);
+            cb(onDispose, onError);
         } finally {
             setActiveScope(prev);
         }
@@ -71,6 +132,18 @@ export const scope = (callback?: ScopeCallback, parent: Scope | undefined = acti
     ctx[trackSymbol] = (dispose: () => void) => effects.push(dispose);
     ctx[childrenSymbol] = children;
     ctx[parentSymbol] = parent;
+    ctx[errorHandlersSymbol] = errorHandlers;
+    ctx[ownSymbol] =
+        owned &&
+        ((node: ReactiveNode) => {
+            const ref = new WeakRef(node);
+            owned.add(ref);
+            (ownedRegistry as FinalizationRegistry<WeakRef<ReactiveNode>>).register(node, ref);
+        });
+
+    if (DEV && inspectHooks !== undefined) {
+        inspectHooks.$_scope(ctx, effects);
+    }
 
     // Register with parent
     if (parent) {
@@ -0,0 +1,64 @@
+import { currentComputing, DepsSet, markDependents, tracked, trackStateDependency } from './core';
+import { EffectOptions, EffectPriority, effect } from './effect';
+import { Flag } from './flags';
+import type { ReactiveNode } from './internal-types';
+import type { Selector } from './types';
+
+/**
+ * Creates a keyed selector over source
+ * isSelected(key) is true when key is the current source value. Live readers (effects and
+ * live computeds) depend on their key only, so a change notifies the readers of the previous
+ * and the new key instead of every reader. Non-live computeds poll and depend on source itself.
+ * The selector is updated by a SYNC effect tracked to the active scope, dispose() stops it.
+ * Keys are compared with Object.is.
+ */
+export const selector = <K>(source: () => K): Selector<K> => {
+    const keyDeps = new Map<K, DepsSet<ReactiveNode>>();
+    let value: K;
+
+    const notify = (key: K): void => {
+        const deps = keyDeps.get(key);
+        if (deps !== undefined) {
+            markDependents(deps);
+        }
+    };
+
+    const dispose = effect(
+        () => {
+            const next = source();
+            const prev = value;
+            value = next;
+            if (!Object.is(prev, next)) {
+                notify(prev);
+                notify(next);
+            }
+        },
+        { flags: EffectOptions.EAGER, priority: EffectPriority.SYNC }
+    );
+
+    const isSelected = ((key: K): boolean => {
+        if (tracked && currentComputing !== undefined) {
+            if ((currentComputing.$_flags & (Flag.EFFECT | Flag.LIVE)) === 0) {
+                return Object.is(source(), key);
+            }
+            let deps = keyDeps.get(key);
+            if (deps === undefined) {
+                const created = new DepsSet<ReactiveNode>(
+                    () => Object.is(value, key),
+                    observed => {
+                        // Drop the set with its last live reader
+                        if (!observed && keyDeps.get(key) === created) {
+                            keyDeps.delete(key);
+                        }
+                    }
+                );
+                keyDeps.set(key, created);
+                deps = created;
+            }
+            trackStateDependency(deps, deps.$_getter, Object.is(value, key));
+        }
+        return Object.is(value, key);
+    }) as Selector<K>;
+    isSelected.dispose = dispose;
+    return isSelected;
+};
@@ -0,0 +1,257 @@
+import { untracked, unwrapValue } from './core';
+import type { Signal } from './types';
+
+/**
+ * Indices of values JSON can't represent
+ */
+// biome-ignore lint/suspicious/noConstEnum: optimization
+const enum Special {
+    UNDEFINED = -1,
+    NAN = -2,
+    POSITIVE_INFINITY = -3,
+    NEGATIVE_INFINITY = -4,
+    NEGATIVE_ZERO = -5,
+}
+
+/**
+ * Payload layout: roots maps names to indices into values.
+ * Arrays and plain objects hold indices of their items, other types are tagged arrays
+ * (e.g. ['Date', iso]). Every object is stored once, so shared and circular references survive.
+ */
+type Payload = {
+    roots: Record<string, number>;
+    values: unknown[];
+};
+
+const isPlainObject = (value: object): boolean => {
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Capture the values of named signals and state() roots as a JSON string
+ * Supports JSON values, undefined, NaN, Infinity, -0, BigInt, Date, RegExp, Map and Set,
+ * keeping shared and circular references (also across roots).
+ * `<` and line separators are escaped so the payload can be inlined into a <script> element.
+ * Reads are untracked.
+ */
+export const serialize = (roots: Record<string, object>): string => {
+    const values: unknown[] = [];
+    const indices = new Map<unknown, number>();
+
+    const add = (value: unknown): number => {
+        value = unwrapValue(value);
+        if (value === undefined) {
+            return Special.UNDEFINED;
+        }
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) {
+                return Special.NAN;
+            }
+            if (value === Number.POSITIVE_INFINITY) {
+                return Special.POSITIVE_INFINITY;
+            }
+            if (value === Number.NEGATIVE_INFINITY) {
+                return Special.NEGATIVE_INFINITY;
+            }
+            if (Object.is(value, -0)) {
+                return Special.NEGATIVE_ZERO;
+            }
+        }
+        const known = indices.get(value);
+        if (known !== undefined) {
+            return known;
+        }
+        const index = values.push(undefined) - 1;
+        indices.set(value, index);
+
+        let encoded: unknown;
+        if (value === null || typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+            encoded = value;
+        } else if (typeof value === 'bigint') {
+            encoded = ['BigInt', value.toString()];
+        } else if (Array.isArray(value)) {
+            const items: number[] = [];
+            for (let i = 0, len = value.length; i < len; ++i) {
+                items.push(add(value[i]));
+            }
+            encoded = items;
+        } else if (value instanceof Date) {
+            encoded = ['Date', value.toJSON()];
+        } else if (value instanceof RegExp) {
+            encoded = ['RegExp', value.source, value.flags];
+        } else if (value instanceof Map) {
+            const items: unknown[] = ['Map'];
+            for (const [key, item] of value) {
+                items.push(add(key), add(item));
+            }
+            encoded = items;
+        } else if (value instanceof Set) {
+            const items: unknown[] = ['Set'];
+            for (const item of value) {
+                items.push(add(item));
+            }
+            encoded = items;
+        } else if (typeof value === 'object' && isPlainObject(value)) {
+            const object: Record<string, number> = {};
+            const keys = Object.keys(value);
+            for (let i = 0, len = keys.length; i < len; ++i) {
+                const key = keys[i] as string;
+                object[key] = add((value as Record<string, unknown>)[key]);
+            }
+            encoded = object;
+        } else {
+            throw new Error(`[@slimlib/store] Cannot serialize ${Object.prototype.toString.call(value)}`);
+        }
+        values[index] = encoded;
+        return index;
+    };
+
+    const payload: Payload = { roots: {}, values };
+    untracked(() => {
+        const names = Object.keys(roots);
+        for (let i = 0, len = names.length; i < len; ++i) {
+            const name = names[i] as string;
+            const root = roots[name];
+            payload.roots[name] = add(typeof root === 'function' ? (root as Signal<unknown>)() : root);
+        }
+    });
+
+    return JSON.stringify(payload)
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+};
+
+/**
+ * Write values captured by serialize() into named signals and state() roots
+ * Call before rendering so the first render uses server values. Names missing from the
+ * payload are left as they are. State roots are updated through the proxy: properties missing
+ * from the payload are deleted, the others are replaced keeping shared references.
+ */
+export const hydrate = (payload: string, roots: Record<string, object>): void => {
+    const { roots: names, values } = JSON.parse(payload) as Payload;
+    const decoded = new Map<number, unknown>();
+
+    const invalid = (): never => {
+        throw new Error('[@slimlib/store] Invalid serialized payload');
+    };
+
+    const read = (index: number): unknown => {
+        switch (index) {
+            case Special.UNDEFINED:
+                return undefined;
+            case Special.NAN:
+                return Number.NaN;
+            case Special.POSITIVE_INFINITY:
+                return Number.POSITIVE_INFINITY;
+            case Special.NEGATIVE_INFINITY:
+                return Number.NEGATIVE_INFINITY;
+            case Special.NEGATIVE_ZERO:
+                return -0;
+        }
+        if (decoded.has(index)) {
+            return decoded.get(index);
+        }
+        if (!(index >= 0 && index < values.length)) {
+            invalid();
+        }
+        const entry = values[index];
+        if (entry === null || typeof entry !== 'object') {
+            decoded.set(index, entry);
+            return entry;
+        }
+        if (!Array.isArray(entry)) {
+            // Register before reading properties so circular references resolve
+            const object: Record<string, unknown> = {};
+            decoded.set(index, object);
+            const keys = Object.keys(entry);
+            for (let i = 0, len = keys.length; i < len; ++i) {
+                const key = keys[i] as string;
+                Object.defineProperty(object, key, {
+                    value: read((entry as Record<string, number>)[key] as number),
+                    writable: true,
+                    enumerable: true,
+                    configurable: true,
+                });
+            }
+            return object;
+        }
+        const tag = entry[0];
+        if (typeof tag !== 'string') {
+            const array: unknown[] = [];
+            decoded.set(index, array);
+            for (let i = 0, len = entry.length; i < len; ++i) {
+                array.push(read(entry[i] as number));
+            }
+            return array;
+        }
+        let value: unknown;
+        switch (tag) {
+            case 'BigInt':
+                value = BigInt(entry[1] as string);
+                break;
+            case 'Date':
+                value = new Date((entry[1] as string | null) ?? Number.NaN);
+                break;
+            case 'RegExp':
+                value = new RegExp(entry[1] as string, entry[2] as string);
+                break;
+            case 'Map': {
+                const map = new Map<unknown, unknown>();
+                decoded.set(index, map);
+                for (let i = 1, len = entry.length; i < len; i += 2) {
+                    map.set(read(entry[i] as number), read(entry[i + 1] as number));
+                }
+                return map;
+            }
+            case 'Set': {
+                const set = new Set<unknown>();
+                decoded.set(index, set);
+                for (let i = 1, len = entry.length; i < len; ++i) {
+                    set.add(read(entry[i] as number));
+                }
+                return set;
+            }
+            default:
+                invalid();
+        }
+        decoded.set(index, value);
+        return value;
+    };
+
+    untracked(() => {
+        const keys = Object.keys(roots);
+        for (let i = 0, len = keys.length; i < len; ++i) {
+            const name = keys[i] as string;
+            if (!Object.hasOwn(names, name)) {
+                continue;
+            }
+            const value = read(names[name] as number);
+            const root = roots[name];
+            if (typeof root === 'function') {
+                (root as Signal<unknown>).set(value);
+                continue;
+            }
+            if (value === null || typeof value !== 'object') {
+                throw new Error(`[@slimlib/store] Cannot hydrate state "${name}" with a non-object value`);
+            }
+            const proxy = root as Record<string, unknown>;
+            const current = Object.keys(proxy);
+            for (let j = 0, count = current.length; j < count; ++j) {
+                const key = current[j] as string;
+                if (!Object.hasOwn(value, key)) {
+                    delete proxy[key];
+                }
+            }
+            const next = Object.keys(value);
+            for (let j = 0, count = next.length; j < count; ++j) {
+                const key = next[j] as string;
+                proxy[key] = (value as Record<string, unknown>)[key];
+            }
+            if (Array.isArray(value)) {
+                (proxy as unknown as unknown[]).length = value.length;
+            }
+        }
+    });
+};
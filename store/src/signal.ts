@@ -1,7 +1,15 @@
-import { currentComputing, DepsSet, markDependents, tracked, trackStateDependency } from './core';
-import { warnIfWriteInComputed } from './debug';
+import { DEV } from 'esm-env';
+
+import { currentComputing, DepsSet, markDependents, noopWatcher, tracked, trackStateDependency, untracked } from './core';
+import { inspectHooks, warnIfWriteInComputed } from './debug';
 import type { ReactiveNode } from './internal-types';
-import type { Signal } from './types';
+import type { Signal, SignalOptions } from './types';
+
+/**
+ * Polling getter of signals with `equals: false`
+ * Returns a value no stored primitive is equal to, so non-live computeds never treat a write as a revert
+ */
+const changedGetter = (): unknown => changedGetter;
 
 /**
  * Create a simple signal without an initial value
@@ -10,13 +18,27 @@ export function signal<T>(): Signal<T | undefined>;
 /**
  * Create a simple signal with an initial value
  */
-export function signal<T>(initialValue: T): Signal<T>;
+export function signal<T>(initialValue: T, options?: SignalOptions<T>): Signal<T>;
 /**
  * Create a simple signal
  */
-export function signal<T>(initialValue?: T): Signal<T> {
+export function signal<T>(initialValue?: T, options?: SignalOptions<T>): Signal<T> {
     let value = initialValue as T;
     let deps: DepsSet<ReactiveNode> | undefined;
+    const equals = options?.equals ?? Object.is;
+    const pollGetter = equals === false ? changedGetter : undefined;
+
+    // Lifecycle hooks are called when deps gains its first live consumer or loses its last one
+    // Hooks run untracked so reads inside them don't subscribe the consumer being linked
+    const watcher =
+        options === undefined
+            ? noopWatcher
+            : (observed: boolean): void => {
+                  const hook = observed ? options.onObserved : options.onUnobserved;
+                  if (hook !== undefined) {
+                      untracked(hook);
+                  }
+              };
 
     /**
      * Read the signal value and track dependency
@@ -28,7 +50,7 @@ export function signal<T>(initialValue?: T): Signal<T> {
         if (tracked && currentComputing !== undefined) {
             // Pass value getter for polling optimization (value revert detection)
             // biome-ignore lint/suspicious/noAssignInExpressions: optimization
-            trackStateDependency((deps ??= new DepsSet<ReactiveNode>(read)), read, value);
+            trackStateDependency((deps ??= new DepsSet<ReactiveNode>(read, watcher)), pollGetter ?? read, value);
         }
         return value;
         // === END PULL PHASE ===
@@ -42,7 +64,7 @@ export function signal<T>(initialValue?: T): Signal<T> {
         // When the signal value changes, we eagerly propagate dirty/check flags
         // to all dependents via markDependents
         warnIfWriteInComputed('signal');
-        if (!Object.is(value, newValue)) {
+        if (equals === false || !equals(value, newValue)) {
             value = newValue;
             if (deps !== undefined) {
                 markDependents(deps); // Push: notify all dependents
@@ -51,5 +73,9 @@ export function signal<T>(initialValue?: T): Signal<T> {
         // === END PUSH PHASE ===
     };
 
+    if (DEV && inspectHooks !== undefined) {
+        inspectHooks.$_signal(read, () => deps);
+    }
+
     return read;
 }
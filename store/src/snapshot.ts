@@ -0,0 +1,165 @@
+import { untracked, unwrapValue } from './core';
+import { snapshotSymbol } from './symbols';
+import type { Snapshot } from './types';
+
+type PlainObject = Record<string, unknown>;
+
+/**
+ * Only arrays and plain objects are copied, everything else is kept by reference
+ */
+const isPlain = (value: unknown): value is PlainObject => {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return true;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
+const createCopy = (source: PlainObject): PlainObject =>
+    (Array.isArray(source) ? new Array(source.length) : Object.create(Object.getPrototypeOf(source))) as PlainObject;
+
+/**
+ * Snapshot a raw value
+ * The last snapshot of every extensible object is cached on it (snapshotSymbol) and dropped by the
+ * state proxy traps when the object's own properties change. A cached snapshot is reused
+ * only if all nested snapshots are also unchanged, so unchanged subtrees keep their identity.
+ */
+export const snapshotValue = (value: unknown): unknown => {
+    if (!isPlain(value)) {
+        return value;
+    }
+    const cached = value[snapshotSymbol as unknown as string] as PlainObject | undefined;
+    const keys = Object.keys(value);
+    let copy = cached === undefined ? createCopy(value) : undefined;
+
+    for (let i = 0, len = keys.length; i < len; ++i) {
+        const key = keys[i] as string;
+        const child = snapshotValue(value[key]);
+        if (copy === undefined) {
+            if ((cached as PlainObject)[key] === child) {
+                continue;
+            }
+            // First changed child - copy the unchanged prefix from the cached snapshot
+            copy = createCopy(value);
+            for (let j = 0; j < i; ++j) {
+                const prevKey = keys[j] as string;
+                copy[prevKey] = (cached as PlainObject)[prevKey];
+            }
+        }
+        copy[key] = child;
+    }
+
+    if (copy === undefined) {
+        return cached;
+    }
+
+    Object.freeze(copy);
+    // Frozen and sealed objects can't hold the cache - they are copied on every snapshot
+    if (Object.isExtensible(value)) {
+        Object.defineProperty(value, snapshotSymbol, { value: copy, writable: true, configurable: true });
+    }
+    return copy;
+};
+
+/**
+ * Deep frozen copy of a raw value that neither reads nor stores the snapshot cache
+ * For values outside state trees, whose in-place writes don't drop a cached snapshot
+ */
+export const copyValue = (value: unknown): unknown => {
+    if (!isPlain(value)) {
+        return value;
+    }
+    const copy = createCopy(value);
+    const keys = Object.keys(value);
+    for (let i = 0, len = keys.length; i < len; ++i) {
+        const key = keys[i] as string;
+        copy[key] = copyValue(value[key]);
+    }
+    return Object.freeze(copy);
+};
+
+/**
+ * Deep mutable copy of a snapshot value (snapshots are frozen and can't be written into state as is)
+ * Frozen sources are used as the cached snapshot of their copy, so the next snapshot shares them
+ */
+export const cloneValue = (value: unknown): unknown => {
+    if (!isPlain(value)) {
+        return value;
+    }
+    const copy = createCopy(value);
+    const keys = Object.keys(value);
+    for (let i = 0, len = keys.length; i < len; ++i) {
+        const key = keys[i] as string;
+        copy[key] = cloneValue(value[key]);
+    }
+    if (Object.isFrozen(value)) {
+        Object.defineProperty(copy, snapshotSymbol, { value, writable: true, configurable: true });
+    }
+    return copy;
+};
+
+/**
+ * Write the difference between the current raw object and a snapshot through the proxy
+ */
+const restoreValue = (proxy: PlainObject, current: PlainObject, snap: PlainObject): void => {
+    const keys = Object.keys(snap);
+    for (let i = 0, len = keys.length; i < len; ++i) {
+        const key = keys[i] as string;
+        const next = snap[key];
+        const prev = current[key];
+        if (prev === next && Object.hasOwn(current, key)) {
+            continue;
+        }
+        // Map and Set have no JSON form - the plain object or array JSON turned them into
+        // (e.g. read by persist() with the default deserialize) leaves them as they are
+        if ((prev instanceof Map || prev instanceof Set) && isPlain(next)) {
+            continue;
+        }
+        if (isPlain(prev) && isPlain(next) && Array.isArray(prev) === Array.isArray(next)) {
+            // Same kind of container - descend so only changed leaves are written
+            restoreValue(proxy[key] as PlainObject, prev, next);
+        } else {
+            proxy[key] = cloneValue(next);
+        }
+    }
+
+    if (Array.isArray(current)) {
+        // Delete trailing items one by one so their index dependents are notified
+        const snapLength = (snap as unknown as unknown[]).length;
+        for (let i = current.length - 1; i >= snapLength; --i) {
+            delete proxy[i];
+        }
+        (proxy as unknown as unknown[]).length = snapLength;
+    } else {
+        const currentKeys = Object.keys(current);
+        for (let i = 0, len = currentKeys.length; i < len; ++i) {
+            const key = currentKeys[i] as string;
+            if (!Object.hasOwn(snap, key)) {
+                delete proxy[key];
+            }
+        }
+    }
+
+    // The object now matches the snapshot, so the next snapshot can share it
+    if (Object.isFrozen(snap)) {
+        Object.defineProperty(current, snapshotSymbol, { value: snap, writable: true, configurable: true });
+    }
+};
+
+/**
+ * Take a deep frozen plain copy of a state tree (or any object)
+ * Arrays and plain objects are copied; other objects (Date, Map, class instances) are kept by reference.
+ * Subtrees that did not change through the state proxy since the previous snapshot are shared with it.
+ */
+export const snapshot = <T extends object>(stateProxy: T): Snapshot<T> => snapshotValue(unwrapValue(stateProxy)) as Snapshot<T>;
+
+/**
+ * Replace the contents of a state tree with a snapshot
+ * Only properties that differ are written (through the proxy), so only their dependents are notified.
+ */
+export const restore = <T extends object>(stateProxy: T, value: Snapshot<T>): void => {
+    untracked(() => restoreValue(stateProxy as PlainObject, unwrapValue(stateProxy) as PlainObject, value as PlainObject));
+};
@@ -1,7 +1,260 @@
+import { DEV } from 'esm-env';
+
 import { currentComputing, DepsSet, markDependents, tracked, trackStateDependency, unwrapValue } from './core';
-import { warnIfWriteInComputed } from './debug';
-import { propertyDepsSymbol, unwrap } from './symbols';
-import type { ReactiveNode } from './internal-types';
+import { inspectHooks, warnIfWriteInComputed } from './debug';
+import { absentSymbol, internalsSymbol, iterateSymbol, keyDepsSymbol, propertyDepsSymbol, snapshotSymbol, unwrap } from './symbols';
+import type { ReactiveNode, SchemaHooks, StateInternals, WriteListener } from './internal-types';
+import type { StateOptions } from './types';
+
+type Collection = Map<unknown, unknown> | Set<unknown>;
+type DepsMap = Map<unknown, DepsSet<ReactiveNode>>;
+
+/**
+ * Get or create a deps map stored on the target under a non-enumerable symbol
+ */
+const depsMapOf = (target: object, symbol: symbol): DepsMap => {
+    let depsMap = (target as Record<symbol, unknown>)[symbol] as DepsMap | undefined;
+    if (depsMap === undefined) {
+        depsMap = new Map();
+        Object.defineProperty(target, symbol, { value: depsMap });
+    }
+    return depsMap;
+};
+
+/**
+ * PULL PHASE: Track a dependency on one entry of a deps map
+ */
+const trackDeps = (depsMap: DepsMap, key: unknown, getter: () => unknown): void => {
+    if (tracked && currentComputing !== undefined) {
+        let deps = depsMap.get(key);
+        if (deps === undefined) {
+            // biome-ignore lint/suspicious/noAssignInExpressions: optimization
+            depsMap.set(key, (deps = new DepsSet<ReactiveNode>(getter)));
+            if (DEV && inspectHooks !== undefined) {
+                inspectHooks.$_stateDeps(deps, key === iterateSymbol ? '[iterate]' : String(key));
+            }
+        }
+        trackStateDependency(deps, deps.$_getter as () => unknown, deps.$_getter());
+    }
+};
+
+/**
+ * PUSH PHASE: Notify dependents of one entry of a deps map
+ */
+const notifyDeps = (target: object, symbol: symbol, key: unknown): void => {
+    const deps = ((target as Record<symbol, unknown>)[symbol] as DepsMap | undefined)?.get(key);
+    if (deps !== undefined) {
+        markDependents(deps);
+    }
+};
+
+/**
+ * PUSH PHASE: Notify dependents of all keys of a Map/Set
+ */
+const notifyAllKeys = (target: object): void => {
+    const keyDeps = (target as Record<symbol, unknown>)[keyDepsSymbol] as DepsMap | undefined;
+    if (keyDeps !== undefined) {
+        for (const deps of keyDeps.values()) {
+            markDependents(deps);
+        }
+    }
+};
+
+/**
+ * Create a tracking wrapper for a Map/Set method, undefined for methods without special handling
+ * - get/has track only the requested key
+ * - iteration methods track the iteration dependency (size is tracked as a regular property read)
+ * - set/add/delete/clear notify affected keys, size (if it changed) and iteration dependents
+ *   and report each changed entry to write listeners (the key is the property, a Set value is its own key).
+ *   checkWrite runs before a change so a rejected write leaves the collection untouched, and dependents
+ *   are notified even if a listener throws.
+ * Values returned by get and iteration are wrapped like property reads.
+ */
+const createCollectionMethod = (
+    target: Collection,
+    proxy: object,
+    p: string | symbol,
+    isEqual: (a: unknown, b: unknown) => boolean,
+    wrap: (value: unknown) => unknown,
+    emit: (key: unknown, oldValue: unknown, newValue: unknown, had: boolean, has: boolean) => void,
+    checkWrite: () => void
+): ((...args: unknown[]) => unknown) | undefined => {
+    const isMap = target instanceof Map;
+    const map = target as Map<unknown, unknown>;
+    // Map iterators yield [key, value] pairs except keys() and values()
+    const pairs = p === 'entries' || (isMap && p === Symbol.iterator);
+
+    const notifyChanged = (key: unknown, sizeChanged: boolean): void => {
+        notifyDeps(target, keyDepsSymbol, key);
+        if (sizeChanged) {
+            notifyDeps(target, propertyDepsSymbol, 'size');
+        }
+        notifyDeps(target, propertyDepsSymbol, iterateSymbol);
+    };
+
+    switch (p) {
+        case 'get':
+        case 'has':
+            if (p === 'get' && !isMap) {
+                return undefined;
+            }
+            return (key: unknown) => {
+                key = unwrapValue(key);
+                trackDeps(
+                    depsMapOf(target, keyDepsSymbol),
+                    key,
+                    // absentSymbol distinguishes a missing key from a key set to undefined
+                    isMap ? () => (map.has(key) ? map.get(key) : absentSymbol) : () => target.has(key)
+                );
+                return p === 'get' ? wrap(map.get(key)) : target.has(key);
+            };
+        case 'forEach':
+            return (callback: unknown, thisArg?: unknown) => {
+                trackDeps(depsMapOf(target, propertyDepsSymbol), iterateSymbol, () => target);
+                (target as Map<unknown, unknown>).forEach((value, key) => {
+                    (callback as (value: unknown, key: unknown, collection: object) => void).call(thisArg, wrap(value), wrap(key), proxy);
+                });
+            };
+        case 'keys':
+        case 'values':
+        case 'entries':
+        case Symbol.iterator:
+            return () => {
+                trackDeps(depsMapOf(target, propertyDepsSymbol), iterateSymbol, () => target);
+                const iterator = (
+                    (target as unknown as Record<string | symbol, () => Iterator<unknown>>)[p] as () => Iterator<unknown>
+                ).call(target);
+                const wrapped: IterableIterator<unknown> = {
+                    next() {
+                        const result = iterator.next();
+                        if (result.done) {
+                            return result;
+                        }
+                        const value = result.value;
+                        return {
+                            done: false,
+                            value: pairs ? [wrap((value as unknown[])[0]), wrap((value as unknown[])[1])] : wrap(value),
+                        };
+                    },
+                    [Symbol.iterator]() {
+                        return wrapped;
+                    },
+                };
+                return wrapped;
+            };
+        case 'set':
+            if (!isMap) {
+                return undefined;
+            }
+            return (key: unknown, value: unknown) => {
+                warnIfWriteInComputed('state');
+                key = unwrapValue(key);
+                value = unwrapValue(value);
+                const had = map.has(key);
+                const oldValue = map.get(key);
+                const changed = !had || !isEqual(oldValue, value);
+                if (changed) {
+                    checkWrite();
+                }
+                map.set(key, value);
+                if (changed) {
+                    try {
+                        emit(key, oldValue, value, had, true);
+                    } finally {
+                        notifyChanged(key, !had);
+                    }
+                }
+                return proxy;
+            };
+        case 'add':
+            if (isMap) {
+                return undefined;
+            }
+            return (value: unknown) => {
+                warnIfWriteInComputed('state');
+                value = unwrapValue(value);
+                if (!target.has(value)) {
+                    checkWrite();
+                    (target as Set<unknown>).add(value);
+                    try {
+                        emit(value, undefined, value, false, true);
+                    } finally {
+                        notifyChanged(value, true);
+                    }
+                }
+                return proxy;
+            };
+        case 'delete':
+            return (key: unknown) => {
+                warnIfWriteInComputed('state');
+                key = unwrapValue(key);
+                if (!target.has(key)) {
+                    return false;
+                }
+                checkWrite();
+                const oldValue = isMap ? map.get(key) : key;
+                target.delete(key);
+                try {
+                    emit(key, oldValue, undefined, true, false);
+                } finally {
+                    notifyChanged(key, true);
+                }
+                return true;
+            };
+        case 'clear':
+            return () => {
+                warnIfWriteInComputed('state');
+                if (target.size === 0) {
+                    return;
+                }
+                checkWrite();
+                const entries = [...target.entries()];
+                target.clear();
+                try {
+                    for (let i = 0, len = entries.length; i < len; ++i) {
+                        const entry = entries[i] as [unknown, unknown];
+                        emit(entry[0], entry[1], undefined, true, false);
+                    }
+                } finally {
+                    notifyAllKeys(target);
+                    notifyDeps(target, propertyDepsSymbol, 'size');
+                    notifyDeps(target, propertyDepsSymbol, iterateSymbol);
+                }
+            };
+    }
+    return undefined;
+};
+
+/**
+ * Resolve a relative index argument of an array method (negative counts from the end)
+ */
+const relativeIndex = (value: unknown, length: number): number => {
+    const index = Math.trunc(Number(value)) || 0;
+    return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+};
+
+/**
+ * First index an array method call can change, -1 for methods that don't mutate the array
+ */
+const arrayMutationStart = (p: string | symbol, length: number, args: unknown[]): number => {
+    switch (p) {
+        case 'push':
+            return length;
+        case 'pop':
+            return Math.max(length - 1, 0);
+        case 'splice':
+        case 'copyWithin':
+            return relativeIndex(args[0], length);
+        case 'fill':
+            return relativeIndex(args[1], length);
+        case 'shift':
+        case 'unshift':
+        case 'sort':
+        case 'reverse':
+            return 0;
+    }
+    return -1;
+};
 
 /**
  * Creates a store without an initial object
@@ -10,15 +263,25 @@ export function state(): object;
 /**
  * Creates a store with an initial object
  */
-export function state<T extends object>(object: T): T;
+export function state<T extends object>(object: T, options?: StateOptions): T;
 /**
  * Creates a reactive state object
  */
-export function state<T extends object>(object: T = {} as T): T {
+export function state<T extends object>(object: T = {} as T, options?: StateOptions): T {
     // State uses a proxy to intercept reads and writes
     // - Reads trigger PULL phase (trackDependency registers the consumer)
     // - Writes trigger PUSH phase (markDependents propagates dirty flags)
     const proxiesCache = new WeakMap();
+    const equals = options?.equals ?? Object.is;
+    const comparators = options?.comparators;
+    // Writes are validated in DEV and coerced in production when asked to
+    const schema = DEV || options?.coerce === true ? (options?.schema as SchemaHooks | undefined) : undefined;
+
+    /**
+     * Pick the comparator for a property write (per-property comparator wins over equals)
+     */
+    const isEqual = (property: string | symbol, a: unknown, b: unknown): boolean =>
+        (comparators !== undefined && Object.hasOwn(comparators, property) ? (comparators[property] as typeof equals) : equals)(a, b);
 
     /**
      * PUSH PHASE: Notify all dependents that a property changed
@@ -33,23 +296,241 @@ export function state<T extends object>(object: T = {} as T): T {
         }
     };
 
-    const createProxy = <U extends object>(object: U): U => {
+    /**
+     * Drop the cached snapshot of a target after its own properties changed
+     * (see snapshot.ts - parents revalidate their children on the next snapshot)
+     */
+    const invalidateSnapshot = (target: object): void => {
+        if ((target as Record<symbol, unknown>)[snapshotSymbol] !== undefined) {
+            (target as Record<symbol, unknown>)[snapshotSymbol] = undefined;
+        }
+    };
+
+    /**
+     * Write listeners of this state tree (see getStateInternals)
+     * Replaced rather than mutated so emitting is safe while listeners unsubscribe
+     */
+    let writeListeners: WriteListener[] | undefined;
+
+    /**
+     * Names of the subscribed observers that do not support Map and Set writes
+     */
+    let collectionObservers: string[] | undefined;
+
+    const subscribe = (listener: WriteListener, observer?: string): (() => void) => {
+        writeListeners = writeListeners === undefined ? [listener] : [...writeListeners, listener];
+        if (observer !== undefined) {
+            collectionObservers = collectionObservers === undefined ? [observer] : [...collectionObservers, observer];
+        }
+        return () => {
+            const rest = (writeListeners as WriteListener[]).filter(l => l !== listener);
+            writeListeners = rest.length === 0 ? undefined : rest;
+            if (observer !== undefined) {
+                const observers = collectionObservers as string[];
+                observers.splice(observers.indexOf(observer), 1);
+                if (observers.length === 0) {
+                    collectionObservers = undefined;
+                }
+            }
+        };
+    };
+
+    /**
+     * Reject a Map/Set write in DEV while an observer that does not support it is subscribed
+     */
+    const checkCollectionWrite = (): void => {
+        if (DEV && collectionObservers !== undefined) {
+            throw new TypeError(`[@slimlib/store] ${collectionObservers[0]} does not support Map and Set writes`);
+        }
+    };
+
+    const emitWrite = (
+        listeners: WriteListener[],
+        proxy: object,
+        property: unknown,
+        oldValue: unknown,
+        newValue: unknown,
+        had: boolean,
+        has: boolean
+    ): void => {
+        for (let i = 0, len = listeners.length; i < len; ++i) {
+            (listeners[i] as WriteListener)(proxy, property, oldValue, newValue, had, has);
+        }
+    };
+
+    /**
+     * PUSH PHASE: Notify dependents of an array change made directly on the raw array
+     * `before` is a copy of the array items starting at `from` taken before the change.
+     * Only changed indices, length (if it changed) and the iteration dependency are notified.
+     * Writes are reported to listeners per index, so each report is valid on its own: a longer length
+     * before the index writes, removed trailing items from the end and then the shorter length.
+     */
+    const applyArrayDiff = (proxy: object, target: unknown[], before: unknown[], from: number): void => {
+        const listeners = writeListeners;
+        const beforeLength = from + before.length;
+        const afterLength = target.length;
+        let changed = false;
+        if (listeners !== undefined && afterLength > beforeLength) {
+            emitWrite(listeners, proxy, 'length', beforeLength, afterLength, true, true);
+        }
+        for (let i = from; i < afterLength; ++i) {
+            const had = i < beforeLength && i - from in before;
+            const has = i in target;
+            if (had !== has || before[i - from] !== target[i]) {
+                changed = true;
+                if (listeners !== undefined) {
+                    emitWrite(listeners, proxy, String(i), before[i - from], target[i], had, has);
+                }
+                notifyPropertyDependents(target, String(i));
+            }
+        }
+        for (let i = beforeLength - 1; i >= afterLength; --i) {
+            const had = i - from in before;
+            // Removed holes are reported too, so listeners that store holes as values stay aligned
+            if (listeners !== undefined) {
+                emitWrite(listeners, proxy, String(i), before[i - from], undefined, had, false);
+            }
+            if (had) {
+                changed = true;
+                notifyPropertyDependents(target, String(i));
+            }
+        }
+        if (beforeLength !== afterLength) {
+            changed = true;
+            if (listeners !== undefined && afterLength < beforeLength) {
+                emitWrite(listeners, proxy, 'length', beforeLength, afterLength, true, true);
+            }
+            notifyPropertyDependents(target, 'length');
+        }
+        if (changed) {
+            invalidateSnapshot(target);
+            notifyPropertyDependents(target, iterateSymbol);
+        }
+    };
+
+    /**
+     * Report a single property write, after the length it grew an array to (so the index exists when applied in order)
+     */
+    const emitPropertyWrite = (
+        listeners: WriteListener[],
+        proxy: object,
+        target: object,
+        property: string | symbol,
+        oldValue: unknown,
+        newValue: unknown,
+        had: boolean,
+        length: number
+    ): void => {
+        if (Array.isArray(target) && target.length !== length) {
+            emitWrite(listeners, proxy, 'length', length, target.length, true, true);
+        }
+        emitWrite(listeners, proxy, property, oldValue, newValue, had, true);
+    };
+
+    /**
+     * PUSH PHASE: Notify length (if a write changed it) and iteration dependents after a single property write to an array
+     */
+    const notifyArrayShape = (target: unknown[], length: number): void => {
+        if (target.length !== length) {
+            notifyPropertyDependents(target, 'length');
+        }
+        notifyPropertyDependents(target, iterateSymbol);
+    };
+
+    /**
+     * Parent object and key an object was first read from (recorded when its proxy is created)
+     * Used to resolve property paths for write listeners
+     */
+    const parents = new WeakMap<object, [object, string]>();
+
+    const pathOf = (target: object): string[] | undefined => {
+        const path: string[] = [];
+        let current = target;
+        while (current !== object) {
+            const link = parents.get(current);
+            if (link === undefined) {
+                return undefined;
+            }
+            const parent = link[0] as Record<string, unknown>;
+            let key: string | undefined = link[1];
+            if (parent[key] !== current) {
+                // Moved inside its parent (e.g. array reorder) - find the new key
+                key = Object.keys(parent).find(k => parent[k] === current);
+                if (key === undefined) {
+                    return undefined;
+                }
+                link[1] = key;
+            }
+            path.push(key);
+            current = parent;
+        }
+        return path.reverse();
+    };
+
+    /**
+     * Validate (DEV) or coerce (production) a value written to a property
+     * Returns the value to write
+     */
+    const checkWrite = (target: object, property: string | symbol, value: unknown): unknown => {
+        const path = typeof property === 'string' ? pathOf(target) : undefined;
+        return path === undefined ? value : (schema as SchemaHooks).$_write(path, target, property as string, value);
+    };
+
+    const internals: StateInternals = {
+        $_subscribe: subscribe,
+        $_pathOf: pathOf,
+    };
+
+    /**
+     * Wrap an object stored in a Map/Set like a property read
+     * Its proxy has no parent: entries have no property path.
+     */
+    const wrapEntry = (value: unknown): unknown => (value !== null && typeof value === 'object' ? createProxy(value) : value);
+
+    const createProxy = <U extends object>(object: U, parent?: object, key?: string | symbol): U => {
         if (proxiesCache.has(object)) {
             return proxiesCache.get(object) as U;
         }
+        if (parent !== undefined && typeof key === 'string') {
+            parents.set(object, [parent, key]);
+        }
 
         let methodCache: Map<string | symbol, (...args: unknown[]) => unknown> | undefined;
+        // Map and Set get per-key, size and iteration tracking instead of the generic method wrapper
+        const collection = object instanceof Map || object instanceof Set;
+        // Arrays get length, index and iteration tracking for their methods
+        const isArray = Array.isArray(object);
+        let collectionMethods: Map<string | symbol, ((...args: unknown[]) => unknown) | undefined> | undefined;
 
         const proxy = new Proxy(object, {
             // PUSH PHASE: Setting a property notifies all dependents
             set(target, p, newValue) {
                 warnIfWriteInComputed('state');
-                const realValue = unwrapValue(newValue);
+                const realValue = schema !== undefined ? checkWrite(target, p, unwrapValue(newValue)) : unwrapValue(newValue);
                 // Use direct property access instead of Reflect for performance
-                if (!Object.is((target as Record<string | symbol, unknown>)[p], realValue)) {
+                const oldValue = (target as Record<string | symbol, unknown>)[p];
+                if (!isEqual(p, oldValue, realValue)) {
+                    if (isArray && p === 'length') {
+                        // Truncating drops items - diff to notify them like array methods do
+                        const from = Math.min((target as unknown[]).length, realValue as number);
+                        const before = (target as unknown[]).slice(from);
+                        (target as unknown[]).length = realValue as number;
+                        applyArrayDiff(proxy, target as unknown[], before, from);
+                        return true;
+                    }
+                    const listeners = writeListeners;
+                    const had = listeners !== undefined && Object.hasOwn(target, p);
+                    const length = isArray ? (target as unknown[]).length : 0;
                     (target as Record<string | symbol, unknown>)[p] = realValue;
+                    invalidateSnapshot(target);
+                    if (listeners !== undefined) {
+                        emitPropertyWrite(listeners, proxy, target, p, oldValue, realValue, had, length);
+                    }
                     // PUSH: Propagate dirty flags to dependents
                     notifyPropertyDependents(target, p);
+                    if (isArray) {
+                        notifyArrayShape(target as unknown[], length);
+                    }
                     // Clear method cache entry if it was a method
                     methodCache?.delete(p);
                 }
@@ -58,6 +539,32 @@ export function state<T extends object>(object: T = {} as T): T {
             // PULL PHASE: Reading a property registers the dependency
             get(target, p) {
                 if (p === unwrap) return target;
+                if (p === internalsSymbol) return internals;
+                if (collection) {
+                    if (collectionMethods === undefined) {
+                        collectionMethods = new Map();
+                    }
+                    let method = collectionMethods.get(p);
+                    if (method === undefined && !collectionMethods.has(p)) {
+                        method = createCollectionMethod(
+                            target as unknown as Collection,
+                            proxy,
+                            p,
+                            equals,
+                            wrapEntry,
+                            (key, oldValue, newValue, had, has) => {
+                                if (writeListeners !== undefined) {
+                                    emitWrite(writeListeners, proxy, key, oldValue, newValue, had, has);
+                                }
+                            },
+                            checkCollectionWrite
+                        );
+                        collectionMethods.set(p, method);
+                    }
+                    if (method !== undefined) {
+                        return method;
+                    }
+                }
                 // Use direct property access instead of Reflect for performance
                 const propValue = (target as Record<string | symbol, unknown>)[p];
 
@@ -80,6 +587,9 @@ export function state<T extends object>(object: T = {} as T): T {
                         const propertyGetter = () => (target as Record<string | symbol, unknown>)[p];
                         // biome-ignore lint/suspicious/noAssignInExpressions: optimization
                         propsMap.set(p, (deps = new DepsSet<ReactiveNode>(propertyGetter)));
+                        if (DEV && inspectHooks !== undefined) {
+                            inspectHooks.$_stateDeps(deps, String(p));
+                        }
                     }
 
                     // PULL: Bidirectional linking with optimization
@@ -110,52 +620,126 @@ export function state<T extends object>(object: T = {} as T): T {
                     if (cached === undefined) {
                         // Capture method reference at cache time to avoid re-reading on each call
                         const method = propValue as (...args: unknown[]) => unknown;
-                        cached = (...args: unknown[]) => {
-                            // Unwrap in-place - args is already a new array from rest params
-                            for (let i = 0, len = args.length; i < len; ++i) {
-                                args[i] = unwrapValue(args[i]);
-                            }
-                            const result = method.apply(target, args);
-                            // PUSH PHASE: Notify after function call (function may have mutated state)
-                            // Only notify if we're NOT currently inside an effect/computed execution
-                            // to avoid infinite loops when reading during effect
-                            if (currentComputing === undefined) {
-                                const propsMap = (target as Record<symbol, unknown>)[propertyDepsSymbol] as
-                                    | Map<string | symbol, DepsSet<ReactiveNode>>
-                                    | undefined;
-                                if (propsMap === undefined) return result;
-                                for (const deps of propsMap.values()) {
-                                    // PUSH: Propagate dirty flags to all property dependents
-                                    markDependents(deps);
-                                }
-                            }
-                            return result;
-                        };
+                        cached = isArray
+                            ? (...args: unknown[]) => {
+                                  for (let i = 0, len = args.length; i < len; ++i) {
+                                      args[i] = unwrapValue(args[i]);
+                                  }
+                                  const from = arrayMutationStart(p, (target as unknown[]).length, args);
+                                  if (from < 0) {
+                                      // PULL: Reading methods depend on all items
+                                      trackDeps(depsMapOf(target, propertyDepsSymbol), iterateSymbol, () => target);
+                                      return method.apply(target, args);
+                                  }
+                                  warnIfWriteInComputed('state');
+                                  const path = schema !== undefined ? pathOf(target) : undefined;
+                                  if (DEV && path !== undefined) {
+                                      // Validate the result on a copy so an invalid call leaves the array untouched
+                                      const copy = (target as unknown[]).slice();
+                                      method.apply(copy, args);
+                                      (schema as SchemaHooks).$_items(path, copy, from);
+                                  }
+                                  // Mutators change the raw array directly - keep the items they can touch to diff
+                                  const before = (target as unknown[]).slice(from);
+                                  const result = method.apply(target, args);
+                                  if (!DEV && path !== undefined) {
+                                      (schema as SchemaHooks).$_items(path, target as unknown[], from);
+                                  }
+                                  // PUSH: Notify only changed indices, length and iteration dependents
+                                  applyArrayDiff(proxy, target as unknown[], before, from);
+                                  return result;
+                              }
+                            : (...args: unknown[]) => {
+                                  // Unwrap in-place - args is already a new array from rest params
+                                  for (let i = 0, len = args.length; i < len; ++i) {
+                                      args[i] = unwrapValue(args[i]);
+                                  }
+                                  const result = method.apply(target, args);
+                                  invalidateSnapshot(target);
+                                  // PUSH PHASE: Notify after function call (function may have mutated state)
+                                  // Only notify if we're NOT currently inside an effect/computed execution
+                                  // to avoid infinite loops when reading during effect
+                                  if (currentComputing === undefined) {
+                                      const propsMap = (target as Record<symbol, unknown>)[propertyDepsSymbol] as
+                                          | Map<string | symbol, DepsSet<ReactiveNode>>
+                                          | undefined;
+                                      if (propsMap !== undefined) {
+                                          for (const deps of propsMap.values()) {
+                                              // PUSH: Propagate dirty flags to all property dependents
+                                              markDependents(deps);
+                                          }
+                                      }
+                                      // Other methods of Map/Set subclasses may change any key
+                                      if (collection) {
+                                          notifyAllKeys(target);
+                                      }
+                                  }
+                                  return result;
+                              };
                         methodCache.set(p, cached);
                     }
                     return cached;
                 }
 
                 // Object - create nested proxy
-                return createProxy(propValue as object);
+                return createProxy(propValue as object, target, p);
             },
             // PUSH PHASE: Defining a property notifies dependents
             defineProperty(target, property, attributes) {
                 warnIfWriteInComputed('state');
+                if (schema !== undefined && 'value' in attributes) {
+                    const value = checkWrite(target, property, attributes.value);
+                    if (value !== attributes.value) {
+                        attributes = { ...attributes, value };
+                    }
+                }
+                const listeners = writeListeners;
+                const had = listeners !== undefined && Object.hasOwn(target, property);
+                const oldValue = listeners !== undefined ? (target as Record<string | symbol, unknown>)[property] : undefined;
+                const length = isArray ? (target as unknown[]).length : 0;
                 const result = Reflect.defineProperty(target, property, attributes);
                 if (result) {
+                    invalidateSnapshot(target);
+                    if (listeners !== undefined) {
+                        emitPropertyWrite(
+                            listeners,
+                            proxy,
+                            target,
+                            property,
+                            oldValue,
+                            (target as Record<string | symbol, unknown>)[property],
+                            had,
+                            length
+                        );
+                    }
                     // PUSH: Propagate dirty flags to dependents
                     notifyPropertyDependents(target, property);
+                    if (isArray) {
+                        notifyArrayShape(target as unknown[], length);
+                    }
                 }
                 return result;
             },
             // PUSH PHASE: Deleting a property notifies dependents
             deleteProperty(target, p) {
                 warnIfWriteInComputed('state');
+                if (DEV && schema !== undefined) {
+                    checkWrite(target, p, undefined);
+                }
+                const listeners = writeListeners;
+                const had = listeners !== undefined && Object.hasOwn(target, p);
+                const oldValue = listeners !== undefined ? (target as Record<string | symbol, unknown>)[p] : undefined;
                 const result = Reflect.deleteProperty(target, p);
                 if (result) {
+                    invalidateSnapshot(target);
+                    if (had) {
+                        emitWrite(listeners as WriteListener[], proxy, p, oldValue, undefined, true, false);
+                    }
                     // PUSH: Propagate dirty flags to dependents
                     notifyPropertyDependents(target, p);
+                    if (isArray) {
+                        notifyPropertyDependents(target, iterateSymbol);
+                    }
                     // Clear method cache entry if it was a method
                     methodCache?.delete(p);
                 }
@@ -166,5 +750,21 @@ export function state<T extends object>(object: T = {} as T): T {
         return proxy as U;
     };
 
+    if (DEV && schema !== undefined) {
+        schema.$_validate(unwrapValue(object));
+    }
+
     return createProxy(object);
 }
+
+/**
+ * Get the internal API of the state() tree a proxy belongs to
+ * Used by history and patches
+ */
+export const getStateInternals = (stateProxy: object): StateInternals => {
+    const internals = (stateProxy as Record<symbol, unknown>)[internalsSymbol] as StateInternals | undefined;
+    if (internals === undefined) {
+        throw new TypeError('[@slimlib/store] Expected a state() proxy.');
+    }
+    return internals;
+};
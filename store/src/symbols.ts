@@ -6,5 +6,25 @@ export const [
     trackSymbol,
     childrenSymbol,
     parentSymbol,
+    snapshotSymbol,
+    internalsSymbol,
+    keyDepsSymbol,
+    iterateSymbol,
+    errorHandlersSymbol,
+    ownSymbol,
+    absentSymbol,
     // biome-ignore lint/suspicious/noSparseArray: fine
-] = Array.from([, , , , ,], Symbol) as [symbol, symbol, symbol, symbol, symbol];
+] = Array.from([, , , , , , , , , , , ,], Symbol) as [
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+    symbol,
+];
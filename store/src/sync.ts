@@ -0,0 +1,126 @@
+import { untracked, unwrapValue } from './core';
+import { activeScope } from './globals';
+import { isCollectionWrite, toPointer } from './patches';
+import { reportError } from './scope';
+import { cloneValue, snapshotValue } from './snapshot';
+import { getStateInternals } from './state';
+import { trackSymbol } from './symbols';
+import type { SyncMessage, SyncOptions, SyncTransport } from './types';
+
+/**
+ * Logical time of the last write of a path: [clock, peer]
+ */
+type Stamp = [number, string];
+
+/**
+ * Whether a write stamped with clock and peer is newer than stamp
+ */
+const isNewer = (clock: number, peer: string, stamp: Stamp | undefined): boolean =>
+    stamp === undefined || clock > stamp[0] || (clock === stamp[0] && peer > stamp[1]);
+
+/**
+ * Synchronize a state() tree with other contexts (tabs, workers) over a message transport
+ * Local writes are posted as property-level changes, remote changes are applied through
+ * the proxies without being posted back. Concurrent writes are resolved per path with
+ * Lamport clocks: the last writer wins, ties go to the greater peer id.
+ * Peers are expected to start from the same state (e.g. persisted or server-rendered).
+ * Tracked to the active scope like an effect; dispose stops listening and posting.
+ */
+export const sync = (stateProxy: object, transport: SyncTransport, options?: SyncOptions): (() => void) => {
+    const internals = getStateInternals(stateProxy);
+    const peer = options?.id ?? Math.random().toString(36).slice(2);
+    const stamps = new Map<string, Stamp>();
+    const scope = activeScope;
+    let clock = 0;
+    let applying = false;
+
+    const unsubscribe = internals.$_subscribe((proxy, property, _oldValue, newValue, _had, has) => {
+        if (applying) {
+            return;
+        }
+        const target = unwrapValue(proxy);
+        if (isCollectionWrite(target) || typeof property !== 'string') {
+            return;
+        }
+        const path = internals.$_pathOf(target);
+        // Objects that are no longer part of the tree
+        if (path === undefined) {
+            return;
+        }
+        path.push(property);
+        stamps.set(toPointer(path), [++clock, peer]);
+        const message: SyncMessage = { peer, clock, path, has };
+        if (has) {
+            message.value = snapshotValue(newValue);
+        }
+        try {
+            transport.postMessage(message);
+        } catch (e) {
+            reportError(scope, e);
+        }
+    }, 'sync');
+
+    const receive = (message: SyncMessage): void => {
+        clock = Math.max(clock, message.clock);
+        const path = message.path;
+        // A newer local write to the path or one of its parents wins
+        for (let i = 1, len = path.length; i <= len; ++i) {
+            if (!isNewer(message.clock, message.peer, stamps.get(toPointer(path.slice(0, i))))) {
+                return;
+            }
+        }
+        let parent = stateProxy as Record<string, unknown>;
+        for (let i = 0, last = path.length - 1; i < last; ++i) {
+            const next = parent[path[i] as string];
+            // Path does not exist here
+            if (next === null || typeof next !== 'object') {
+                return;
+            }
+            parent = next as Record<string, unknown>;
+        }
+        const key = path[path.length - 1] as string;
+        stamps.set(toPointer(path), [message.clock, message.peer]);
+        applying = true;
+        try {
+            if (message.has) {
+                parent[key] = cloneValue(message.value);
+            } else {
+                delete parent[key];
+            }
+        } finally {
+            applying = false;
+        }
+    };
+
+    const listener = (event: MessageEvent): void => {
+        const message = event.data as SyncMessage;
+        // Ignore unrelated messages sharing the transport
+        if (message === null || typeof message !== 'object' || typeof message.clock !== 'number' || !Array.isArray(message.path)) {
+            return;
+        }
+        try {
+            untracked(() => receive(message));
+        } catch (e) {
+            reportError(scope, e);
+        }
+    };
+    // Listen next to other listeners of the transport instead of replacing its onmessage
+    transport.addEventListener('message', listener);
+    transport.start?.();
+
+    let disposed = false;
+    const dispose = (): void => {
+        if (disposed) {
+            return;
+        }
+        disposed = true;
+        unsubscribe();
+        transport.removeEventListener('message', listener);
+    };
+
+    if (scope) {
+        (scope[trackSymbol] as (dispose: () => void) => void)(dispose);
+    }
+
+    return dispose;
+};
@@ -0,0 +1,344 @@
+import { computedRead } from './computed';
+import {
+    addDependent,
+    createSourceEntry,
+    currentComputing,
+    DepsSet,
+    globalVersion,
+    makeLive,
+    makeNonLive,
+    markDependents,
+    noopGetter,
+    removeDependent,
+    tracked,
+    trackStateDependency,
+    untracked,
+} from './core';
+import { Flag } from './flags';
+import type { ReactiveNode, SourceEntry } from './internal-types';
+
+const watched = Symbol('watched');
+const unwatched = Symbol('unwatched');
+
+/**
+ * Options of TC39Signal.State and TC39Signal.Computed (see the TC39 Signals proposal)
+ */
+export type TC39SignalOptions<T> = {
+    /**
+     * Called with the signal as this to decide whether a new value is different (defaults to Object.is)
+     */
+    equals?: (this: State<T> | Computed<T>, a: T, b: T) => boolean;
+    /**
+     * Called when the signal gets its first watcher or live computed
+     */
+    [watched]?: (this: State<T> | Computed<T>) => void;
+    /**
+     * Called when the signal loses its last watcher or live computed
+     */
+    [unwatched]?: (this: State<T> | Computed<T>) => void;
+};
+
+/**
+ * Internals of a State, kept out of the instance so they don't show up in its public shape
+ */
+type StateInternals = {
+    $_value: unknown;
+    $_deps: DepsSet<ReactiveNode>;
+    $_equals: (a: unknown, b: unknown) => boolean;
+};
+
+const states = new WeakMap<State<unknown>, StateInternals>();
+
+/**
+ * Nodes of Computed and Watcher instances
+ */
+const nodes = new WeakMap<object, ReactiveNode>();
+
+/**
+ * Adapter instances by the DepsSet (State) or node (Computed, Watcher) backing them
+ */
+const wrappers = new WeakMap<object, State<unknown> | Computed<unknown> | Watcher>();
+
+/**
+ * True while a Watcher notify callback runs, signals must not be read or written then
+ */
+let notifying = false;
+
+const assertNotNotifying = (action: string): void => {
+    if (notifying) {
+        throw new Error(`[@slimlib/store] Cannot ${action} signals during a Watcher callback`);
+    }
+};
+
+/**
+ * DepsSet watcher calling the watched/unwatched options untracked
+ */
+const lifecycle =
+    (signal: State<never> | Computed<never>, options: TC39SignalOptions<never> | undefined) =>
+    (observed: boolean): void => {
+        const hook = observed ? options?.[watched] : options?.[unwatched];
+        if (hook !== undefined) {
+            untracked(() => hook.call(signal));
+        }
+    };
+
+const createNode = (
+    deps: DepsSet<ReactiveNode>,
+    flags: number,
+    fn: () => unknown,
+    equals: (a: unknown, b: unknown) => boolean
+): ReactiveNode =>
+    ({
+        $_sources: [],
+        $_deps: deps,
+        $_flags: flags,
+        $_skipped: 0,
+        $_version: 0,
+        $_value: undefined,
+        $_stamp: 0,
+        $_fn: fn,
+        $_equals: equals,
+    }) as ReactiveNode;
+
+/**
+ * Writable signal of the TC39 Signals proposal backed by a DepsSet like signal()
+ */
+class State<T> {
+    constructor(initialValue: T, options?: TC39SignalOptions<T>) {
+        const equals = options?.equals;
+        const internals: StateInternals = {
+            $_value: initialValue,
+            $_deps: new DepsSet<ReactiveNode>(
+                () => internals.$_value,
+                lifecycle(this as unknown as State<never>, options as TC39SignalOptions<never>)
+            ),
+            $_equals: equals === undefined ? Object.is : (a, b) => equals.call(this, a as T, b as T),
+        };
+        states.set(this as State<unknown>, internals);
+        wrappers.set(internals.$_deps, this as State<unknown>);
+    }
+
+    get(): T {
+        assertNotNotifying('read');
+        const internals = states.get(this as State<unknown>) as StateInternals;
+        if (tracked && currentComputing !== undefined) {
+            trackStateDependency(internals.$_deps, internals.$_deps.$_getter, internals.$_value);
+        }
+        return internals.$_value as T;
+    }
+
+    set(value: T): void {
+        assertNotNotifying('write');
+        // Computeds must not have side effects (untrack() allows them like in the proposal)
+        if (tracked && currentComputing !== undefined && (currentComputing.$_flags & Flag.EFFECT) === 0) {
+            throw new Error('[@slimlib/store] Cannot write signals inside a Computed');
+        }
+        const internals = states.get(this as State<unknown>) as StateInternals;
+        if (!untracked(() => internals.$_equals(internals.$_value, value))) {
+            internals.$_value = value;
+            markDependents(internals.$_deps);
+        }
+    }
+}
+
+/**
+ * Computed signal of the TC39 Signals proposal backed by a computed() node
+ */
+class Computed<T> {
+    constructor(callback: (this: Computed<T>) => T, options?: TC39SignalOptions<T>) {
+        const equals = options?.equals;
+        const node = createNode(
+            new DepsSet<ReactiveNode>(noopGetter, lifecycle(this as unknown as Computed<never>, options as TC39SignalOptions<never>)),
+            Flag.DIRTY,
+            () => callback.call(this),
+            equals === undefined ? Object.is : (a, b) => untracked(() => equals.call(this, a as T, b as T))
+        );
+        nodes.set(this, node);
+        wrappers.set(node, this as Computed<unknown>);
+    }
+
+    get(): T {
+        assertNotNotifying('read');
+        return computedRead<T>(nodes.get(this) as ReactiveNode);
+    }
+}
+
+/**
+ * Signals watched by each Watcher
+ */
+const watchedSignals = new WeakMap<Watcher, (State<unknown> | Computed<unknown>)[]>();
+
+/**
+ * Watcher of the TC39 Signals proposal
+ * notify is called synchronously at the end of the write that made a watched signal stale
+ * (reading or writing signals in it throws) and is not called again until watch() is called.
+ */
+class Watcher {
+    constructor(notify: (this: Watcher) => void) {
+        // EFFECT (live) node in the SYNC lane whose run is the notification
+        const node = createNode(
+            new DepsSet<ReactiveNode>(noopGetter),
+            Flag.EFFECT,
+            () => {
+                notifying = true;
+                try {
+                    untracked(() => notify.call(this));
+                } finally {
+                    notifying = false;
+                }
+            },
+            Object.is
+        );
+        nodes.set(this, node);
+        wrappers.set(node, this);
+        watchedSignals.set(this, []);
+    }
+
+    /**
+     * Start watching signals and re-arm the notification
+     * Signals are not evaluated, a Computed that was never read links its sources when it is read.
+     */
+    watch(...signals: (State<unknown> | Computed<unknown>)[]): void {
+        const list = watchedSignals.get(this) as (State<unknown> | Computed<unknown>)[];
+        const node = nodes.get(this) as ReactiveNode;
+        for (let i = 0, len = signals.length; i < len; ++i) {
+            assertSignal(signals[i]);
+        }
+        for (let i = 0, len = signals.length; i < len; ++i) {
+            const signal = signals[i] as State<unknown> | Computed<unknown>;
+            if (!list.includes(signal)) {
+                list.push(signal);
+                link(node, signal);
+            }
+        }
+        node.$_flags &= ~(Flag.DIRTY | Flag.CHECK);
+    }
+
+    /**
+     * Stop watching signals
+     */
+    unwatch(...signals: (State<unknown> | Computed<unknown>)[]): void {
+        const list = watchedSignals.get(this) as (State<unknown> | Computed<unknown>)[];
+        const node = nodes.get(this) as ReactiveNode;
+        for (let i = 0, len = signals.length; i < len; ++i) {
+            assertSignal(signals[i]);
+        }
+        for (let i = 0, len = signals.length; i < len; ++i) {
+            const index = list.indexOf(signals[i] as State<unknown> | Computed<unknown>);
+            if (index !== -1) {
+                list.splice(index, 1);
+                unlink(node, index);
+            }
+        }
+    }
+
+    /**
+     * Watched computeds that need to be recomputed
+     */
+    getPending(): Computed<unknown>[] {
+        return (watchedSignals.get(this) as (State<unknown> | Computed<unknown>)[]).filter(
+            signal => signal instanceof Computed && ((nodes.get(signal) as ReactiveNode).$_flags & (Flag.DIRTY | Flag.CHECK)) !== 0
+        ) as Computed<unknown>[];
+    }
+}
+
+/**
+ * Add a signal to the sources of a watcher node like a live read, without evaluating it
+ * The sources of a watcher are kept in the order of its watched signals.
+ */
+const link = (node: ReactiveNode, signal: State<unknown> | Computed<unknown>): void => {
+    if (signal instanceof State) {
+        const internals = states.get(signal) as StateInternals;
+        const deps = internals.$_deps;
+        node.$_sources.push(createSourceEntry(deps, undefined, deps.$_version, deps.$_getter, internals.$_value));
+        addDependent(deps, node);
+        return;
+    }
+    const source = nodes.get(signal) as ReactiveNode;
+    const deps = source.$_deps as DepsSet<ReactiveNode>;
+    node.$_sources.push(createSourceEntry(deps, source, source.$_version, undefined, undefined));
+    addDependent(deps, node);
+    if ((source.$_flags & Flag.LIVE) === 0) {
+        // A non-live computed was not notified of writes since it was last read, it is pending until read again
+        if (source.$_stamp !== globalVersion) {
+            source.$_flags |= Flag.DIRTY;
+        }
+        makeLive(source);
+    }
+};
+
+/**
+ * Remove the source at index of a watcher node, a computed without other live dependents becomes non-live
+ */
+const unlink = (node: ReactiveNode, index: number): void => {
+    const { $_dependents, $_node: source } = node.$_sources[index] as SourceEntry;
+    node.$_sources.splice(index, 1);
+    removeDependent($_dependents as DepsSet<ReactiveNode>, node);
+    if (
+        source !== undefined &&
+        (source.$_flags & (Flag.EFFECT | Flag.LIVE)) === Flag.LIVE &&
+        (source.$_deps as Set<ReactiveNode>).size === 0
+    ) {
+        makeNonLive(source);
+    }
+};
+
+const assertSignal = (signal: unknown): void => {
+    if (!(signal instanceof State || signal instanceof Computed)) {
+        throw new TypeError('[@slimlib/store] Watcher can only watch TC39Signal.State and TC39Signal.Computed');
+    }
+};
+
+/**
+ * Node or DepsSet backing a source entry
+ */
+const sourceOf = (entry: SourceEntry): object => entry.$_node ?? entry.$_dependents;
+
+/**
+ * Dependents of a State or Computed
+ */
+const sinksOf = (signal: State<unknown> | Computed<unknown>): Set<ReactiveNode> =>
+    signal instanceof State ? (states.get(signal) as StateInternals).$_deps : (nodes.get(signal) as ReactiveNode).$_deps;
+
+const toWrappers = <T>(items: Iterable<object>): T[] => {
+    const result: T[] = [];
+    for (const item of items) {
+        const wrapper = wrappers.get(item);
+        if (wrapper !== undefined) {
+            result.push(wrapper as T);
+        }
+    }
+    return result;
+};
+
+/**
+ * Adapter implementing the TC39 Signals proposal API on top of the store engine
+ * Signals of the adapter and signal()/computed()/state() can depend on each other;
+ * introspection only reports adapter instances.
+ */
+export const TC39Signal = {
+    State,
+    Computed,
+    isState: (value: unknown): value is State<unknown> => value instanceof State,
+    isComputed: (value: unknown): value is Computed<unknown> => value instanceof Computed,
+    subtle: {
+        Watcher,
+        isWatcher: (value: unknown): value is Watcher => value instanceof Watcher,
+        untrack: untracked,
+        watched: watched as typeof watched,
+        unwatched: unwatched as typeof unwatched,
+        /**
+         * The Computed being evaluated, undefined outside of a Computed
+         */
+        currentComputed: (): Computed<unknown> | undefined => {
+            const wrapper = currentComputing === undefined ? undefined : wrappers.get(currentComputing);
+            return wrapper instanceof Computed ? wrapper : undefined;
+        },
+        introspectSources: (sink: Computed<unknown> | Watcher): (State<unknown> | Computed<unknown>)[] =>
+            toWrappers(((nodes.get(sink) as ReactiveNode | undefined)?.$_sources ?? []).map(sourceOf)),
+        introspectSinks: (signal: State<unknown> | Computed<unknown>): (Computed<unknown> | Watcher)[] => toWrappers(sinksOf(signal)),
+        hasSources: (sink: Computed<unknown> | Watcher): boolean =>
+            ((nodes.get(sink) as ReactiveNode | undefined)?.$_sources.length ?? 0) !== 0,
+        hasSinks: (signal: State<unknown> | Computed<unknown>): boolean => sinksOf(signal).size !== 0,
+    },
+};
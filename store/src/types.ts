@@ -12,10 +12,32 @@ export type EffectCleanup = () => void;
  */
 export type OnDisposeCallback = (cleanup: () => void) => void;
 
+/**
+ * Handler for errors thrown by effects, cleanups and child scopes of a scope
+ * Returning handles the error, throwing passes the thrown error to the handlers of the parent scope
+ */
+export type ErrorHandler = (error: unknown) => void;
+
+/**
+ * Function to register an error handler on a scope
+ */
+export type OnErrorCallback = (handler: ErrorHandler) => void;
+
 /**
  * Callback function passed to scope
  */
-export type ScopeCallback = (onDispose: OnDisposeCallback) => void;
+export type ScopeCallback = (onDispose: OnDisposeCallback, onError: OnErrorCallback) => void;
+
+/**
+ * Options for scope creation
+ */
+export type ScopeOptions = {
+    /**
+     * Own computeds created while the scope is active and detach them from their sources on dispose
+     * Defaults to the setting of the parent scope
+     */
+    ownComputeds?: boolean;
+};
 
 /**
  * Function type for creating or disposing a scope
@@ -34,19 +56,470 @@ export type Scope = ScopeFunction & { [key: symbol]: unknown };
  */
 export type ScopeParent = { [key: symbol]: unknown };
 
+/**
+ * Scheduler for idle priority effects
+ * The callback may receive a deadline (like requestIdleCallback) used to decide when the flush yields
+ */
+export type IdleScheduler = (callback: (deadline?: { timeRemaining: () => number }) => void) => void;
+
 /**
  * Signal type - a callable that returns the current value with a set method
  */
 export type Signal<T> = (() => T) & { set: (value: T) => void };
 
+/**
+ * Options for signal creation
+ */
+export type SignalOptions<T = unknown> = {
+    /**
+     * Equality function used by set() to decide whether dependents are notified (defaults to Object.is)
+     * Pass false to notify on every set() call
+     */
+    equals?: ((a: T, b: T) => boolean) | false;
+    /**
+     * Called when the signal gains its first live consumer (an effect or a computed read by an effect)
+     */
+    onObserved?: () => void;
+    /**
+     * Called when the signal loses its last live consumer
+     */
+    onUnobserved?: () => void;
+};
+
+/**
+ * Options for state creation
+ */
+export type StateOptions = {
+    /**
+     * Equality function used for property writes (defaults to Object.is)
+     * When it returns true the write is skipped and dependents are not notified
+     */
+    equals?: (a: unknown, b: unknown) => boolean;
+    /**
+     * Per-property equality functions keyed by property name, applied at any depth of the tree
+     * Take precedence over equals
+     */
+    comparators?: { [property: string | symbol]: (a: unknown, b: unknown) => boolean };
+    /**
+     * Schema of the state tree created by schema(): in DEV the initial object and every write
+     * are validated and invalid writes throw. Not checked in production unless coerce is set
+     */
+    schema?: Schema;
+    /**
+     * In production, convert written primitives to the type of their schema (e.g. "42" to 42)
+     */
+    coerce?: boolean;
+};
+
+/**
+ * Runtime schema of a value in a state() tree
+ * Properties and items without a schema are not checked
+ */
+export type StateSchema = {
+    /**
+     * Expected type ('object' excludes null and arrays)
+     */
+    type?: 'string' | 'number' | 'boolean' | 'bigint' | 'object' | 'array';
+    /**
+     * Whether undefined (or a missing property) is invalid
+     */
+    required?: boolean;
+    /**
+     * Allowed values
+     */
+    enum?: readonly unknown[];
+    /**
+     * Minimum of a number, or minimum length of a string or array
+     */
+    min?: number;
+    /**
+     * Maximum of a number, or maximum length of a string or array
+     */
+    max?: number;
+    /**
+     * Schemas of the properties of an object
+     */
+    properties?: { [property: string]: StateSchema };
+    /**
+     * Schema of the items of an array
+     */
+    items?: StateSchema;
+};
+
+/**
+ * Write checks of a StateSchema created by schema(), passed to state() as its schema option
+ */
+export type Schema = {
+    /**
+     * The schema the writes are checked against
+     */
+    readonly definition: StateSchema;
+};
+
 /**
  * A computed value that automatically tracks dependencies and caches results
  * Calling the function returns the current computed value
  */
 export type Computed<T> = () => T;
 
+/**
+ * A computed value with a setter that writes back to its sources
+ * Calling the function returns the current computed value
+ */
+export type WritableComputed<T> = Computed<T> & { set: (value: T) => void };
+
+/**
+ * Deep readonly copy of a state tree returned by snapshot()
+ */
+export type Snapshot<T> = T extends (...args: never[]) => unknown ? T : T extends object ? { readonly [K in keyof T]: Snapshot<T[K]> } : T;
+
+/**
+ * Deep readonly type of a state() tree viewed through readonly()
+ */
+export type ReadonlyState<T> = T extends (...args: never[]) => unknown
+    ? T
+    : T extends Map<infer K, infer V>
+      ? ReadonlyMap<ReadonlyState<K>, ReadonlyState<V>>
+      : T extends Set<infer V>
+        ? ReadonlySet<ReadonlyState<V>>
+        : T extends object
+          ? { readonly [K in keyof T]: ReadonlyState<T[K]> }
+          : T;
+
+/**
+ * JSON Patch (RFC 6902) operation emitted by observePatches() and accepted by applyPatches()
+ * The path is a JSON Pointer (RFC 6901) relative to the state root
+ */
+export type PatchOperation =
+    | { op: 'add'; path: string; value: unknown }
+    | { op: 'replace'; path: string; value: unknown }
+    | { op: 'remove'; path: string };
+
+/**
+ * Options for history creation
+ */
+export type HistoryOptions = {
+    /**
+     * Maximum number of undo steps to keep (defaults to unlimited)
+     */
+    limit?: number;
+};
+
+/**
+ * Synchronous key-value storage used by persist() (localStorage and sessionStorage match it)
+ */
+export type PersistStorage = {
+    getItem: (key: string) => string | null;
+    setItem: (key: string, value: string) => void;
+    removeItem: (key: string) => void;
+};
+
+/**
+ * Stored form of a persisted value
+ */
+export type PersistedValue<T> = {
+    version: number;
+    value: T;
+};
+
+/**
+ * Options for persist()
+ */
+export type PersistOptions<T> = {
+    /**
+     * Storage key
+     */
+    key: string;
+    /**
+     * Storage to read from and write to (defaults to localStorage)
+     */
+    storage?: PersistStorage;
+    /**
+     * Convert the stored form to a string (defaults to JSON.stringify)
+     */
+    serialize?: (data: PersistedValue<T>) => string;
+    /**
+     * Convert a stored string back (defaults to JSON.parse)
+     */
+    deserialize?: (text: string) => PersistedValue<unknown>;
+    /**
+     * Schema version written with the value (defaults to 0)
+     */
+    version?: number;
+    /**
+     * Convert a value stored with another version, without it such values are ignored
+     */
+    migrate?: (value: unknown, version: number) => T;
+    /**
+     * Delay in milliseconds after the last change before the value is written (defaults to 100)
+     */
+    wait?: number;
+};
+
+/**
+ * Property-level change sent between sync() peers
+ * clock and peer order concurrent writes (last writer wins, ties broken by peer id)
+ */
+export type SyncMessage = {
+    peer: string;
+    clock: number;
+    path: string[];
+    has: boolean;
+    value?: unknown;
+};
+
+/**
+ * Message transport used by sync() (BroadcastChannel, MessagePort and Worker match it)
+ */
+export type SyncTransport = {
+    postMessage: (message: SyncMessage) => void;
+    addEventListener: (type: 'message', listener: (event: MessageEvent) => void) => void;
+    removeEventListener: (type: 'message', listener: (event: MessageEvent) => void) => void;
+    /**
+     * Starts delivering messages of a MessagePort, which addEventListener does not do by itself
+     */
+    start?: () => void;
+};
+
+/**
+ * Options for sync()
+ */
+export type SyncOptions = {
+    /**
+     * Unique id of this peer, used to break ties between concurrent writes (defaults to a random id)
+     */
+    id?: string;
+};
+
+/**
+ * Undo/redo history of a state() tree created by history()
+ * canUndo and canRedo are reactive getters
+ */
+export type History = {
+    /**
+     * True when there is at least one recorded change to undo
+     */
+    readonly canUndo: boolean;
+    /**
+     * True when there is at least one undone change to redo
+     */
+    readonly canRedo: boolean;
+    /**
+     * Revert the last group of changes
+     */
+    undo: () => void;
+    /**
+     * Re-apply the last undone group of changes
+     */
+    redo: () => void;
+    /**
+     * Close the current group so later writes in the same batch become a separate undo step
+     */
+    commit: () => void;
+    /**
+     * Drop all recorded changes
+     */
+    clear: () => void;
+    /**
+     * Stop recording and drop all recorded changes
+     */
+    dispose: () => void;
+};
+
+/**
+ * An async derived value created by resource()
+ * All properties except refetch are reactive getters
+ */
+export type Resource<T> = {
+    /**
+     * Last successfully fetched value (or the initial value)
+     */
+    readonly value: T;
+    /**
+     * True while a request is pending
+     */
+    readonly loading: boolean;
+    /**
+     * Error thrown by the last request, cleared by the next successful one
+     */
+    readonly error: unknown;
+    /**
+     * Re-run the fetcher with the current source value
+     */
+    refetch: () => void;
+    /**
+     * Stop re-fetching and abort the pending request (needed for resources created outside a scope)
+     */
+    dispose: () => void;
+};
+
+/**
+ * Keyed selector created by selector()
+ */
+export type Selector<K> = {
+    /**
+     * Whether key is the current source value
+     */
+    (key: K): boolean;
+    /**
+     * Stop following the source (needed for selectors created outside a scope)
+     */
+    dispose: () => void;
+};
+
+/**
+ * Read-only signal created by fromObservable()
+ */
+export type ObservableSignal<T> = {
+    (): T;
+    /**
+     * Unsubscribe from the observable (needed for signals created outside a scope)
+     */
+    dispose: () => void;
+};
+
+/**
+ * Observer of an Observable (all callbacks are optional)
+ */
+export type Observer<T> = {
+    next?: (value: T) => void;
+    error?: (error: unknown) => void;
+    complete?: () => void;
+};
+
+/**
+ * Subscription returned by Observable.subscribe()
+ */
+export type Subscription = {
+    unsubscribe: () => void;
+};
+
+/**
+ * Any observable fromObservable() can subscribe to (RxJS observables match it)
+ */
+export type Subscribable<T> = {
+    subscribe: (observer: Observer<T>) => Subscription | (() => void);
+};
+
+/**
+ * Observable created by toObservable(), interoperable through Symbol.observable / '@@observable'
+ */
+export type Observable<T> = {
+    subscribe: (observer: Observer<T> | ((value: T) => void)) => Subscription;
+};
+
 /**
  * An effect is represented by its dispose function
  * Calling this function will stop the effect and run any cleanup
  */
 export type Effect = () => void;
+
+/**
+ * Kind of a dependency graph node reported by inspect() and exportGraph()
+ */
+export type InspectKind = 'signal' | 'computed' | 'effect' | 'state';
+
+/**
+ * Reference to a dependency graph node
+ */
+export type InspectNode = {
+    /**
+     * Unique id of the node
+     */
+    id: number;
+    kind: InspectKind;
+    /**
+     * Generated name (e.g. `computed#3`) or the property name for state properties
+     */
+    label: string;
+    /**
+     * Signal or computed function, effect dispose function; undefined for state properties
+     */
+    target: unknown;
+};
+
+/**
+ * Result of inspect() for a signal, computed or effect
+ */
+export type InspectInfo = InspectNode & {
+    /**
+     * Nodes read during the last run
+     */
+    sources: InspectNode[];
+    /**
+     * Live nodes that read this node (non-live computeds poll their sources and are not listed)
+     */
+    dependents: InspectNode[];
+    /**
+     * Names of the set internal flags (DIRTY, CHECK, LIVE, ...)
+     */
+    flags: string[];
+    /**
+     * Number of computed/effect runs
+     */
+    runs: number;
+    /**
+     * Duration of the last run in milliseconds
+     */
+    lastRunDuration: number | undefined;
+};
+
+/**
+ * Result of inspect() for a scope
+ */
+export type InspectScopeInfo = {
+    id: number;
+    kind: 'scope';
+    label: string;
+    effects: InspectInfo[];
+    children: InspectScopeInfo[];
+};
+
+/**
+ * One write that marked a node for re-execution
+ */
+export type RunCause = {
+    /**
+     * Written signal or state property (undefined if the source is not known)
+     */
+    source: InspectNode | undefined;
+    /**
+     * Property name for state properties
+     */
+    property: string | undefined;
+    /**
+     * Value seen by the first node of the chain on its previous run
+     */
+    oldValue: unknown;
+    /**
+     * Current value of the source
+     */
+    newValue: unknown;
+    /**
+     * Computeds the change propagated through, from the source side to the traced node
+     */
+    path: InspectNode[];
+};
+
+/**
+ * Passed to the trace callback before an effect or computed runs (see TRACE_RUNS)
+ */
+export type RunTrace = {
+    /**
+     * The effect or computed about to run
+     */
+    node: InspectNode;
+    /**
+     * Writes since the previous run, empty for the first run and for computeds without live consumers (they poll)
+     */
+    causes: RunCause[];
+};
+
+/**
+ * Whole dependency graph returned by exportGraph()
+ * Edges point from a source to the node that read it
+ */
+export type InspectGraph = {
+    nodes: Omit<InspectInfo, 'target' | 'sources' | 'dependents'>[];
+    edges: { from: number; to: number }[];
+};
@@ -0,0 +1,252 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, setActiveScope, state } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('arrays in state', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    /**
+     * Create an effect per index reading that index
+     * @param {number[]} items
+     * @param {number} count
+     */
+    function trackIndices(items, count) {
+        const subscribers = Array.from({ length: count }, () => vi.fn());
+        for (let i = 0; i < count; ++i) {
+            effect(() => {
+                /** @type {import('vitest').Mock} */ (subscribers[i])(items[i]);
+            });
+        }
+        return subscribers;
+    }
+
+    it('push notifies length and iteration but not existing indices', async () => {
+        const store = state({ items: [1, 2, 3] });
+        const indexSubscribers = trackIndices(store.items, 3);
+        const lengthSubscriber = vi.fn();
+        const iterationSubscriber = vi.fn();
+
+        effect(() => {
+            lengthSubscriber(store.items.length);
+        });
+        effect(() => {
+            iterationSubscriber(store.items.map(item => item * 2));
+        });
+        await flushAll();
+
+        store.items.push(4);
+        await flushAll();
+
+        for (const subscriber of indexSubscribers) {
+            expect(subscriber).toHaveBeenCalledTimes(1);
+        }
+        expect(lengthSubscriber).toHaveBeenLastCalledWith(4);
+        expect(iterationSubscriber).toHaveBeenLastCalledWith([2, 4, 6, 8]);
+    });
+
+    it('pop notifies the removed index', async () => {
+        const store = state({ items: [1, 2, 3] });
+        const indexSubscribers = trackIndices(store.items, 3);
+        await flushAll();
+
+        store.items.pop();
+        await flushAll();
+
+        expect(indexSubscribers[0]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[1]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[2]).toHaveBeenCalledTimes(2);
+        expect(indexSubscribers[2]).toHaveBeenLastCalledWith(undefined);
+    });
+
+    it('splice notifies only indices from the start argument', async () => {
+        const store = state({ items: [1, 2, 3, 4] });
+        const indexSubscribers = trackIndices(store.items, 4);
+        await flushAll();
+
+        store.items.splice(-2, 1);
+        await flushAll();
+
+        expect(indexSubscribers[0]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[1]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[2]).toHaveBeenLastCalledWith(4);
+        expect(indexSubscribers[3]).toHaveBeenLastCalledWith(undefined);
+    });
+
+    it('splice replacing items with the same count keeps length dependents', async () => {
+        const store = state({ items: [1, 2, 3] });
+        const indexSubscribers = trackIndices(store.items, 3);
+        const lengthSubscriber = vi.fn();
+
+        effect(() => {
+            lengthSubscriber(store.items.length);
+        });
+        await flushAll();
+
+        store.items.splice(1, 1, 5);
+        await flushAll();
+
+        expect(lengthSubscriber).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[0]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[1]).toHaveBeenLastCalledWith(5);
+        expect(indexSubscribers[2]).toHaveBeenCalledTimes(1);
+    });
+
+    it('sort and reverse notify only moved indices', async () => {
+        const store = state({ items: [3, 2, 1] });
+        const indexSubscribers = trackIndices(store.items, 3);
+        await flushAll();
+
+        store.items.sort();
+        await flushAll();
+
+        expect(indexSubscribers[0]).toHaveBeenLastCalledWith(1);
+        expect(indexSubscribers[1]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[2]).toHaveBeenLastCalledWith(3);
+
+        store.items.reverse();
+        await flushAll();
+
+        expect(indexSubscribers[1]).toHaveBeenCalledTimes(1);
+    });
+
+    it('fill notifies only changed indices', async () => {
+        const store = state({ items: [0, 0, 0, 0] });
+        const indexSubscribers = trackIndices(store.items, 4);
+        await flushAll();
+
+        store.items.fill(1, 2);
+        await flushAll();
+
+        expect(indexSubscribers[0]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[1]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[2]).toHaveBeenLastCalledWith(1);
+        expect(indexSubscribers[3]).toHaveBeenLastCalledWith(1);
+    });
+
+    it('does not notify when a mutator changes nothing', async () => {
+        const store = state({ items: [1, 2] });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.items.join(','), store.items.length);
+        });
+        await flushAll();
+
+        store.items.splice(0, 0);
+        store.items.sort();
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('reading methods do not notify dependents', async () => {
+        const store = state({ items: [1, 2] });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.items[0]);
+        });
+        await flushAll();
+
+        store.items.map(item => item);
+        store.items.includes(2);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('iteration dependents re-run on index writes', async () => {
+        const store = state({ items: [1, 2] });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            /** @type {number[]} */
+            const result = [];
+            for (const item of store.items) {
+                result.push(item);
+            }
+            subscriber(result);
+        });
+        await flushAll();
+
+        store.items[1] = 3;
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith([1, 3]);
+    });
+
+    it('index writes past the end notify length dependents', async () => {
+        const store = state({ items: [1] });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.items.length);
+        });
+        await flushAll();
+
+        store.items[2] = 3;
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(3);
+    });
+
+    it('truncating length notifies removed indices', async () => {
+        const store = state({ items: [1, 2, 3] });
+        const indexSubscribers = trackIndices(store.items, 3);
+        await flushAll();
+
+        store.items.length = 1;
+        await flushAll();
+
+        expect(indexSubscribers[0]).toHaveBeenCalledTimes(1);
+        expect(indexSubscribers[1]).toHaveBeenLastCalledWith(undefined);
+        expect(indexSubscribers[2]).toHaveBeenLastCalledWith(undefined);
+    });
+
+    it('deleting an index notifies iteration dependents', async () => {
+        const store = state({ items: [1, 2] });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.items.filter(item => item !== undefined));
+        });
+        await flushAll();
+
+        delete store.items[0];
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith([2]);
+    });
+
+    it('keeps non-live computeds up to date', () => {
+        const store = state({ items: [1, 2] });
+        const sum = computed(() => store.items.reduce((a, b) => a + b, 0));
+
+        expect(sum()).toBe(3);
+        store.items.push(3);
+        expect(sum()).toBe(6);
+        store.items[0] = 0;
+        expect(sum()).toBe(5);
+    });
+});
@@ -0,0 +1,229 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { asyncEffect, EffectOptions, EffectTiming, flushEffects, scope, setActiveScope, signal } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+/**
+ * Promise with exposed resolve and reject
+ */
+function deferred() {
+    /** @type {(value?: unknown) => void} */
+    let resolve = () => {};
+    /** @type {(error: unknown) => void} */
+    let reject = () => {};
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+describe('asyncEffect', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('tracks reads before the first await', async () => {
+        const id = signal(1);
+        const subscriber = vi.fn();
+
+        asyncEffect(async () => {
+            const value = id();
+            await Promise.resolve();
+            subscriber(value);
+        });
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+
+        expect(subscriber.mock.calls).toEqual([[1], [2]]);
+    });
+
+    it('aborts the signal of the previous run on re-run', async () => {
+        const id = signal(1);
+        /** @type {AbortSignal[]} */
+        const signals = [];
+
+        asyncEffect(async abortSignal => {
+            id();
+            signals.push(abortSignal);
+            await new Promise(() => {});
+        });
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+
+        expect(signals).toHaveLength(2);
+        expect(signals[0]?.aborted).toBe(true);
+        expect(signals[1]?.aborted).toBe(false);
+    });
+
+    it('aborts the signal on dispose', async () => {
+        /** @type {AbortSignal | undefined} */
+        let runSignal;
+
+        const dispose = asyncEffect(async abortSignal => {
+            runSignal = abortSignal;
+        });
+        await flushAll();
+
+        dispose();
+
+        expect(runSignal?.aborted).toBe(true);
+    });
+
+    it('runs the resolved cleanup before the next run', async () => {
+        const id = signal(1);
+        /** @type {string[]} */
+        const order = [];
+
+        asyncEffect(async () => {
+            const value = id();
+            order.push(`run ${value}`);
+            return () => order.push(`cleanup ${value}`);
+        });
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+
+        expect(order).toEqual(['run 1', 'cleanup 1', 'run 2']);
+    });
+
+    it('runs the cleanup after the pending promise settles', async () => {
+        const id = signal(1);
+        const pending = deferred();
+        const cleanup = vi.fn();
+
+        asyncEffect(async () => {
+            if (id() === 1) {
+                await pending.promise;
+            }
+            return cleanup;
+        });
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+        expect(cleanup).not.toHaveBeenCalled();
+
+        pending.resolve();
+        await flushAll();
+        expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports rejections to the error handlers of the scope', async () => {
+        const handler = vi.fn();
+        const error = new Error('async error');
+
+        const ctx = scope((_onDispose, onError) => {
+            onError(handler);
+            asyncEffect(async () => {
+                await Promise.resolve();
+                throw error;
+            });
+        });
+        await flushAll();
+
+        expect(handler).toHaveBeenCalledWith(error);
+        ctx();
+    });
+
+    it('logs rejections without an error handler', async () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const error = new Error('async error');
+
+        asyncEffect(async () => {
+            throw error;
+        });
+        await flushAll();
+
+        expect(consoleError).toHaveBeenCalledWith(error);
+        consoleError.mockRestore();
+    });
+
+    it('ignores rejections of aborted runs', async () => {
+        const handler = vi.fn();
+        const id = signal(1);
+
+        const ctx = scope((_onDispose, onError) => {
+            onError(handler);
+            asyncEffect(abortSignal => {
+                id();
+                return new Promise((_resolve, reject) => {
+                    abortSignal.addEventListener('abort', () => reject(abortSignal.reason));
+                });
+            });
+        });
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+
+        expect(handler).not.toHaveBeenCalled();
+        ctx();
+    });
+
+    it('supports EffectOptions', async () => {
+        const subscriber = vi.fn();
+
+        asyncEffect(async () => {
+            subscriber();
+        }, EffectOptions.EAGER);
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the signal of a ONCE effect open until dispose', async () => {
+        const id = signal(1);
+        const pending = deferred();
+        const cleanup = vi.fn();
+        const calls = [];
+        /** @type {AbortSignal | undefined} */
+        let lastSignal;
+
+        const dispose = asyncEffect(
+            async abortSignal => {
+                lastSignal = abortSignal;
+                calls.push(id());
+                await pending.promise;
+                calls.push(abortSignal.aborted);
+                return cleanup;
+            },
+            { timing: EffectTiming.ONCE }
+        );
+        await flushAll();
+
+        id.set(2);
+        await flushAll();
+        pending.resolve();
+        await flushAll();
+
+        expect(calls).toEqual([1, false]);
+        expect(cleanup).not.toHaveBeenCalled();
+
+        dispose();
+        expect(lastSignal?.aborted).toBe(true);
+        expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+});
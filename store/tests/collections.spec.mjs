@@ -0,0 +1,336 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, setActiveScope, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('Map in state', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('notifies only consumers of the updated key', async () => {
+        const store = state({
+            map: new Map([
+                ['a', 1],
+                ['b', 1],
+            ]),
+        });
+        const aSubscriber = vi.fn();
+        const bSubscriber = vi.fn();
+
+        effect(() => {
+            aSubscriber(store.map.get('a'));
+        });
+        effect(() => {
+            bSubscriber(store.map.get('b'));
+        });
+        await flushAll();
+
+        store.map.set('a', 2);
+        await flushAll();
+
+        expect(aSubscriber).toHaveBeenCalledTimes(2);
+        expect(aSubscriber).toHaveBeenLastCalledWith(2);
+        expect(bSubscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('tracks has() per key', async () => {
+        const store = state({ map: new Map() });
+        const aSubscriber = vi.fn();
+        const bSubscriber = vi.fn();
+
+        effect(() => {
+            aSubscriber(store.map.has('a'));
+        });
+        effect(() => {
+            bSubscriber(store.map.has('b'));
+        });
+        await flushAll();
+
+        store.map.set('a', undefined);
+        await flushAll();
+        expect(aSubscriber).toHaveBeenLastCalledWith(true);
+
+        store.map.delete('a');
+        await flushAll();
+        expect(aSubscriber).toHaveBeenLastCalledWith(false);
+
+        expect(aSubscriber).toHaveBeenCalledTimes(3);
+        expect(bSubscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies size consumers only when size changes', async () => {
+        const store = state({ map: new Map([['a', 1]]) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.size);
+        });
+        await flushAll();
+
+        store.map.set('a', 2);
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(1);
+
+        store.map.set('b', 1);
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(2);
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+    });
+
+    it('notifies iteration consumers on any change', async () => {
+        const store = state({ map: new Map([['a', 1]]) });
+        const entries = vi.fn();
+        const values = vi.fn();
+        const forEach = vi.fn();
+        const iterator = vi.fn();
+
+        effect(() => {
+            entries([...store.map.entries()]);
+        });
+        effect(() => {
+            values([...store.map.values()]);
+        });
+        effect(() => {
+            /** @type {number[]} */
+            const result = [];
+            store.map.forEach(value => {
+                result.push(value);
+            });
+            forEach(result);
+        });
+        effect(() => {
+            iterator([...store.map]);
+        });
+        await flushAll();
+
+        store.map.set('a', 2);
+        await flushAll();
+
+        expect(entries).toHaveBeenLastCalledWith([['a', 2]]);
+        expect(values).toHaveBeenLastCalledWith([2]);
+        expect(forEach).toHaveBeenLastCalledWith([2]);
+        expect(iterator).toHaveBeenLastCalledWith([['a', 2]]);
+    });
+
+    it('notifies every key on clear', async () => {
+        const store = state({
+            map: new Map([
+                ['a', 1],
+                ['b', 2],
+            ]),
+        });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.get('b'), store.map.size);
+        });
+        await flushAll();
+
+        store.map.clear();
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(undefined, 0);
+    });
+
+    it('does not notify for writes of an equal value', async () => {
+        const store = state({ map: new Map([['a', 1]]) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber([...store.map.keys()], store.map.get('a'));
+        });
+        await flushAll();
+
+        store.map.set('a', 1);
+        store.map.delete('missing');
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses the equals option for values', async () => {
+        const store = state({ map: new Map([['a', { id: 1 }]]) }, { equals: (a, b) => a?.id === b?.id });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.get('a'));
+        });
+        await flushAll();
+
+        store.map.set('a', { id: 1 });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('unwraps state proxies used as keys and values', async () => {
+        const store = state({ key: { id: 1 }, map: new Map() });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.get(store.key));
+        });
+        await flushAll();
+
+        store.map.set(store.key, store.key);
+        await flushAll();
+
+        expect(store.map.has(store.key)).toBe(true);
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns the proxy from set for chaining', async () => {
+        const store = state({ map: new Map() });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.get('b'));
+        });
+        await flushAll();
+
+        expect(store.map.set('a', 1).set('b', 2)).toBe(store.map);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+    });
+
+    it('wraps objects returned by get and iteration in state proxies', async () => {
+        const item = { count: 1 };
+        const store = state({ map: new Map([['a', item]]) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.map.get('a')?.count);
+        });
+        await flushAll();
+
+        /** @type {{ count: number }} */ (store.map.get('a')).count = 2;
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+        expect(store.map.get('a')).not.toBe(item);
+        expect(unwrapValue(store.map.get('a'))).toBe(item);
+        expect([...store.map.values()][0]).toBe(store.map.get('a'));
+        expect([...store.map][0]).toEqual(['a', store.map.get('a')]);
+        expect([...store.map.entries()][0]?.[1]).toBe(store.map.get('a'));
+        store.map.forEach((value, key, map) => {
+            expect(value).toBe(store.map.get('a'));
+            expect(key).toBe('a');
+            expect(map).toBe(store.map);
+        });
+    });
+
+    it('keeps non-live computeds up to date', () => {
+        const store = state({ map: new Map([['a', 1]]) });
+        const value = computed(() => store.map.get('a'));
+
+        expect(value()).toBe(1);
+        store.map.set('a', 2);
+        expect(value()).toBe(2);
+        store.map.delete('a');
+        expect(value()).toBe(undefined);
+    });
+});
+
+describe('Set in state', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('notifies only consumers of the added value', async () => {
+        const store = state({ set: new Set() });
+        const aSubscriber = vi.fn();
+        const bSubscriber = vi.fn();
+
+        effect(() => {
+            aSubscriber(store.set.has('a'));
+        });
+        effect(() => {
+            bSubscriber(store.set.has('b'));
+        });
+        await flushAll();
+
+        store.set.add('a');
+        await flushAll();
+
+        expect(aSubscriber).toHaveBeenLastCalledWith(true);
+        expect(bSubscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not notify when adding an existing value', async () => {
+        const store = state({ set: new Set(['a']) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.set.size, [...store.set]);
+        });
+        await flushAll();
+
+        expect(store.set.add('a')).toBe(store.set);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies size, iteration and key consumers on delete and clear', async () => {
+        const store = state({ set: new Set(['a', 'b']) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.set.size, [...store.set.values()], store.set.has('b'));
+        });
+        await flushAll();
+
+        store.set.delete('a');
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(1, ['b'], true);
+
+        store.set.clear();
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(0, [], false);
+    });
+
+    it('does not notify consumers when reading during an effect', async () => {
+        const store = state({ set: new Set(['a']) });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            store.set.forEach(value => {
+                subscriber(value);
+            });
+            store.set.has('a');
+        });
+        await flushAll();
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+});
@@ -12,6 +12,7 @@ import {
     effect,
     flushEffects,
     SUPPRESS_EFFECT_GC_WARNING,
+    schema,
     scope,
     setActiveScope,
     state,
@@ -228,4 +229,129 @@ describe('production mode (DEV = false)', () => {
             expect(consoleWarnSpy).not.toHaveBeenCalled();
         });
     });
+
+    describe('inspect', () => {
+        it('should not record the graph in production mode', async () => {
+            const { signal, computed, debugConfig, inspect, exportGraph, INSPECT_GRAPH } = await import('../src/index.js');
+            debugConfig(INSPECT_GRAPH);
+            const count = signal(0);
+            const doubled = computed(() => count() * 2);
+            const dispose = effect(() => {
+                doubled();
+            });
+
+            await flushAll();
+
+            expect(inspect(count)).toBeUndefined();
+            expect(inspect(doubled)).toBeUndefined();
+            expect(inspect(dispose)).toBeUndefined();
+            expect(inspect(testScope)).toBeUndefined();
+            expect(exportGraph()).toEqual({ nodes: [], edges: [] });
+            expect(exportGraph('dot')).toBe('digraph {\n}\n');
+            debugConfig(0);
+        });
+    });
+
+    describe('TRACE_RUNS', () => {
+        it('should not trace runs in production mode', async () => {
+            const { signal, setTraceCallback, TRACE_RUNS } = await import('../src/index.js');
+            const onTrace = vi.fn();
+            const count = signal(0);
+            setTraceCallback(onTrace);
+            debugConfig(TRACE_RUNS);
+
+            effect(() => {
+                count();
+            });
+            await flushAll();
+            count.set(1);
+            await flushAll();
+
+            expect(onTrace).not.toHaveBeenCalled();
+            setTraceCallback(undefined);
+            debugConfig(0);
+        });
+    });
+
+    describe('schema', () => {
+        it('should not validate writes in production mode', () => {
+            const store = state({ count: 0 }, { schema: schema({ properties: { count: { type: 'number' } } }) });
+
+            store.count = 'one';
+
+            expect(store.count).toBe('one');
+        });
+
+        it('should coerce writes when coerce is set', () => {
+            const store = state(
+                { count: 0, enabled: false, label: '', items: [] },
+                {
+                    schema: schema({
+                        properties: {
+                            count: { type: 'number' },
+                            enabled: { type: 'boolean' },
+                            label: { type: 'string' },
+                            items: { type: 'array', items: { type: 'number' } },
+                        },
+                    }),
+                    coerce: true,
+                }
+            );
+
+            store.count = '42';
+            store.enabled = 'true';
+            store.label = 7;
+            store.items.push('1', '2');
+            store.items[2] = '3';
+
+            expect(store.count).toBe(42);
+            expect(store.enabled).toBe(true);
+            expect(store.label).toBe('7');
+            expect(store.items).toEqual([1, 2, 3]);
+
+            store.count = 'not a number';
+            expect(store.count).toBe('not a number');
+        });
+    });
+
+    describe('readonly', () => {
+        it('should ignore writes in production mode', async () => {
+            const { readonly } = await import('../src/index.js');
+            const store = state({ count: 0, items: [1, 2], map: new Map([['a', { x: 1 }]]), created: new Date(0) });
+            const view = readonly(store);
+
+            view.count = 1;
+            delete view.count;
+            view.items.push(3);
+            view.map.get('a').x = 2;
+            view.created.setFullYear(2000);
+
+            expect(view.count).toBe(0);
+            expect(store.items).toEqual([1, 2]);
+            expect(store.map.get('a').x).toBe(1);
+            expect(store.created.getTime()).toBe(0);
+        });
+    });
+
+    describe('observePatches', () => {
+        it('should skip Map and Set writes and notify dependents', async () => {
+            const { observePatches } = await import('../src/index.js');
+            const store = state({ map: new Map([['a', 1]]), count: 0 });
+            const operations = [];
+            const values = [];
+            observePatches(store, operation => operations.push(operation));
+
+            effect(() => {
+                values.push(store.map.get('a'));
+            });
+            await flushAll();
+
+            store.map.set('a', 2);
+            store.count = 1;
+            await flushAll();
+
+            expect(values).toEqual([1, 2]);
+            expect(operations).toEqual([{ op: 'replace', path: '/count', value: 1 }]);
+        });
+    });
 });
@@ -1,6 +1,6 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
-import { computed, EffectOptions, effect, flushEffects, scope, setActiveScope, signal, state } from '../src/index.js';
+import { computed, EffectOptions, EffectTiming, effect, flushEffects, scope, setActiveScope, signal, state } from '../src/index.js';
 
 function flushPromises() {
     return new Promise(resolve => setTimeout(resolve));
@@ -243,4 +243,230 @@ describe('effect — EffectOptions', () => {
             expect(errs.some(e => e instanceof Error && e.message === 'deferred-boom')).toBe(true);
         });
     });
+
+    describe('timing modes', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+        });
+
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        async function flushMicrotasks() {
+            await Promise.resolve();
+            flushEffects();
+        }
+
+        it('exposes ONCE = 1, DEBOUNCE = 2 and THROTTLE = 3', () => {
+            expect(EffectTiming.ONCE).toBe(1);
+            expect(EffectTiming.DEBOUNCE).toBe(2);
+            expect(EffectTiming.THROTTLE).toBe(3);
+        });
+
+        it('ONCE stops the effect after the first run and keeps the cleanup until dispose', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+            const cleanup = vi.fn();
+
+            const dispose = effect(
+                () => {
+                    subscriber(s());
+                    return cleanup;
+                },
+                { timing: EffectTiming.ONCE }
+            );
+            await flushMicrotasks();
+
+            expect(subscriber).toHaveBeenCalledTimes(1);
+            expect(cleanup).not.toHaveBeenCalled();
+
+            s.set(1);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenCalledTimes(1);
+            expect(cleanup).not.toHaveBeenCalled();
+
+            dispose();
+            dispose();
+            expect(cleanup).toHaveBeenCalledTimes(1);
+        });
+
+        it('ONCE runs the cleanup when the scope is disposed', async () => {
+            const cleanup = vi.fn();
+            const ctx = scope(() => {
+                effect(() => cleanup, { timing: EffectTiming.ONCE });
+            });
+            await flushMicrotasks();
+
+            expect(cleanup).not.toHaveBeenCalled();
+            ctx();
+            expect(cleanup).toHaveBeenCalledTimes(1);
+        });
+
+        it('ONCE combines with EAGER', () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+
+            effect(
+                () => {
+                    subscriber(s());
+                },
+                { flags: EffectOptions.EAGER, timing: EffectTiming.ONCE }
+            );
+            expect(subscriber).toHaveBeenCalledTimes(1);
+
+            s.set(1);
+            flushEffects();
+            expect(subscriber).toHaveBeenCalledTimes(1);
+        });
+
+        it('DEBOUNCE runs the first time without delay', async () => {
+            const subscriber = vi.fn();
+
+            effect(subscriber, { timing: EffectTiming.DEBOUNCE, wait: 100 });
+            await flushMicrotasks();
+
+            expect(subscriber).toHaveBeenCalledTimes(1);
+        });
+
+        it('DEBOUNCE re-runs once changes stop for wait ms', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+
+            effect(
+                () => {
+                    subscriber(s());
+                },
+                { timing: EffectTiming.DEBOUNCE, wait: 100 }
+            );
+            await flushMicrotasks();
+
+            s.set(1);
+            await flushMicrotasks();
+            vi.advanceTimersByTime(60);
+            s.set(2);
+            await flushMicrotasks();
+            vi.advanceTimersByTime(60);
+            expect(subscriber).toHaveBeenCalledTimes(1);
+
+            vi.advanceTimersByTime(40);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenCalledTimes(2);
+            expect(subscriber).toHaveBeenLastCalledWith(2);
+        });
+
+        it('DEBOUNCE keeps tracking dependencies after a re-run', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+
+            effect(
+                () => {
+                    subscriber(s());
+                },
+                { timing: EffectTiming.DEBOUNCE, wait: 10 }
+            );
+            await flushMicrotasks();
+
+            for (let i = 1; i <= 3; ++i) {
+                s.set(i);
+                await flushMicrotasks();
+                vi.advanceTimersByTime(10);
+                await flushMicrotasks();
+            }
+
+            expect(subscriber.mock.calls).toEqual([[0], [1], [2], [3]]);
+        });
+
+        it('THROTTLE runs the first change and coalesces the rest into one trailing run', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+
+            effect(
+                () => {
+                    subscriber(s());
+                },
+                { timing: EffectTiming.THROTTLE, wait: 100 }
+            );
+            await flushMicrotasks();
+
+            vi.advanceTimersByTime(100);
+            s.set(1);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenLastCalledWith(1);
+
+            s.set(2);
+            await flushMicrotasks();
+            s.set(3);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenCalledTimes(2);
+
+            vi.advanceTimersByTime(100);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenCalledTimes(3);
+            expect(subscriber).toHaveBeenLastCalledWith(3);
+        });
+
+        it('THROTTLE skips the trailing run when computed sources did not change', async () => {
+            const s = signal(1);
+            const parity = computed(() => s() % 2);
+            const subscriber = vi.fn();
+
+            effect(
+                () => {
+                    subscriber(parity());
+                },
+                { timing: EffectTiming.THROTTLE, wait: 100 }
+            );
+            await flushMicrotasks();
+
+            s.set(3);
+            await flushMicrotasks();
+            vi.advanceTimersByTime(100);
+            await flushMicrotasks();
+
+            expect(subscriber).toHaveBeenCalledTimes(1);
+        });
+
+        it('dispose cancels a pending re-run', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+
+            const dispose = effect(
+                () => {
+                    subscriber(s());
+                },
+                { timing: EffectTiming.DEBOUNCE, wait: 100 }
+            );
+            await flushMicrotasks();
+
+            s.set(1);
+            await flushMicrotasks();
+            dispose();
+
+            expect(vi.getTimerCount()).toBe(0);
+            vi.advanceTimersByTime(100);
+            await flushMicrotasks();
+            expect(subscriber).toHaveBeenCalledTimes(1);
+        });
+
+        it('scope disposal cancels a pending re-run', async () => {
+            const s = signal(0);
+            const subscriber = vi.fn();
+            const ctx = scope(() => {
+                effect(
+                    () => {
+                        subscriber(s());
+                    },
+                    { timing: EffectTiming.THROTTLE, wait: 100 }
+                );
+            });
+            await flushMicrotasks();
+
+            s.set(1);
+            await flushMicrotasks();
+            ctx();
+
+            expect(vi.getTimerCount()).toBe(0);
+        });
+    });
 });
@@ -0,0 +1,306 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { EffectOptions, EffectPriority, effect, flushEffects, scope, setActiveScope, setIdleScheduler, signal } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('effect — EffectPriority', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+        setIdleScheduler(callback => setTimeout(callback));
+    });
+
+    it('exposes lanes in drain order', () => {
+        expect(EffectPriority).toEqual({ SYNC: 0, USER_BLOCKING: 1, NORMAL: 2, IDLE: 3 });
+    });
+
+    it('runs idle effects on setTimeout without requestIdleCallback', async () => {
+        const count = signal(0);
+        const subscriber = vi.fn();
+
+        effect(
+            () => {
+                subscriber(count());
+            },
+            { priority: EffectPriority.IDLE }
+        );
+        await flushPromises();
+        count.set(1);
+        await flushPromises();
+
+        expect(subscriber).toHaveBeenLastCalledWith(1);
+    });
+
+    it('runs user-blocking effects before normal effects of the same flush', async () => {
+        const count = signal(0);
+        /** @type {string[]} */
+        const order = [];
+
+        effect(() => {
+            count();
+            order.push('normal');
+        });
+        effect(
+            () => {
+                count();
+                order.push('user-blocking');
+            },
+            { priority: EffectPriority.USER_BLOCKING }
+        );
+        await flushAll();
+        order.length = 0;
+
+        count.set(1);
+        await Promise.resolve();
+
+        expect(order).toEqual(['user-blocking', 'normal']);
+    });
+
+    it('runs sync effects at the end of the write', async () => {
+        const count = signal(0);
+        const subscriber = vi.fn();
+
+        effect(
+            () => {
+                subscriber(count());
+            },
+            { priority: EffectPriority.SYNC }
+        );
+        await flushAll();
+
+        count.set(1);
+        expect(subscriber).toHaveBeenLastCalledWith(1);
+        count.set(2);
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+        expect(subscriber).toHaveBeenCalledTimes(3);
+    });
+
+    it('runs sync effects scheduled by writes of sync effects in the same write', async () => {
+        const count = signal(0);
+        const doubled = signal(0);
+        const subscriber = vi.fn();
+
+        effect(
+            () => {
+                doubled.set(count() * 2);
+            },
+            { flags: EffectOptions.EAGER, priority: EffectPriority.SYNC }
+        );
+        effect(
+            () => {
+                subscriber(doubled());
+            },
+            { flags: EffectOptions.EAGER, priority: EffectPriority.SYNC }
+        );
+
+        count.set(2);
+
+        expect(subscriber).toHaveBeenLastCalledWith(4);
+    });
+
+    it('re-runs sync effects that write their own dependency outside of a sync flush', async () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const deferredSource = signal(20);
+        const eagerSource = signal(20);
+        /** @type {number[]} */
+        const deferredRuns = [];
+        /** @type {number[]} */
+        const eagerRuns = [];
+
+        effect(
+            () => {
+                const value = deferredSource();
+                deferredRuns.push(value);
+                if (value > 10) {
+                    deferredSource.set(10);
+                }
+            },
+            { priority: EffectPriority.SYNC }
+        );
+        effect(
+            () => {
+                const value = eagerSource();
+                eagerRuns.push(value);
+                if (value > 10) {
+                    eagerSource.set(10);
+                }
+            },
+            { flags: EffectOptions.EAGER, priority: EffectPriority.SYNC }
+        );
+        expect(eagerRuns).toEqual([20, 10]);
+
+        await flushAll();
+        expect(deferredRuns).toEqual([20, 10]);
+
+        deferredSource.set(30);
+        eagerSource.set(30);
+        expect(deferredRuns).toEqual([20, 10, 30, 10]);
+        expect(eagerRuns).toEqual([20, 10, 30, 10]);
+        expect(consoleError).not.toHaveBeenCalled();
+
+        consoleError.mockRestore();
+    });
+
+    it('runs idle effects on the idle scheduler only', async () => {
+        /** @type {(() => void)[]} */
+        const idleCallbacks = [];
+        setIdleScheduler(callback => {
+            idleCallbacks.push(callback);
+        });
+        const count = signal(0);
+        const subscriber = vi.fn();
+
+        effect(
+            () => {
+                subscriber(count());
+            },
+            { priority: EffectPriority.IDLE }
+        );
+        await Promise.resolve();
+        await flushPromises();
+
+        expect(subscriber).not.toHaveBeenCalled();
+        expect(idleCallbacks).toHaveLength(1);
+
+        idleCallbacks.shift()?.();
+        expect(subscriber).toHaveBeenCalledWith(0);
+    });
+
+    it('yields when the idle deadline is used up', () => {
+        /** @type {((deadline?: { timeRemaining: () => number }) => void)[]} */
+        const idleCallbacks = [];
+        setIdleScheduler(callback => {
+            idleCallbacks.push(callback);
+        });
+        /** @type {number[]} */
+        const order = [];
+
+        for (let i = 0; i < 3; ++i) {
+            effect(
+                () => {
+                    order.push(i);
+                },
+                { priority: EffectPriority.IDLE }
+            );
+        }
+
+        const deadline = { timeRemaining: () => 0 };
+        idleCallbacks.shift()?.(deadline);
+        expect(order).toEqual([0]);
+        expect(idleCallbacks).toHaveLength(1);
+
+        deadline.timeRemaining = () => 10;
+        idleCallbacks.shift()?.(deadline);
+        expect(order).toEqual([0, 1, 2]);
+        expect(idleCallbacks).toHaveLength(0);
+    });
+
+    it('yields after the idle budget without a deadline', () => {
+        /** @type {(() => void)[]} */
+        const idleCallbacks = [];
+        setIdleScheduler(callback => {
+            idleCallbacks.push(callback);
+        });
+        let now = 0;
+        const nowSpy = vi.spyOn(performance, 'now').mockImplementation(() => (now += 3));
+        /** @type {number[]} */
+        const order = [];
+
+        for (let i = 0; i < 3; ++i) {
+            effect(
+                () => {
+                    order.push(i);
+                },
+                { priority: EffectPriority.IDLE }
+            );
+        }
+
+        idleCallbacks.shift()?.();
+        expect(order.length).toBeLessThan(3);
+
+        while (idleCallbacks.length !== 0) {
+            idleCallbacks.shift()?.();
+        }
+        expect(order).toEqual([0, 1, 2]);
+        nowSpy.mockRestore();
+    });
+
+    it('keeps creation order of idle effects across slices', () => {
+        /** @type {((deadline?: { timeRemaining: () => number }) => void)[]} */
+        const idleCallbacks = [];
+        setIdleScheduler(callback => {
+            idleCallbacks.push(callback);
+        });
+        const trigger = signal(0);
+        /** @type {string[]} */
+        const order = [];
+
+        effect(
+            () => {
+                trigger();
+                order.push('a');
+            },
+            { priority: EffectPriority.IDLE }
+        );
+        effect(
+            () => {
+                order.push('b');
+            },
+            { priority: EffectPriority.IDLE }
+        );
+        effect(
+            () => {
+                order.push('c');
+            },
+            { priority: EffectPriority.IDLE }
+        );
+
+        idleCallbacks.shift()?.({ timeRemaining: () => 0 });
+        trigger.set(1);
+        idleCallbacks.shift()?.({ timeRemaining: () => 10 });
+
+        expect(order).toEqual(['a', 'a', 'b', 'c']);
+    });
+
+    it('flushEffects drains idle effects too', () => {
+        setIdleScheduler(() => {});
+        const subscriber = vi.fn();
+
+        effect(subscriber, { priority: EffectPriority.IDLE });
+        flushEffects();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not run disposed idle effects', () => {
+        /** @type {(() => void)[]} */
+        const idleCallbacks = [];
+        setIdleScheduler(callback => {
+            idleCallbacks.push(callback);
+        });
+        const subscriber = vi.fn();
+
+        const dispose = effect(subscriber, { priority: EffectPriority.IDLE });
+        dispose();
+        idleCallbacks.shift()?.();
+
+        expect(subscriber).not.toHaveBeenCalled();
+    });
+});
@@ -1,6 +1,6 @@
-import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
-import { computed, effect, flushEffects, scope, setActiveScope, signal, state } from '../src/index.js';
+import { computed, effect, flushEffects, scope, setActiveScope, signal, state, unwrapValue } from '../src/index.js';
 
 function flushPromises() {
     return new Promise(resolve => setTimeout(resolve));
@@ -858,3 +858,218 @@ describe('computed with equality comparison using signals', () => {
         expect(counters.message).toBe(1); // message doesn't recompute
     });
 });
+
+describe('signal with equality option', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('skips notification when custom equals returns true', async () => {
+        const point = signal({ x: 1, y: 2 }, { equals: (a, b) => a.x === b.x && a.y === b.y });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(point());
+        });
+        await flushAll();
+
+        const original = point();
+        point.set({ x: 1, y: 2 });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+        // Equal value is not stored
+        expect(point()).toBe(original);
+
+        point.set({ x: 2, y: 2 });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(2);
+        expect(point()).toEqual({ x: 2, y: 2 });
+    });
+
+    it('notifies on every set with equals: false', async () => {
+        const event = signal('click', { equals: false });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(event());
+        });
+        await flushAll();
+
+        event.set('click');
+        await flushAll();
+        event.set('click');
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(3);
+    });
+
+    it('notifies computed dependents with equals: false', async () => {
+        const items = [1, 2];
+        const list = signal(items, { equals: false });
+        const length = computed(() => list().length);
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(length());
+        });
+        await flushAll();
+
+        items.push(3);
+        list.set(items);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(3);
+    });
+
+    it('recomputes non-live computeds on a same-value set with equals: false', () => {
+        const tick = signal(1, { equals: false });
+        let runs = 0;
+        const counted = computed(() => {
+            ++runs;
+            return tick();
+        });
+
+        expect(counted()).toBe(1);
+        tick.set(1);
+        expect(counted()).toBe(1);
+        expect(runs).toBe(2);
+
+        // No write - still cached
+        expect(counted()).toBe(1);
+        expect(runs).toBe(2);
+    });
+
+    it('passes previous and next values to equals', () => {
+        const equals = vi.fn(() => false);
+        const s = signal(1, { equals });
+
+        s.set(2);
+
+        expect(equals).toHaveBeenCalledWith(1, 2);
+    });
+});
+
+describe('state with comparators', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    /**
+     * @param {unknown} a
+     * @param {unknown} b
+     */
+    const shallowEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    it('uses global equals for every property', async () => {
+        const store = state({ point: { x: 1 }, tags: ['a'] }, { equals: shallowEqual });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.point.x, store.tags.length);
+        });
+        await flushAll();
+
+        store.point = { x: 1 };
+        store.tags = ['a'];
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(1);
+
+        store.point = { x: 2 };
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('uses per-property comparators with precedence over equals', async () => {
+        const store = state(
+            { price: 1.0001, name: 'a' },
+            {
+                equals: () => false,
+                comparators: {
+                    price: (a, b) => Math.abs(/** @type {number} */ (a) - /** @type {number} */ (b)) < 0.01,
+                },
+            }
+        );
+        const priceSubscriber = vi.fn();
+        const nameSubscriber = vi.fn();
+
+        effect(() => {
+            priceSubscriber(store.price);
+        });
+        effect(() => {
+            nameSubscriber(store.name);
+        });
+        await flushAll();
+
+        store.price = 1.0002;
+        store.name = 'a';
+        await flushAll();
+
+        expect(priceSubscriber).toHaveBeenCalledTimes(1);
+        expect(store.price).toBe(1.0001);
+        // equals: () => false notifies even for the same value
+        expect(nameSubscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('applies comparators to nested objects by property name', async () => {
+        const store = state({ user: { tags: ['a'] } }, { comparators: { tags: shallowEqual } });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.user.tags);
+        });
+        await flushAll();
+
+        store.user.tags = ['a'];
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(1);
+
+        store.user.tags = ['b'];
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('ignores inherited properties of the comparators object', async () => {
+        const store = state({ toString: 'a' }, { comparators: {} });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.toString);
+        });
+        await flushAll();
+
+        store.toString = 'b';
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('compares unwrapped values', () => {
+        const equals = vi.fn(Object.is);
+        const store = state({ a: { x: 1 }, b: /** @type {{ x: number } | undefined} */ (undefined) }, { equals });
+        const a = store.a;
+
+        store.b = a;
+
+        expect(equals).toHaveBeenCalledWith(undefined, unwrapValue(a));
+    });
+});
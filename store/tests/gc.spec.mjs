@@ -285,6 +285,45 @@ describe('garbage collection', () => {
         expect(collectedCount).toBeGreaterThan(0);
     });
 
+    it('computeds owned by a scope are collected when its effect re-runs', async () => {
+        const store = state({ value: 0 });
+        const weakRefs = [];
+        /** @type {() => number} */
+        let latest = () => 0;
+
+        const owner = scope(
+            () => {
+                effect(() => {
+                    const value = store.value;
+                    const getter = () => value * 2;
+                    const temp = computed(getter);
+                    temp();
+                    latest = temp;
+                    // The getter is held by the computed, so it is collected with it
+                    weakRefs.push(new WeakRef(getter));
+                });
+            },
+            undefined,
+            { ownComputeds: true }
+        );
+        await flushAll();
+        for (let i = 1; i <= 10; i++) {
+            store.value = i;
+            await flushAll();
+        }
+
+        for (let i = 0; i < 3; i++) {
+            allocateMemory();
+            forceGC();
+        }
+
+        // Only the computed of the last run is still referenced
+        const collectedCount = weakRefs.slice(0, -1).filter(ref => ref.deref() === undefined).length;
+        expect(collectedCount).toBeGreaterThan(0);
+        expect(latest()).toBe(20);
+        owner();
+    });
+
     it('effect with conditional computed dependency - unused branch is collectable', async () => {
         const store = state({ flag: true, a: 1, b: 2 });
         let effectRuns = 0;
@@ -0,0 +1,340 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { effect, flushEffects, history, scope, setActiveScope, setScheduler, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('history', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('starts with nothing to undo or redo', () => {
+        const h = history(state({ count: 0 }));
+
+        expect(h.canUndo).toBe(false);
+        expect(h.canRedo).toBe(false);
+    });
+
+    it('undoes and redoes a property write', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        store.count = 1;
+        expect(h.canUndo).toBe(true);
+
+        h.undo();
+        expect(store.count).toBe(0);
+        expect(h.canUndo).toBe(false);
+        expect(h.canRedo).toBe(true);
+
+        h.redo();
+        expect(store.count).toBe(1);
+        expect(h.canUndo).toBe(true);
+        expect(h.canRedo).toBe(false);
+    });
+
+    it('groups writes made in the same batch', async () => {
+        const store = state({ a: 0, b: 0 });
+        const h = history(store);
+
+        store.a = 1;
+        store.b = 1;
+        await flushAll();
+
+        store.a = 2;
+        await flushAll();
+
+        h.undo();
+        expect(unwrapValue(store)).toEqual({ a: 1, b: 1 });
+
+        h.undo();
+        expect(unwrapValue(store)).toEqual({ a: 0, b: 0 });
+        expect(h.canUndo).toBe(false);
+    });
+
+    it('separates steps with commit', () => {
+        const store = state({ a: 0 });
+        const h = history(store);
+
+        store.a = 1;
+        h.commit();
+        store.a = 2;
+
+        h.undo();
+        expect(store.a).toBe(1);
+    });
+
+    it('records writes through nested proxies', () => {
+        const store = state({ user: { profile: { name: 'John' } } });
+        const h = history(store);
+
+        store.user.profile.name = 'Jane';
+        h.undo();
+
+        expect(store.user.profile.name).toBe('John');
+    });
+
+    it('undoes added and deleted properties', () => {
+        const store = state(/** @type {Record<string, number>} */ ({ a: 1 }));
+        const h = history(store);
+
+        store.b = 2;
+        h.commit();
+        delete store.a;
+
+        h.undo();
+        expect(unwrapValue(store)).toEqual({ a: 1, b: 2 });
+
+        h.undo();
+        expect(unwrapValue(store)).toEqual({ a: 1 });
+        expect(Object.hasOwn(unwrapValue(store), 'b')).toBe(false);
+
+        h.redo();
+        h.redo();
+        expect(unwrapValue(store)).toEqual({ b: 2 });
+    });
+
+    it('undoes array mutations made by methods', () => {
+        const store = state({ items: [1, 2, 3] });
+        const h = history(store);
+
+        store.items.push(4);
+        h.commit();
+        store.items.splice(0, 2);
+        h.commit();
+        store.items.reverse();
+
+        h.undo();
+        expect(store.items).toEqual([3, 4]);
+        h.undo();
+        expect(store.items).toEqual([1, 2, 3, 4]);
+        h.undo();
+        expect(store.items).toEqual([1, 2, 3]);
+
+        h.redo();
+        h.redo();
+        h.redo();
+        expect(store.items).toEqual([4, 3]);
+    });
+
+    it('undoes writes past the end of an array and sparse truncation', () => {
+        const store = state({ items: [1, 2] });
+        const h = history(store);
+
+        store.items[4] = 5;
+        h.commit();
+        store.items.length = 1;
+
+        h.undo();
+        expect(store.items).toHaveLength(5);
+        expect(store.items[4]).toBe(5);
+        expect(2 in unwrapValue(store.items)).toBe(false);
+        h.undo();
+        expect(store.items).toEqual([1, 2]);
+
+        h.redo();
+        h.redo();
+        expect(store.items).toEqual([1]);
+    });
+
+    it('undoes Map and Set writes', () => {
+        const store = state({ map: new Map([['a', 1]]), set: new Set([1]) });
+        const h = history(store);
+
+        store.map.set('a', 2).set('b', 3);
+        store.set.add(2);
+        h.commit();
+        store.map.delete('a');
+        store.set.clear();
+
+        h.undo();
+        expect(unwrapValue(store.map)).toEqual(
+            new Map([
+                ['a', 2],
+                ['b', 3],
+            ])
+        );
+        expect(unwrapValue(store.set)).toEqual(new Set([1, 2]));
+        h.undo();
+        expect(unwrapValue(store.map)).toEqual(new Map([['a', 1]]));
+        expect(unwrapValue(store.set)).toEqual(new Set([1]));
+
+        h.redo();
+        h.redo();
+        expect(unwrapValue(store.map)).toEqual(new Map([['b', 3]]));
+        expect(store.set.size).toBe(0);
+    });
+
+    it('clears redo stack on a new write', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        store.count = 1;
+        h.undo();
+        expect(h.canRedo).toBe(true);
+
+        store.count = 2;
+        expect(h.canRedo).toBe(false);
+    });
+
+    it('does not record its own undo/redo writes', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        store.count = 1;
+        h.undo();
+        h.redo();
+        h.undo();
+
+        expect(store.count).toBe(0);
+        expect(h.canUndo).toBe(false);
+    });
+
+    it('exposes reactive canUndo and canRedo', async () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(h.canUndo, h.canRedo);
+        });
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(false, false);
+
+        store.count = 1;
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(true, false);
+
+        h.undo();
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(false, true);
+    });
+
+    it('notifies dependents of undone properties', async () => {
+        const store = state({ a: 0, b: 0 });
+        const h = history(store);
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.a);
+        });
+        await flushAll();
+
+        store.a = 1;
+        await flushAll();
+        h.undo();
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(3);
+        expect(subscriber).toHaveBeenLastCalledWith(0);
+    });
+
+    it('respects the limit option', () => {
+        const store = state({ count: 0 });
+        const h = history(store, { limit: 2 });
+
+        for (let i = 1; i <= 4; ++i) {
+            store.count = i;
+            h.commit();
+        }
+
+        h.undo();
+        h.undo();
+        h.undo();
+
+        expect(store.count).toBe(2);
+        expect(h.canUndo).toBe(false);
+    });
+
+    it('ignores writes equal to the current value', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        store.count = 0;
+
+        expect(h.canUndo).toBe(false);
+    });
+
+    it('clears recorded changes', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        store.count = 1;
+        h.clear();
+
+        expect(h.canUndo).toBe(false);
+        h.undo();
+        expect(store.count).toBe(1);
+    });
+
+    it('stops recording when disposed', () => {
+        const store = state({ count: 0 });
+        const h = history(store);
+
+        h.dispose();
+        store.count = 1;
+
+        expect(h.canUndo).toBe(false);
+    });
+
+    it('stops recording when the active scope is disposed', () => {
+        const store = state({ count: 0 });
+        /** @type {ReturnType<typeof history> | undefined} */
+        let h;
+        const inner = scope(() => {
+            h = history(store);
+        });
+
+        inner();
+        store.count = 1;
+
+        expect(h?.canUndo).toBe(false);
+    });
+
+    it('throws for values that are not state proxies', () => {
+        expect(() => history({})).toThrow(TypeError);
+    });
+
+    it('ignores commits scheduled for groups closed by undo', () => {
+        /** @type {(() => void)[]} */
+        const queue = [];
+        setScheduler(callback => queue.push(callback));
+        try {
+            const store = state({ a: 0, b: 0, c: 0 });
+            const h = history(store);
+
+            store.a = 1;
+            h.undo();
+            store.b = 1;
+            // The commit scheduled for the first group runs after a new group started
+            queue.shift()?.();
+            store.c = 1;
+            for (const callback of queue.splice(0)) {
+                callback();
+            }
+
+            h.undo();
+            expect(store).toEqual({ a: 0, b: 0, c: 0 });
+        } finally {
+            setScheduler(queueMicrotask);
+        }
+    });
+});
@@ -303,7 +303,7 @@ describe('store', () => {
             effect(() => subscriber(store.map.size));
             const size = store.map.size;
             expect(size).toBe(1);
-            expect(store.map.get('key')).toBe(value);
+            expect(unwrapValue(store.map.get('key'))).toBe(value);
         });
 
         it('Date in store (mutation triggers update)', async () => {
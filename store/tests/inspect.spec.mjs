@@ -0,0 +1,247 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import {
+    computed,
+    debugConfig,
+    effect,
+    exportGraph,
+    flushEffects,
+    INSPECT_GRAPH,
+    inspect,
+    scope,
+    setActiveScope,
+    signal,
+    state,
+} from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('inspect', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        debugConfig(INSPECT_GRAPH);
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+        debugConfig(0);
+    });
+
+    it('returns undefined for unknown values', () => {
+        expect(inspect({})).toBeUndefined();
+        expect(inspect(() => {})).toBeUndefined();
+    });
+
+    it('records only nodes created while INSPECT_GRAPH is enabled', () => {
+        debugConfig(0);
+        const before = signal(1);
+        debugConfig(INSPECT_GRAPH);
+        const after = signal(1);
+
+        expect(inspect(before)).toBeUndefined();
+        expect(inspect(after)?.kind).toBe('signal');
+        expect(exportGraph().nodes.some(node => node.id === inspect(after)?.id)).toBe(true);
+    });
+
+    it('reports sources and dependents of a live graph', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const dispose = effect(() => {
+            doubled();
+        });
+        await flushAll();
+
+        const countInfo = inspect(count);
+        const doubledInfo = inspect(doubled);
+        const effectInfo = inspect(dispose);
+
+        expect(countInfo?.kind).toBe('signal');
+        expect(countInfo?.sources).toEqual([]);
+        expect(countInfo?.dependents.map(node => node.target)).toEqual([doubled]);
+
+        expect(doubledInfo?.kind).toBe('computed');
+        expect(doubledInfo?.sources.map(node => node.target)).toEqual([count]);
+        expect(doubledInfo?.dependents.map(node => node.target)).toEqual([dispose]);
+        expect(doubledInfo?.flags).toContain('LIVE');
+        expect(doubledInfo?.flags).toContain('HAS_VALUE');
+
+        expect(effectInfo?.kind).toBe('effect');
+        expect(effectInfo?.sources.map(node => node.id)).toEqual([doubledInfo?.id]);
+        expect(effectInfo?.flags).toContain('EFFECT');
+    });
+
+    it('generates unique labels', () => {
+        const a = signal(0);
+        const b = computed(() => a());
+
+        expect(inspect(a)?.label).toMatch(/^signal#\d+$/);
+        expect(inspect(b)?.label).toMatch(/^computed#\d+$/);
+        expect(inspect(a)?.id).not.toBe(inspect(b)?.id);
+    });
+
+    it('reports state properties as sources', async () => {
+        const store = state({ user: { name: 'John' }, items: [1] });
+        const dispose = effect(() => {
+            store.user.name;
+            store.items.map(item => item);
+        });
+        await flushAll();
+
+        const sources = inspect(dispose)?.sources ?? [];
+
+        expect(sources.map(node => [node.kind, node.label])).toEqual(
+            expect.arrayContaining([
+                ['state', 'user'],
+                ['state', 'name'],
+                ['state', '[iterate]'],
+            ])
+        );
+        expect(sources.every(node => node.target === undefined)).toBe(true);
+    });
+
+    it('reports DIRTY and CHECK flags after a write', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const quadrupled = computed(() => doubled() * 2);
+        effect(() => {
+            quadrupled();
+        });
+        await flushAll();
+
+        count.set(2);
+
+        expect(inspect(doubled)?.flags).toContain('CHECK');
+        expect(inspect(quadrupled)?.flags).toContain('CHECK');
+        quadrupled();
+        expect(inspect(doubled)?.flags).not.toContain('CHECK');
+    });
+
+    it('counts runs and records the last run duration', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const dispose = effect(() => {
+            doubled();
+        });
+
+        expect(inspect(dispose)?.runs).toBe(0);
+        expect(inspect(dispose)?.lastRunDuration).toBeUndefined();
+
+        await flushAll();
+        count.set(2);
+        await flushAll();
+
+        expect(inspect(dispose)?.runs).toBe(2);
+        expect(inspect(doubled)?.runs).toBe(2);
+        expect(inspect(dispose)?.lastRunDuration).toBeGreaterThanOrEqual(0);
+        expect(inspect(count)?.runs).toBe(0);
+    });
+
+    it('reports effects and child scopes of a scope', () => {
+        /** @type {() => void} */
+        let outer = () => {};
+        /** @type {() => void} */
+        let inner = () => {};
+        const parent = scope(() => {
+            outer = effect(() => {});
+            scope(() => {
+                inner = effect(() => {});
+            });
+        });
+
+        const info = inspect(parent);
+
+        expect(info?.kind).toBe('scope');
+        expect(info?.effects.map(node => node.target)).toEqual([outer]);
+        expect(info?.children).toHaveLength(1);
+        expect(info?.children[0]?.effects.map(node => node.target)).toEqual([inner]);
+
+        parent();
+        expect(inspect(parent)?.effects).toEqual([]);
+        expect(inspect(parent)?.children).toEqual([]);
+    });
+});
+
+describe('exportGraph', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        debugConfig(INSPECT_GRAPH);
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+        debugConfig(0);
+    });
+
+    it('exports nodes and source edges as JSON', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const dispose = effect(() => {
+            doubled();
+        });
+        await flushAll();
+
+        const countId = inspect(count)?.id;
+        const doubledId = inspect(doubled)?.id;
+        const effectId = inspect(dispose)?.id;
+        const graph = exportGraph();
+
+        expect(graph.nodes).toEqual(
+            expect.arrayContaining([
+                expect.objectContaining({ id: countId, kind: 'signal' }),
+                expect.objectContaining({ id: doubledId, kind: 'computed', runs: 1 }),
+                expect.objectContaining({ id: effectId, kind: 'effect', runs: 1 }),
+            ])
+        );
+        expect(graph.edges).toEqual(
+            expect.arrayContaining([
+                { from: countId, to: doubledId },
+                { from: doubledId, to: effectId },
+            ])
+        );
+        expect(JSON.parse(JSON.stringify(graph))).toEqual(graph);
+    });
+
+    it('exports DOT', async () => {
+        const count = signal(1);
+        const dispose = effect(() => {
+            count();
+        });
+        await flushAll();
+
+        const countId = inspect(count)?.id;
+        const effectId = inspect(dispose)?.id;
+        const dot = exportGraph('dot');
+
+        expect(dot.startsWith('digraph {\n')).toBe(true);
+        expect(dot).toContain(`n${countId} [label="signal#${countId}" shape=ellipse];`);
+        expect(dot).toContain(`n${countId} -> n${effectId};`);
+    });
+
+    it('escapes labels in DOT', async () => {
+        const store = state(/** @type {Record<string, number>} */ ({ 'say "hi"': 1 }));
+        effect(() => {
+            store['say "hi"'];
+        });
+        await flushAll();
+
+        expect(exportGraph('dot')).toContain('[label="say \\"hi\\"" shape=ellipse]');
+    });
+});
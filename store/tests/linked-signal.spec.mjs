@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, linkedSignal, scope, setActiveScope, signal, state } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('linkedSignal', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('follows the source until it is set', () => {
+        const selected = signal('a');
+        const draft = linkedSignal(selected);
+
+        expect(draft()).toBe('a');
+        selected.set('b');
+        expect(draft()).toBe('b');
+
+        draft.set('edited');
+        expect(draft()).toBe('edited');
+        expect(selected()).toBe('b');
+    });
+
+    it('resets when the source changes after a write', () => {
+        const selected = signal('a');
+        const draft = linkedSignal(selected);
+
+        draft.set('edited');
+        selected.set('c');
+
+        expect(draft()).toBe('c');
+    });
+
+    it('keeps a write made after the source changed', () => {
+        const selected = signal('a');
+        const draft = linkedSignal(selected);
+        draft();
+
+        selected.set('b');
+        draft.set('edited');
+
+        expect(draft()).toBe('edited');
+    });
+
+    it('keeps a write made after the source changed while live', async () => {
+        const selected = signal('a');
+        const draft = linkedSignal(selected);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(draft());
+        });
+        await flushAll();
+
+        selected.set('b');
+        draft.set('edited');
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith('edited');
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('derives the value with compute and the previous value', () => {
+        const options = signal(['a', 'b', 'c']);
+        const choice = linkedSignal(options, (items, previous) =>
+            previous !== undefined && items.includes(previous) ? previous : items[0]
+        );
+
+        expect(choice()).toBe('a');
+        choice.set('c');
+        options.set(['b', 'c']);
+        expect(choice()).toBe('c');
+        options.set(['x']);
+        expect(choice()).toBe('x');
+    });
+
+    it('tracks only the source', () => {
+        const row = signal({ name: 'John' });
+        const suffix = signal('!');
+        const compute = vi.fn((/** @type {{ name: string }} */ value) => value.name + suffix());
+        const draft = linkedSignal(row, compute);
+
+        expect(draft()).toBe('John!');
+        suffix.set('?');
+        expect(draft()).toBe('John!');
+        expect(compute).toHaveBeenCalledTimes(1);
+    });
+
+    it('works with state sources', () => {
+        const store = state({ rows: [{ name: 'John' }, { name: 'Jane' }], selected: 0 });
+        const name = linkedSignal(() => store.rows[store.selected]?.name ?? '');
+
+        name.set('Johnny');
+        expect(name()).toBe('Johnny');
+
+        store.selected = 1;
+        expect(name()).toBe('Jane');
+    });
+
+    it('notifies computeds and effects of writes and source changes', async () => {
+        const selected = signal(1);
+        const draft = linkedSignal(selected);
+        const doubled = computed(() => draft() * 2);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(doubled());
+        });
+        await flushAll();
+
+        draft.set(5);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(10);
+
+        selected.set(2);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(4);
+        expect(subscriber).toHaveBeenCalledTimes(3);
+    });
+
+    it('updates non-live computeds on write', () => {
+        const selected = signal(1);
+        const draft = linkedSignal(selected);
+        const doubled = computed(() => draft() * 2);
+
+        expect(doubled()).toBe(2);
+        draft.set(3);
+        expect(doubled()).toBe(6);
+        selected.set(4);
+        expect(doubled()).toBe(8);
+    });
+
+    it('does not notify when the written value is equal', async () => {
+        const selected = signal({ id: 1 });
+        const draft = linkedSignal(selected, undefined, (a, b) => a.id === b.id);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(draft());
+        });
+        await flushAll();
+
+        draft.set({ id: 1 });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('rethrows source errors until the source recovers', () => {
+        const fail = signal(true);
+        const draft = linkedSignal(() => {
+            if (fail()) {
+                throw new Error('source failed');
+            }
+            return 1;
+        });
+
+        expect(() => draft()).toThrow('source failed');
+        fail.set(false);
+        expect(draft()).toBe(1);
+    });
+});
@@ -0,0 +1,352 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    computed,
+    effect,
+    flushEffects,
+    fromObservable,
+    scope,
+    setActiveScope,
+    signal,
+    toAsyncIterable,
+    toObservable,
+} from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+/**
+ * Minimal subject for tests
+ * @template T
+ */
+function subject() {
+    /** @type {Set<import('../src/index.js').Observer<T>>} */
+    const observers = new Set();
+    return {
+        observers,
+        /** @param {import('../src/index.js').Observer<T>} observer */
+        subscribe(observer) {
+            observers.add(observer);
+            return { unsubscribe: () => observers.delete(observer) };
+        },
+        /** @param {T} value */
+        next(value) {
+            for (const observer of observers) {
+                observer.next?.(value);
+            }
+        },
+        /** @param {unknown} error */
+        error(error) {
+            for (const observer of observers) {
+                observer.error?.(error);
+            }
+        },
+    };
+}
+
+describe('toObservable', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('emits the current value and later changes', async () => {
+        const count = signal(1);
+        const next = vi.fn();
+
+        toObservable(count).subscribe({ next });
+        expect(next).toHaveBeenCalledWith(1);
+
+        count.set(2);
+        await flushAll();
+        count.set(3);
+        await flushAll();
+
+        expect(next.mock.calls).toEqual([[1], [2], [3]]);
+    });
+
+    it('accepts a next function and reactive getters', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const next = vi.fn();
+
+        toObservable(() => doubled() + 1).subscribe(next);
+        count.set(2);
+        await flushAll();
+
+        expect(next.mock.calls).toEqual([[3], [5]]);
+    });
+
+    it('stops emitting on unsubscribe', async () => {
+        const count = signal(1);
+        const next = vi.fn();
+
+        const subscription = toObservable(count).subscribe(next);
+        subscription.unsubscribe();
+        count.set(2);
+        await flushAll();
+
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps subscriptions independent of the active scope', async () => {
+        const count = signal(1);
+        const next = vi.fn();
+        const observable = toObservable(count);
+
+        const ctx = scope(() => {
+            observable.subscribe(next);
+        });
+        ctx();
+        count.set(2);
+        await flushAll();
+
+        expect(next).toHaveBeenLastCalledWith(2);
+    });
+
+    it('does not track reads made by observers', async () => {
+        const count = signal(1);
+        const other = signal(0);
+        const next = vi.fn(() => other());
+
+        toObservable(count).subscribe(next);
+        other.set(1);
+        await flushAll();
+
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes errors to the observer and stops', async () => {
+        const fail = signal(false);
+        const next = vi.fn();
+        const error = vi.fn();
+
+        toObservable(() => {
+            if (fail()) {
+                throw new Error('failed');
+            }
+            return 1;
+        }).subscribe({ next, error });
+        fail.set(true);
+        await flushAll();
+        fail.set(false);
+        await flushAll();
+
+        expect(error).toHaveBeenCalledWith(new Error('failed'));
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes errors of the first run to the observer', () => {
+        const error = vi.fn();
+
+        toObservable(() => {
+            throw new Error('failed');
+        }).subscribe({ error });
+
+        expect(error).toHaveBeenCalledWith(new Error('failed'));
+    });
+
+    it('is interoperable through @@observable', () => {
+        const observable = toObservable(signal(1));
+
+        expect(/** @type {any} */ (observable)['@@observable']()).toBe(observable);
+    });
+});
+
+describe('fromObservable', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('reads the latest value of the observable', async () => {
+        /** @type {ReturnType<typeof subject<number>>} */
+        const source = subject();
+        const value = fromObservable(source, 0);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(value());
+        });
+        await flushAll();
+
+        source.next(5);
+        await flushAll();
+
+        expect(value()).toBe(5);
+        expect(subscriber.mock.calls).toEqual([[0], [5]]);
+        expect('set' in value).toBe(false);
+    });
+
+    it('round-trips through toObservable', async () => {
+        const count = signal(1);
+        const mirror = fromObservable(toObservable(count), 0);
+
+        expect(mirror()).toBe(1);
+        count.set(2);
+        await flushAll();
+        expect(mirror()).toBe(2);
+    });
+
+    it('unsubscribes when the scope is disposed', () => {
+        /** @type {ReturnType<typeof subject<number>>} */
+        const source = subject();
+        const ctx = scope(() => {
+            fromObservable(source, 0);
+        });
+        expect(source.observers.size).toBe(1);
+
+        ctx();
+
+        expect(source.observers.size).toBe(0);
+    });
+
+    it('unsubscribes when disposed', () => {
+        /** @type {ReturnType<typeof subject<number>>} */
+        const source = subject();
+        setActiveScope(undefined);
+        const mirror = fromObservable(source, 0);
+        setActiveScope(testScope);
+        expect(source.observers.size).toBe(1);
+
+        source.next(1);
+        mirror.dispose();
+        mirror.dispose();
+        source.next(2);
+
+        expect(source.observers.size).toBe(0);
+        expect(mirror()).toBe(1);
+    });
+
+    it('supports subscriptions returned as functions', () => {
+        const unsubscribe = vi.fn();
+        const ctx = scope(() => {
+            fromObservable({ subscribe: () => unsubscribe }, 0);
+        });
+
+        ctx();
+
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports errors to the scope', () => {
+        /** @type {ReturnType<typeof subject<number>>} */
+        const source = subject();
+        const handler = vi.fn();
+        const ctx = scope((_onDispose, onError) => {
+            onError(handler);
+            fromObservable(source, 0);
+        });
+
+        source.error(new Error('stream failed'));
+
+        expect(handler).toHaveBeenCalledWith(new Error('stream failed'));
+        ctx();
+    });
+});
+
+describe('toAsyncIterable', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('yields the current value and later changes', async () => {
+        const count = signal(0);
+        /** @type {number[]} */
+        const values = [];
+
+        const loop = (async () => {
+            for await (const value of toAsyncIterable(count)) {
+                values.push(value);
+                if (value === 2) {
+                    break;
+                }
+            }
+        })();
+
+        await flushAll();
+        count.set(1);
+        await flushAll();
+        count.set(2);
+        await loop;
+
+        expect(values).toEqual([0, 1, 2]);
+    });
+
+    it('skips values changed before the next pull', async () => {
+        const count = signal(0);
+        const iterator = toAsyncIterable(count);
+
+        expect(await iterator.next()).toEqual({ value: 0, done: false });
+        count.set(1);
+        await flushAll();
+        count.set(2);
+        await flushAll();
+
+        expect(await iterator.next()).toEqual({ value: 2, done: false });
+        await iterator.return?.();
+    });
+
+    it('stops watching when the loop ends', async () => {
+        const count = signal(0);
+        const read = vi.fn(() => count());
+        const iterator = toAsyncIterable(read);
+
+        await iterator.next();
+        await iterator.return?.();
+        count.set(1);
+        await flushAll();
+
+        expect(read).toHaveBeenCalledTimes(1);
+        expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    });
+
+    it('rejects with errors of the getter and finishes', async () => {
+        const fail = signal(false);
+        const iterator = toAsyncIterable(() => {
+            if (fail()) {
+                throw new Error('failed');
+            }
+            return 1;
+        });
+
+        await iterator.next();
+        const rejected = expect(iterator.next()).rejects.toThrow('failed');
+        fail.set(true);
+        await flushAll();
+
+        await rejected;
+        expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    });
+});
@@ -0,0 +1,382 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { applyPatches, effect, flushEffects, observePatches, scope, setActiveScope, snapshot, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('observePatches', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('emits replace, add and remove operations', () => {
+        const store = state(/** @type {Record<string, number>} */ ({ a: 1 }));
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store.a = 2;
+        store.b = 3;
+        delete store.a;
+
+        expect(operations).toEqual([
+            { op: 'replace', path: '/a', value: 2 },
+            { op: 'add', path: '/b', value: 3 },
+            { op: 'remove', path: '/a' },
+        ]);
+    });
+
+    it('emits paths for writes through nested proxies', () => {
+        const store = state({ user: { profile: { name: 'John' } }, items: [{ id: 1 }] });
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store.user.profile.name = 'Jane';
+        /** @type {{ id: number }} */ (store.items[0]).id = 2;
+
+        expect(operations).toEqual([
+            { op: 'replace', path: '/user/profile/name', value: 'Jane' },
+            { op: 'replace', path: '/items/0/id', value: 2 },
+        ]);
+    });
+
+    it('escapes pointer segments', () => {
+        const store = state(/** @type {Record<string, number>} */ ({}));
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store['a/b~c'] = 1;
+
+        expect(operations).toEqual([{ op: 'add', path: '/a~1b~0c', value: 1 }]);
+    });
+
+    it('emits index operations for array methods', () => {
+        const store = state({ items: [1, 2, 3, 4] });
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store.items.push(5);
+        store.items.splice(0, 2);
+
+        expect(operations).toEqual([
+            { op: 'add', path: '/items/4', value: 5 },
+            { op: 'replace', path: '/items/0', value: 3 },
+            { op: 'replace', path: '/items/1', value: 4 },
+            { op: 'replace', path: '/items/2', value: 5 },
+            { op: 'remove', path: '/items/4' },
+            { op: 'remove', path: '/items/3' },
+        ]);
+    });
+
+    it('emits removals when an array length is truncated', () => {
+        const store = state({ items: [1, 2, 3] });
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store.items.length = 1;
+
+        expect(operations).toEqual([
+            { op: 'remove', path: '/items/2' },
+            { op: 'remove', path: '/items/1' },
+        ]);
+    });
+
+    it('emits frozen snapshots of object values', () => {
+        const store = state(/** @type {{ user?: { name: string } }} */ ({}));
+        /** @type {any[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        const user = { name: 'John' };
+        store.user = user;
+        user.name = 'Jane';
+
+        expect(operations[0].value).toEqual({ name: 'John' });
+        expect(Object.isFrozen(operations[0].value)).toBe(true);
+    });
+
+    it('emits writes of frozen objects and notifies dependents', async () => {
+        const store = state({ cfg: Object.freeze({ a: 1 }) });
+        /** @type {any[]} */
+        const operations = [];
+        const values = [];
+        observePatches(store, operation => operations.push(operation));
+
+        effect(() => {
+            values.push(unwrapValue(store.cfg).a);
+        });
+        await flushAll();
+
+        store.cfg = Object.freeze({ a: 2 });
+        await flushAll();
+
+        expect(operations).toEqual([{ op: 'replace', path: '/cfg', value: { a: 2 } }]);
+        expect(values).toEqual([1, 2]);
+    });
+
+    it('ignores writes to objects detached from the tree', () => {
+        const store = state({ user: { name: 'John' } });
+        const user = store.user;
+        /** @type {unknown[]} */
+        const operations = [];
+        observePatches(store, operation => operations.push(operation));
+
+        store.user = { name: 'Jane' };
+        user.name = 'Bob';
+
+        expect(operations).toEqual([{ op: 'replace', path: '/user', value: { name: 'Jane' } }]);
+    });
+
+    it('stops emitting after unsubscribe', () => {
+        const store = state({ count: 0 });
+        const listener = vi.fn();
+        const unsubscribe = observePatches(store, listener);
+
+        unsubscribe();
+        store.count = 1;
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('stops emitting when the active scope is disposed', () => {
+        const store = state({ count: 0 });
+        const listener = vi.fn();
+        const inner = scope(() => {
+            observePatches(store, listener);
+        });
+
+        inner();
+        store.count = 1;
+
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('rejects Map and Set writes before changing the collection', async () => {
+        const store = state({ map: new Map([['a', 1]]), set: new Set([1]) });
+        const unsubscribe = observePatches(store, () => {});
+        const values = [];
+
+        effect(() => {
+            values.push(store.map.get('a'));
+        });
+        await flushAll();
+
+        expect(() => store.map.set('a', 2)).toThrow('[@slimlib/store] observePatches does not support Map and Set writes');
+        expect(() => store.map.clear()).toThrow('[@slimlib/store] observePatches does not support Map and Set writes');
+        expect(() => store.set.add(2)).toThrow('[@slimlib/store] observePatches does not support Map and Set writes');
+        expect(() => store.set.delete(1)).toThrow('[@slimlib/store] observePatches does not support Map and Set writes');
+        expect(unwrapValue(store.map)).toEqual(new Map([['a', 1]]));
+        expect(unwrapValue(store.set)).toEqual(new Set([1]));
+
+        unsubscribe();
+        store.map.set('a', 2);
+        await flushAll();
+
+        expect(values).toEqual([1, 2]);
+    });
+
+    it('throws for values that are not state proxies', () => {
+        expect(() => observePatches({}, () => {})).toThrow(TypeError);
+    });
+});
+
+describe('applyPatches', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('applies add, replace and remove operations', () => {
+        const store = state(/** @type {Record<string, unknown>} */ ({ a: 1, nested: { b: 2 } }));
+
+        applyPatches(store, [
+            { op: 'replace', path: '/a', value: 10 },
+            { op: 'add', path: '/nested/c', value: { d: 3 } },
+            { op: 'remove', path: '/nested/b' },
+        ]);
+
+        expect(unwrapValue(store)).toEqual({ a: 10, nested: { c: { d: 3 } } });
+    });
+
+    it('inserts, replaces and removes array items', () => {
+        const store = state({ items: [1, 2, 3] });
+
+        applyPatches(store, [
+            { op: 'add', path: '/items/1', value: 10 },
+            { op: 'add', path: '/items/-', value: 4 },
+            { op: 'replace', path: '/items/0', value: 0 },
+            { op: 'remove', path: '/items/2' },
+        ]);
+
+        expect(store.items).toEqual([0, 10, 3, 4]);
+    });
+
+    it('replaces the whole document for an empty path', () => {
+        const store = state(/** @type {Record<string, number>} */ ({ a: 1 }));
+
+        applyPatches(store, [{ op: 'replace', path: '', value: { b: 2 } }]);
+
+        expect(unwrapValue(store)).toEqual({ b: 2 });
+    });
+
+    it('unescapes pointer segments', () => {
+        const store = state(/** @type {Record<string, number>} */ ({}));
+
+        applyPatches(store, [{ op: 'add', path: '/a~1b~0c', value: 1 }]);
+
+        expect(unwrapValue(store)).toEqual({ 'a/b~c': 1 });
+    });
+
+    it('writes mutable copies of patch values', () => {
+        const store = state(/** @type {{ user?: { name: string } }} */ ({}));
+        const value = Object.freeze({ name: 'John' });
+
+        applyPatches(store, [{ op: 'add', path: '/user', value }]);
+        /** @type {{ name: string }} */ (store.user).name = 'Jane';
+
+        expect(store.user?.name).toBe('Jane');
+        expect(value.name).toBe('John');
+    });
+
+    it('notifies dependents of patched properties', async () => {
+        const store = state({ a: 1, b: 1 });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(store.a);
+        });
+        await flushAll();
+
+        applyPatches(store, [{ op: 'replace', path: '/a', value: 2 }]);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(2);
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+    });
+
+    it('replays observed patches onto another state', () => {
+        const source = state(
+            /** @type {{ user: { name: string, tags: string[] }, items: number[], extra?: number }} */ ({
+                user: { name: 'John', tags: ['a'] },
+                items: [1, 2, 3, 4],
+            })
+        );
+        const target = state(structuredClone(unwrapValue(source)));
+        /** @type {import('../src/index.js').PatchOperation[]} */
+        const operations = [];
+        observePatches(source, operation => operations.push(operation));
+
+        source.user.name = 'Jane';
+        source.user.tags.push('b', 'c');
+        source.items.splice(1, 2, 9);
+        source.items.reverse();
+        source.extra = 1;
+        delete source.extra;
+        source.user.tags.length = 1;
+
+        applyPatches(target, operations);
+
+        expect(snapshot(target)).toEqual(snapshot(source));
+    });
+
+    it('replays deleted array items as null without shifting the following items', () => {
+        const source = state({ items: [1, 2, 3] });
+        const target = state({ items: [1, 2, 3] });
+        /** @type {import('../src/index.js').PatchOperation[]} */
+        const operations = [];
+        observePatches(source, operation => operations.push(operation));
+
+        delete source.items[1];
+        applyPatches(target, JSON.parse(JSON.stringify(operations)));
+
+        expect(operations).toEqual([{ op: 'replace', path: '/items/1', value: null }]);
+        expect(target.items).toEqual([1, null, 3]);
+    });
+
+    it('replays sparse array writes and length changes through JSON', () => {
+        const source = state({ items: [1, 2] });
+        const target = state({ items: [1, 2] });
+        /** @type {import('../src/index.js').PatchOperation[]} */
+        const operations = [];
+        observePatches(source, operation => operations.push(operation));
+
+        source.items[4] = 5;
+        expect(operations).toEqual([
+            { op: 'add', path: '/items/2', value: null },
+            { op: 'add', path: '/items/3', value: null },
+            { op: 'add', path: '/items/4', value: 5 },
+        ]);
+        source.items[3] = 4;
+        source.items.length = 7;
+        source.items.push(8);
+        source.items.unshift(0);
+        source.items.length = 3;
+        applyPatches(target, JSON.parse(JSON.stringify(operations)));
+
+        expect(target.items).toEqual(JSON.parse(JSON.stringify(source.items)));
+        expect(target.items).toEqual([0, 1, 2]);
+    });
+
+    it('replays array methods on sparse arrays through JSON', () => {
+        const source = state({ items: [1, 2] });
+        const target = state({ items: [1, 2] });
+        /** @type {import('../src/index.js').PatchOperation[]} */
+        const operations = [];
+        observePatches(source, operation => operations.push(operation));
+
+        source.items.length = 4;
+        source.items[3] = 4;
+        source.items.unshift(0);
+        source.items.reverse();
+        source.items.splice(1, 2, 'a', 'b', 'c');
+        applyPatches(target, JSON.parse(JSON.stringify(operations)));
+
+        expect(target.items).toEqual(JSON.parse(JSON.stringify(source.items)));
+    });
+
+    it('throws for invalid paths', () => {
+        const store = state({ a: 1, items: [1] });
+
+        expect(() => applyPatches(store, [{ op: 'add', path: 'a', value: 1 }])).toThrow('Invalid JSON Pointer');
+        expect(() => applyPatches(store, [{ op: 'add', path: '/missing/b', value: 1 }])).toThrow('Path not found');
+        expect(() => applyPatches(store, [{ op: 'add', path: '/items/5', value: 1 }])).toThrow('Invalid array index');
+        expect(() => applyPatches(store, [{ op: 'remove', path: '' }])).toThrow('Cannot remove the root');
+    });
+
+    it('throws for unsupported operations', () => {
+        const store = state({ a: 1 });
+
+        expect(() => applyPatches(store, [/** @type {any} */ ({ op: 'move', from: '/a', path: '/b' })])).toThrow(
+            'Unsupported patch operation'
+        );
+    });
+});
@@ -0,0 +1,244 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { hydrate, memoryStorage, persist, scope, serialize, setActiveScope, signal, state } from '../src/index.js';
+
+describe('persist', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+    /** @type {import('../src/index.js').PersistStorage} */
+    let storage;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        testScope = scope();
+        setActiveScope(testScope);
+        storage = memoryStorage();
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+        vi.useRealTimers();
+    });
+
+    /**
+     * Let effects run and the write-back timer fire
+     * @param {number} [ms]
+     */
+    async function settle(ms = 100) {
+        await vi.advanceTimersByTimeAsync(ms);
+    }
+
+    it('hydrates a signal synchronously', () => {
+        storage.setItem('count', JSON.stringify({ version: 0, value: 5 }));
+        const count = signal(0);
+
+        persist(count, { key: 'count', storage });
+
+        expect(count()).toBe(5);
+    });
+
+    it('hydrates a state tree synchronously', () => {
+        storage.setItem('settings', JSON.stringify({ version: 0, value: { theme: 'dark', tags: ['a'] } }));
+        const settings = state({ theme: 'light', tags: /** @type {string[]} */ ([]), size: 1 });
+
+        persist(settings, { key: 'settings', storage });
+
+        expect(settings.theme).toBe('dark');
+        expect(settings.tags).toEqual(['a']);
+        expect('size' in settings).toBe(false);
+    });
+
+    it('writes signal changes back debounced', async () => {
+        const setItem = vi.spyOn(storage, 'setItem');
+        const count = signal(0);
+        persist(count, { key: 'count', storage, wait: 50 });
+
+        count.set(1);
+        await settle(20);
+        count.set(2);
+        await settle(20);
+        expect(setItem).not.toHaveBeenCalled();
+
+        await settle(50);
+        expect(setItem).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(/** @type {string} */ (storage.getItem('count')))).toEqual({ version: 0, value: 2 });
+    });
+
+    it('writes nested state changes back', async () => {
+        const settings = state({ user: { name: 'John' } });
+        persist(settings, { key: 'settings', storage, version: 2 });
+
+        settings.user.name = 'Jane';
+        await settle();
+
+        expect(JSON.parse(/** @type {string} */ (storage.getItem('settings')))).toEqual({ version: 2, value: { user: { name: 'Jane' } } });
+    });
+
+    it('writes Map and Set changes back', async () => {
+        const settings = state({ tags: new Set(['a']) });
+        persist(settings, { key: 'tags', storage, serialize: stored => JSON.stringify([...stored.value.tags]) });
+
+        settings.tags.add('b');
+        await settle();
+
+        expect(storage.getItem('tags')).toBe('["a","b"]');
+    });
+
+    it('keeps Map and Set when hydrating JSON', async () => {
+        const settings = state({ tags: new Map([['x', 1]]), theme: 'light' });
+        persist(settings, { key: 'settings', storage });
+
+        settings.tags.set('y', 2);
+        settings.theme = 'dark';
+        await settle();
+
+        const restored = state({ tags: new Map([['x', 1]]), theme: 'light' });
+        persist(restored, { key: 'settings', storage });
+
+        expect(restored.theme).toBe('dark');
+        expect(restored.tags).toBeInstanceOf(Map);
+        expect(restored.tags.get('x')).toBe(1);
+    });
+
+    it('round-trips Map and Set with serialize and hydrate', async () => {
+        /** @type {Pick<import('../src/index.js').PersistOptions<any>, 'serialize' | 'deserialize'>} */
+        const options = {
+            serialize: stored => serialize({ stored }),
+            deserialize: text => {
+                const stored = signal();
+                hydrate(text, { stored });
+                return stored();
+            },
+        };
+        const settings = state({ tags: new Map([['x', 1]]), selected: new Set() });
+        persist(settings, { key: 'settings', storage, ...options });
+
+        settings.tags.set('y', 2);
+        settings.selected.add('x');
+        await settle();
+
+        const restored = state({ tags: new Map(), selected: new Set() });
+        persist(restored, { key: 'settings', storage, ...options });
+
+        expect(restored.tags.get('y')).toBe(2);
+        expect(restored.selected.has('x')).toBe(true);
+    });
+
+    it('does not write the hydrated value back', async () => {
+        storage.setItem('count', JSON.stringify({ version: 0, value: 5 }));
+        const setItem = vi.spyOn(storage, 'setItem');
+
+        persist(signal(0), { key: 'count', storage });
+        persist(state({ a: 1 }), { key: 'state', storage });
+        await settle();
+
+        expect(setItem).not.toHaveBeenCalled();
+    });
+
+    it('migrates values stored with another version', () => {
+        storage.setItem('user', JSON.stringify({ version: 1, value: { fullName: 'John Doe' } }));
+        const user = state({ first: '', last: '' });
+        const migrate = vi.fn((/** @type {any} */ value) => {
+            const [first, last] = value.fullName.split(' ');
+            return { first, last };
+        });
+
+        persist(user, { key: 'user', storage, version: 2, migrate });
+
+        expect(migrate).toHaveBeenCalledWith({ fullName: 'John Doe' }, 1);
+        expect(user).toEqual({ first: 'John', last: 'Doe' });
+    });
+
+    it('ignores values of another version without migrate', () => {
+        const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        storage.setItem('count', JSON.stringify({ version: 1, value: 5 }));
+        const count = signal(0);
+
+        persist(count, { key: 'count', storage, version: 2 });
+
+        expect(count()).toBe(0);
+        expect(consoleWarn).toHaveBeenCalledTimes(1);
+        consoleWarn.mockRestore();
+    });
+
+    it('uses custom serialize and deserialize', async () => {
+        const count = signal(0);
+        persist(count, {
+            key: 'count',
+            storage,
+            serialize: ({ version, value }) => `${version}:${value}`,
+            deserialize: text => {
+                const [version, value] = text.split(':');
+                return { version: Number(version), value: Number(value) };
+            },
+        });
+
+        count.set(3);
+        await settle();
+        expect(storage.getItem('count')).toBe('0:3');
+
+        const restored = signal(0);
+        persist(restored, { key: 'count', storage, deserialize: text => ({ version: 0, value: Number(text.split(':')[1]) }) });
+        expect(restored()).toBe(3);
+    });
+
+    it('writes a pending change on dispose and stops persisting', async () => {
+        const count = signal(0);
+        const dispose = persist(count, { key: 'count', storage });
+
+        count.set(1);
+        await Promise.resolve();
+        dispose();
+        expect(JSON.parse(/** @type {string} */ (storage.getItem('count'))).value).toBe(1);
+
+        count.set(2);
+        await settle();
+        expect(JSON.parse(/** @type {string} */ (storage.getItem('count'))).value).toBe(1);
+    });
+
+    it('writes a pending change when the scope is disposed', async () => {
+        const settings = state({ theme: 'light' });
+        const ctx = scope(() => {
+            persist(settings, { key: 'settings', storage });
+        });
+
+        settings.theme = 'dark';
+        ctx();
+
+        expect(JSON.parse(/** @type {string} */ (storage.getItem('settings'))).value).toEqual({ theme: 'dark' });
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('reports storage and deserialize errors to the scope', async () => {
+        const handler = vi.fn();
+        storage.setItem('broken', '{');
+        vi.spyOn(storage, 'setItem').mockImplementation(() => {
+            throw new Error('quota exceeded');
+        });
+        const count = signal(0);
+
+        const ctx = scope((_onDispose, onError) => {
+            onError(handler);
+            persist(count, { key: 'broken', storage });
+        });
+        expect(handler).toHaveBeenCalledWith(expect.any(SyntaxError));
+
+        count.set(1);
+        await settle();
+        expect(handler).toHaveBeenLastCalledWith(new Error('quota exceeded'));
+        ctx();
+    });
+});
+
+describe('memoryStorage', () => {
+    it('stores strings by key', () => {
+        const storage = memoryStorage();
+
+        expect(storage.getItem('a')).toBeNull();
+        storage.setItem('a', '1');
+        expect(storage.getItem('a')).toBe('1');
+        storage.removeItem('a');
+        expect(storage.getItem('a')).toBeNull();
+    });
+});
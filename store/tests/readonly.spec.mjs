@@ -0,0 +1,247 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import { computed, effect, flushEffects, readonly, scope, setActiveScope, signal, snapshot, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('readonly', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('reads the current values of a state', () => {
+        const store = state({ count: 1, user: { name: 'John' } });
+        const view = readonly(store);
+
+        expect(view.count).toBe(1);
+        expect(view.user.name).toBe('John');
+
+        store.user.name = 'Jane';
+        expect(view.user.name).toBe('Jane');
+    });
+
+    it('subscribes effects to the properties of the state', async () => {
+        const store = state({ count: 1, other: 1 });
+        const view = readonly(store);
+        const runs = [];
+
+        effect(() => {
+            runs.push(view.count);
+        });
+        await flushAll();
+
+        store.other = 2;
+        await flushAll();
+        store.count = 2;
+        await flushAll();
+
+        expect(runs).toEqual([1, 2]);
+    });
+
+    it('subscribes computeds to nested properties', () => {
+        const store = state({ user: { name: 'John' } });
+        const view = readonly(store);
+        const greeting = computed(() => `Hello, ${view.user.name}`);
+
+        expect(greeting()).toBe('Hello, John');
+
+        store.user.name = 'Jane';
+        expect(greeting()).toBe('Hello, Jane');
+    });
+
+    it('throws on writes', () => {
+        const store = state({ count: 1, user: { name: 'John' } });
+        const view = readonly(store);
+
+        expect(() => {
+            view.count = 2;
+        }).toThrow('[@slimlib/store] Cannot set "count" of a readonly view');
+        expect(() => {
+            view.user.name = 'Jane';
+        }).toThrow('[@slimlib/store] Cannot set "name" of a readonly view');
+        expect(() => {
+            delete view.count;
+        }).toThrow('[@slimlib/store] Cannot delete "count" of a readonly view');
+        expect(() => Object.defineProperty(view, 'extra', { value: 1 })).toThrow(
+            '[@slimlib/store] Cannot define "extra" of a readonly view'
+        );
+
+        expect(store).toEqual({ count: 1, user: { name: 'John' } });
+    });
+
+    it('returns the same view for the same object', () => {
+        const store = state({ user: { name: 'John' } });
+        const view = readonly(store);
+
+        expect(readonly(store)).toBe(view);
+        expect(readonly(view)).toBe(view);
+        expect(view.user).toBe(view.user);
+        expect(readonly(store.user)).toBe(view.user);
+    });
+
+    it('blocks mutating array methods and reads items as views', async () => {
+        const store = state({ items: [{ id: 1 }, { id: 2 }] });
+        const view = readonly(store);
+        const lengths = [];
+
+        effect(() => {
+            lengths.push(view.items.map(item => item.id).join(','));
+        });
+        await flushAll();
+
+        expect(() => view.items.push({ id: 3 })).toThrow('[@slimlib/store] Cannot call "push" of a readonly view');
+        expect(() => view.items.sort()).toThrow('[@slimlib/store] Cannot call "sort" of a readonly view');
+        expect(() => {
+            view.items.find(item => item.id === 1).id = 5;
+        }).toThrow('[@slimlib/store] Cannot set "id" of a readonly view');
+        expect(view.items.length).toBe(2);
+
+        store.items.push({ id: 3 });
+        await flushAll();
+
+        expect(lengths).toEqual(['1,2', '1,2,3']);
+    });
+
+    it('blocks mutating Map and Set methods', async () => {
+        const store = state({ map: new Map([['a', 1]]), set: new Set([1]) });
+        const view = readonly(store);
+        const values = [];
+
+        effect(() => {
+            values.push(view.map.get('a'));
+        });
+        await flushAll();
+
+        expect(() => view.map.set('a', 2)).toThrow('[@slimlib/store] Cannot call "set" of a readonly view');
+        expect(() => view.map.clear()).toThrow('[@slimlib/store] Cannot call "clear" of a readonly view');
+        expect(() => view.set.add(2)).toThrow('[@slimlib/store] Cannot call "add" of a readonly view');
+        expect(() => view.set.delete(1)).toThrow('[@slimlib/store] Cannot call "delete" of a readonly view');
+        expect(view.set.has(1)).toBe(true);
+        expect(view.map.size).toBe(1);
+
+        store.map.set('a', 2);
+        await flushAll();
+
+        expect(values).toEqual([1, 2]);
+    });
+
+    it('reads Map and Set entries as views', async () => {
+        const store = state({ map: new Map([['a', { x: 1 }]]), set: new Set([{ id: 1 }]) });
+        const view = readonly(store);
+        const values = [];
+
+        effect(() => {
+            values.push(view.map.get('a').x);
+        });
+        await flushAll();
+
+        expect(() => {
+            view.map.get('a').x = 2;
+        }).toThrow('[@slimlib/store] Cannot set "x" of a readonly view');
+        expect(() => {
+            [...view.map.values()][0].x = 2;
+        }).toThrow('[@slimlib/store] Cannot set "x" of a readonly view');
+        expect(() => {
+            [...view.map.entries()][0][1].x = 2;
+        }).toThrow('[@slimlib/store] Cannot set "x" of a readonly view');
+        expect(() => {
+            for (const [, value] of view.map) {
+                value.x = 2;
+            }
+        }).toThrow('[@slimlib/store] Cannot set "x" of a readonly view');
+        expect(() => {
+            [...view.set][0].id = 2;
+        }).toThrow('[@slimlib/store] Cannot set "id" of a readonly view');
+        expect(() =>
+            view.map.forEach((value, key, map) => {
+                expect(key).toBe('a');
+                expect(map).toBe(view.map);
+                value.x = 2;
+            })
+        ).toThrow('[@slimlib/store] Cannot set "x" of a readonly view');
+        expect(view.map.get('a')).toBe(readonly(store.map.get('a')));
+
+        store.map.get('a').x = 3;
+        await flushAll();
+
+        expect(values).toEqual([1, 3]);
+    });
+
+    it('blocks writes through methods of other objects', async () => {
+        class Counter {
+            count = 0;
+            increment() {
+                this.count++;
+            }
+            get double() {
+                return this.count * 2;
+            }
+        }
+        const store = state({ counter: new Counter(), created: new Date(0) });
+        const view = readonly(store);
+        const doubles = [];
+
+        effect(() => {
+            doubles.push(view.counter.double);
+        });
+        await flushAll();
+
+        expect(() => view.counter.increment()).toThrow('[@slimlib/store] Cannot set "count" of a readonly view');
+        expect(() => view.created.setFullYear(2000)).toThrow('[@slimlib/store] Cannot call "setFullYear" of a readonly view');
+        expect(view.created.getTime()).toBe(0);
+        expect(store.counter.count).toBe(0);
+        expect(store.created.getTime()).toBe(0);
+
+        store.counter.increment();
+        await flushAll();
+
+        expect(doubles).toEqual([0, 2]);
+    });
+
+    it('works with snapshot and unwrapValue', () => {
+        const store = state({ user: { name: 'John' } });
+        const view = readonly(store);
+
+        expect(unwrapValue(view)).toBe(unwrapValue(store));
+        expect(snapshot(view)).toEqual({ user: { name: 'John' } });
+    });
+
+    it('returns a getter without set for signals', async () => {
+        const count = signal(1);
+        const view = readonly(count);
+        const runs = [];
+
+        expect(view.set).toBeUndefined();
+
+        effect(() => {
+            runs.push(view());
+        });
+        await flushAll();
+
+        count.set(2);
+        await flushAll();
+
+        expect(runs).toEqual([1, 2]);
+    });
+
+    it('throws for objects that are not state', () => {
+        expect(() => readonly({ count: 1 })).toThrow('[@slimlib/store] Expected a state() proxy.');
+    });
+});
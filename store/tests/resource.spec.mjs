@@ -0,0 +1,262 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { effect, flushEffects, resource, scope, setActiveScope, signal, state } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+/**
+ * Create a promise that can be settled from outside
+ * @template T
+ */
+function deferred() {
+    /** @type {(value: T) => void} */
+    let resolve = () => {};
+    /** @type {(reason: unknown) => void} */
+    let reject = () => {};
+    /** @type {Promise<T>} */
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+describe('resource', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('starts loading synchronously and resolves the value', async () => {
+        const id = signal(1);
+        const r = resource(id, async value => `item ${value}`);
+
+        expect(r.loading).toBe(true);
+        expect(r.value).toBeUndefined();
+        expect(r.error).toBeUndefined();
+
+        await flushAll();
+
+        expect(r.loading).toBe(false);
+        expect(r.value).toBe('item 1');
+    });
+
+    it('uses the initial value until the first request resolves', async () => {
+        const r = resource(
+            () => 1,
+            async () => [1, 2, 3],
+            /** @type {number[]} */ ([])
+        );
+
+        expect(r.value).toEqual([]);
+        await flushAll();
+        expect(r.value).toEqual([1, 2, 3]);
+    });
+
+    it('accepts synchronous fetchers', async () => {
+        const r = resource(
+            () => 2,
+            value => value * 2
+        );
+
+        await flushAll();
+        expect(r.value).toBe(4);
+        expect(r.loading).toBe(false);
+    });
+
+    it('re-runs when tracked source changes', async () => {
+        const store = state({ id: 1 });
+        const fetcher = vi.fn(async id => id * 10);
+        const r = resource(() => store.id, fetcher);
+
+        await flushAll();
+        expect(r.value).toBe(10);
+
+        store.id = 2;
+        await flushAll();
+
+        expect(fetcher).toHaveBeenCalledTimes(2);
+        expect(r.value).toBe(20);
+    });
+
+    it('does not track reads inside the fetcher', async () => {
+        const id = signal(1);
+        const other = signal(1);
+        const fetcher = vi.fn(async value => value + other());
+        resource(id, fetcher);
+
+        await flushAll();
+        other.set(2);
+        await flushAll();
+
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('aborts superseded requests and ignores their results', async () => {
+        const id = signal(1);
+        /** @type {AbortSignal[]} */
+        const abortSignals = [];
+        /** @type {Array<{ resolve: (value: string) => void }>} */
+        const requests = [];
+        const r = resource(id, (_value, abortSignal) => {
+            abortSignals.push(abortSignal);
+            const request = deferred();
+            requests.push(request);
+            return request.promise;
+        });
+
+        id.set(2);
+        await flushAll();
+
+        expect(abortSignals).toHaveLength(2);
+        expect(abortSignals[0]?.aborted).toBe(true);
+        expect(abortSignals[1]?.aborted).toBe(false);
+
+        requests[1]?.resolve('second');
+        requests[0]?.resolve('first');
+        await flushAll();
+
+        expect(r.value).toBe('second');
+        expect(r.loading).toBe(false);
+    });
+
+    it('exposes errors and clears them after a successful request', async () => {
+        const id = signal(1);
+        const r = resource(id, async value => {
+            if (value === 1) {
+                throw new Error('failed');
+            }
+            return value;
+        });
+
+        await flushAll();
+        expect(r.error).toBeInstanceOf(Error);
+        expect(r.loading).toBe(false);
+        expect(r.value).toBeUndefined();
+
+        id.set(2);
+        await flushAll();
+        expect(r.error).toBeUndefined();
+        expect(r.value).toBe(2);
+    });
+
+    it('captures errors thrown synchronously by the source or the fetcher', async () => {
+        const r1 = resource(
+            () => {
+                throw new Error('source');
+            },
+            async () => 1
+        );
+        const r2 = resource(
+            () => 1,
+            () => {
+                throw new Error('fetcher');
+            }
+        );
+
+        expect(/** @type {Error} */ (r1.error).message).toBe('source');
+        expect(r1.loading).toBe(false);
+        expect(/** @type {Error} */ (r2.error).message).toBe('fetcher');
+        expect(r2.loading).toBe(false);
+    });
+
+    it('keeps the previous value while reloading', async () => {
+        const id = signal(1);
+        const r = resource(id, async value => value);
+
+        await flushAll();
+        id.set(2);
+        await Promise.resolve();
+        flushEffects();
+
+        expect(r.loading).toBe(true);
+        expect(r.value).toBe(1);
+    });
+
+    it('refetches with the same source value', async () => {
+        const fetcher = vi.fn(async () => fetcher.mock.calls.length);
+        const r = resource(() => 'key', fetcher);
+
+        await flushAll();
+        expect(r.value).toBe(1);
+
+        r.refetch();
+        await flushAll();
+        expect(fetcher).toHaveBeenCalledTimes(2);
+        expect(fetcher).toHaveBeenLastCalledWith('key', expect.any(AbortSignal));
+        expect(r.value).toBe(2);
+    });
+
+    it('notifies effects reading value, loading and error', async () => {
+        const id = signal(1);
+        const r = resource(id, async value => value);
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(r.loading, r.value, r.error);
+        });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(false, 1, undefined);
+    });
+
+    it('aborts the pending request when the owning scope is disposed', async () => {
+        /** @type {AbortSignal | undefined} */
+        let abortSignal;
+        const fetcher = vi.fn((_value, signal) => {
+            abortSignal = signal;
+            return new Promise(() => {});
+        });
+        const id = signal(1);
+
+        const inner = scope(() => {
+            resource(id, fetcher);
+        });
+        expect(abortSignal?.aborted).toBe(false);
+
+        inner();
+        expect(abortSignal?.aborted).toBe(true);
+
+        id.set(2);
+        await flushAll();
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops fetching after dispose', async () => {
+        /** @type {AbortSignal | undefined} */
+        let abortSignal;
+        const fetcher = vi.fn((_value, signal) => {
+            abortSignal = signal;
+            return new Promise(() => {});
+        });
+        const id = signal(1);
+
+        setActiveScope(undefined);
+        const user = resource(id, fetcher);
+        setActiveScope(testScope);
+
+        user.dispose();
+        expect(abortSignal?.aborted).toBe(true);
+
+        id.set(2);
+        user.refetch();
+        await flushAll();
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+});
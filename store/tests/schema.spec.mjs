@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+
+import { effect, flushEffects, schema, scope, setActiveScope, state } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+const userSchema = schema({
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, min: 1 },
+        age: { type: 'number', min: 0, max: 150 },
+        role: { enum: ['admin', 'user'] },
+        address: {
+            type: 'object',
+            properties: {
+                city: { type: 'string', required: true },
+            },
+        },
+        tags: { type: 'array', max: 3, items: { type: 'string' } },
+    },
+});
+
+describe('state schema', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('accepts valid writes', () => {
+        const user = state({ name: 'John', age: 30, role: 'user', address: { city: 'Paris' }, tags: [] }, { schema: userSchema });
+
+        user.name = 'Jane';
+        user.age = 31;
+        user.role = 'admin';
+        user.address.city = 'Rome';
+        user.tags.push('a', 'b');
+        user.extra = 'not described';
+
+        expect(user).toEqual({ name: 'Jane', age: 31, role: 'admin', address: { city: 'Rome' }, tags: ['a', 'b'], extra: 'not described' });
+    });
+
+    it('rejects writes of the wrong type', () => {
+        const user = state({ name: 'John', age: 30 }, { schema: userSchema });
+
+        expect(() => {
+            user.age = '31';
+        }).toThrow('[@slimlib/store] Invalid value for "age": expected number, got string');
+        expect(() => {
+            user.name = null;
+        }).toThrow('[@slimlib/store] Invalid value for "name": expected string, got null');
+        expect(() => {
+            user.address = [];
+        }).toThrow('[@slimlib/store] Invalid value for "address": expected object, got array');
+        expect(user.age).toBe(30);
+    });
+
+    it('does not notify dependents of rejected writes', async () => {
+        const user = state({ name: 'John', age: 30 }, { schema: userSchema });
+        const runs = [];
+
+        effect(() => {
+            runs.push(user.age);
+        });
+        await flushAll();
+
+        expect(() => {
+            user.age = 'old';
+        }).toThrow();
+        await flushAll();
+
+        expect(runs).toEqual([30]);
+    });
+
+    it('rejects missing required values', () => {
+        const user = state({ name: 'John' }, { schema: userSchema });
+
+        expect(() => {
+            user.name = undefined;
+        }).toThrow('[@slimlib/store] Invalid value for "name": value is required');
+        expect(() => {
+            delete user.name;
+        }).toThrow('[@slimlib/store] Invalid value for "name": value is required');
+        expect(user.name).toBe('John');
+    });
+
+    it('checks enum and min/max', () => {
+        const user = state({ name: 'John', age: 30, role: 'user' }, { schema: userSchema });
+
+        expect(() => {
+            user.role = 'guest';
+        }).toThrow('[@slimlib/store] Invalid value for "role": expected one of "admin", "user", got "guest"');
+        expect(() => {
+            user.age = -1;
+        }).toThrow('[@slimlib/store] Invalid value for "age": expected at least 0, got -1');
+        expect(() => {
+            user.age = 200;
+        }).toThrow('[@slimlib/store] Invalid value for "age": expected at most 150, got 200');
+        expect(() => {
+            user.name = '';
+        }).toThrow('[@slimlib/store] Invalid value for "name": expected a length of at least 1, got 0');
+    });
+
+    it('validates nested objects and whole written objects', () => {
+        const user = state({ name: 'John', address: { city: 'Paris' } }, { schema: userSchema });
+
+        expect(() => {
+            user.address.city = 1;
+        }).toThrow('[@slimlib/store] Invalid value for "address.city": expected string, got number');
+        expect(() => {
+            user.address = {};
+        }).toThrow('[@slimlib/store] Invalid value for "address.city": value is required');
+
+        user.address = { city: 'Rome' };
+        expect(user.address.city).toBe('Rome');
+    });
+
+    it('validates array items and length', () => {
+        const user = state({ name: 'John', tags: ['a'] }, { schema: userSchema });
+
+        expect(() => {
+            user.tags[1] = 2;
+        }).toThrow('[@slimlib/store] Invalid value for "tags.1": expected string, got number');
+        expect(() => user.tags.push('b', 3)).toThrow('[@slimlib/store] Invalid value for "tags.2": expected string, got number');
+        expect(() => user.tags.push('b', 'c', 'd')).toThrow(
+            '[@slimlib/store] Invalid value for "tags": expected a length of at most 3, got 4'
+        );
+        expect(() => {
+            user.tags.length = 5;
+        }).toThrow('[@slimlib/store] Invalid value for "tags": expected a length of at most 3, got 5');
+        expect(user.tags).toEqual(['a']);
+
+        user.tags.splice(0, 1, 'x', 'y');
+        expect(user.tags).toEqual(['x', 'y']);
+    });
+
+    it('validates the initial object', () => {
+        expect(() => state({ name: 'John', age: 'thirty' }, { schema: userSchema })).toThrow(
+            '[@slimlib/store] Invalid value for "age": expected number, got string'
+        );
+        expect(() => state({}, { schema: userSchema })).toThrow('[@slimlib/store] Invalid value for "name": value is required');
+        expect(() => state([], { schema: schema({ type: 'object' }) })).toThrow(
+            '[@slimlib/store] Invalid value for "state": expected object, got array'
+        );
+    });
+
+    it('keeps the definition', () => {
+        const definition = { type: 'object' };
+
+        expect(schema(definition).definition).toBe(definition);
+    });
+
+    it('does not coerce in DEV', () => {
+        const user = state({ name: 'John', age: 30 }, { schema: userSchema, coerce: true });
+
+        expect(() => {
+            user.age = '31';
+        }).toThrow('[@slimlib/store] Invalid value for "age": expected number, got string');
+    });
+});
@@ -1,6 +1,6 @@
 import { describe, expect, it, vi } from 'vitest';
 
-import { activeScope, effect, flushEffects, getParentScope, scope, setActiveScope, state } from '../src/index.js';
+import { activeScope, computed, effect, flushEffects, getParentScope, scope, setActiveScope, signal, state } from '../src/index.js';
 
 function flushPromises() {
     return new Promise(resolve => setTimeout(resolve));
@@ -24,7 +24,7 @@ describe('scope', () => {
             const callback = vi.fn();
             const ctx = scope(callback);
             expect(callback).toHaveBeenCalledTimes(1);
-            expect(callback).toHaveBeenCalledWith(expect.any(Function));
+            expect(callback).toHaveBeenCalledWith(expect.any(Function), expect.any(Function));
             ctx(); // cleanup
         });
 
@@ -823,4 +823,384 @@ describe('scope', () => {
             consoleError.mockRestore();
         });
     });
+
+    describe('onError', () => {
+        it('receives errors of deferred effect runs', async () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const handler = vi.fn();
+            const error = new Error('effect error');
+
+            const ctx = scope((_onDispose, onError) => {
+                onError(handler);
+                effect(() => {
+                    throw error;
+                });
+            });
+
+            await flushAll();
+
+            expect(handler).toHaveBeenCalledWith(error);
+            expect(consoleError).not.toHaveBeenCalled();
+
+            ctx();
+            consoleError.mockRestore();
+        });
+
+        it('keeps the effect running after a handled error', async () => {
+            const handler = vi.fn();
+            const store = state({ count: 0 });
+            const subscriber = vi.fn();
+
+            const ctx = scope((_onDispose, onError) => {
+                onError(handler);
+                effect(() => {
+                    if (store.count === 1) {
+                        throw new Error('odd');
+                    }
+                    subscriber(store.count);
+                });
+            });
+
+            await flushAll();
+            store.count = 1;
+            await flushAll();
+            expect(handler).toHaveBeenCalledTimes(1);
+
+            store.count = 2;
+            await flushAll();
+            expect(subscriber).toHaveBeenLastCalledWith(2);
+            expect(handler).toHaveBeenCalledTimes(1);
+
+            ctx();
+        });
+
+        it('does not run a cleanup again after a throwing run', async () => {
+            const cleanup = vi.fn();
+            const store = state({ count: 0 });
+
+            const ctx = scope((_onDispose, onError) => {
+                onError(() => {});
+                effect(() => {
+                    if (store.count === 1) {
+                        throw new Error('odd');
+                    }
+                    store.count;
+                    return cleanup;
+                });
+            });
+
+            await flushAll();
+            store.count = 1;
+            await flushAll();
+            store.count = 2;
+            await flushAll();
+
+            expect(cleanup).toHaveBeenCalledTimes(1);
+
+            ctx();
+            expect(cleanup).toHaveBeenCalledTimes(2);
+        });
+
+        it('routes errors to the nearest ancestor handler', async () => {
+            const outerHandler = vi.fn();
+            const innerHandler = vi.fn();
+            const error = new Error('effect error');
+
+            const outer = scope((_onDispose, onError) => {
+                onError(outerHandler);
+                scope((_onDispose, onError) => {
+                    onError(innerHandler);
+                    scope(() => {
+                        effect(() => {
+                            throw error;
+                        });
+                    });
+                });
+            });
+
+            await flushAll();
+
+            expect(innerHandler).toHaveBeenCalledWith(error);
+            expect(outerHandler).not.toHaveBeenCalled();
+
+            outer();
+        });
+
+        it('passes errors thrown by a handler to the parent handler', async () => {
+            const outerHandler = vi.fn();
+            const rethrown = new Error('rethrown');
+
+            const outer = scope((_onDispose, onError) => {
+                onError(outerHandler);
+                scope((_onDispose, onError) => {
+                    onError(() => {
+                        throw rethrown;
+                    });
+                    effect(() => {
+                        throw new Error('effect error');
+                    });
+                });
+            });
+
+            await flushAll();
+
+            expect(outerHandler).toHaveBeenCalledWith(rethrown);
+
+            outer();
+        });
+
+        it('logs errors thrown by the root handler', async () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const rethrown = new Error('rethrown');
+
+            const ctx = scope((_onDispose, onError) => {
+                onError(() => {
+                    throw rethrown;
+                });
+                effect(() => {
+                    throw new Error('effect error');
+                });
+            });
+
+            await flushAll();
+
+            expect(consoleError).toHaveBeenCalledWith(rethrown);
+
+            ctx();
+            consoleError.mockRestore();
+        });
+
+        it('receives errors of cleanups and child scopes during disposal', async () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const handler = vi.fn();
+            /** @type {string[]} */
+            const order = [];
+
+            const outer = scope((onDispose, onError) => {
+                onError(handler);
+                scope(onDispose => {
+                    onDispose(() => {
+                        order.push('child');
+                        throw new Error('child error');
+                    });
+                });
+                effect(() => () => {
+                    order.push('effect');
+                    throw new Error('effect error');
+                });
+                onDispose(() => {
+                    order.push('cleanup');
+                    throw new Error('cleanup error');
+                });
+            });
+
+            await flushAll();
+            outer();
+
+            expect(order).toEqual(['child', 'effect', 'cleanup']);
+            expect(handler.mock.calls.map(([error]) => error.message)).toEqual(['child error', 'effect error', 'cleanup error']);
+            expect(consoleError).not.toHaveBeenCalled();
+
+            consoleError.mockRestore();
+        });
+
+        it('routes errors of effects tracked with setActiveScope', async () => {
+            const handler = vi.fn();
+            const ctx = scope((_onDispose, onError) => {
+                onError(handler);
+            });
+
+            setActiveScope(ctx);
+            effect(() => {
+                throw new Error('effect error');
+            });
+            setActiveScope(undefined);
+
+            await flushAll();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+
+            ctx();
+        });
+
+        it('skips parents not created by scope()', async () => {
+            const { childrenSymbol } = await import('../src/symbols.js');
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const parent = /** @type {import('../src/index.js').Scope} */ (/** @type {unknown} */ ({ [childrenSymbol]: [] }));
+            const ctx = scope(undefined, parent);
+
+            setActiveScope(ctx);
+            effect(() => {
+                throw new Error('effect error');
+            });
+            setActiveScope(undefined);
+
+            await flushAll();
+
+            expect(consoleError).toHaveBeenCalledTimes(1);
+            expect(consoleError.mock.calls[0]?.[0].message).toBe('effect error');
+
+            ctx();
+            consoleError.mockRestore();
+        });
+
+        it('still throws the first run of an eager effect to the caller', () => {
+            const handler = vi.fn();
+            const error = new Error('eager error');
+
+            const ctx = scope((_onDispose, onError) => {
+                onError(handler);
+                expect(() =>
+                    effect(() => {
+                        throw error;
+                    }, 1)
+                ).toThrow(error);
+            });
+
+            expect(handler).not.toHaveBeenCalled();
+
+            ctx();
+        });
+
+        it('ignores handlers registered after disposal', async () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const handler = vi.fn();
+            /** @type {import('../src/index.js').OnErrorCallback} */
+            let register = () => {};
+
+            const ctx = scope((onDispose, onError) => {
+                register = onError;
+                onDispose(() => {
+                    throw new Error('cleanup error');
+                });
+            });
+
+            ctx();
+            register(handler);
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(consoleError).toHaveBeenCalledTimes(1);
+
+            consoleError.mockRestore();
+        });
+    });
+
+    describe('computed ownership', () => {
+        it('does not own computeds by default', () => {
+            const count = signal(1);
+            let doubled;
+            const inner = scope(() => {
+                doubled = computed(() => count() * 2);
+            });
+            inner();
+
+            count.set(2);
+            expect(doubled()).toBe(4);
+        });
+
+        it('detaches owned computeds from their sources on dispose', async () => {
+            const onUnobserved = vi.fn();
+            const count = signal(1, { onUnobserved });
+            const outer = scope();
+            let doubled;
+            const inner = scope(
+                () => {
+                    doubled = computed(() => count() * 2);
+                },
+                undefined,
+                { ownComputeds: true }
+            );
+            const runs = [];
+            outer(() => {
+                effect(() => {
+                    runs.push(doubled());
+                });
+            });
+            await flushAll();
+
+            inner();
+            expect(onUnobserved).toHaveBeenCalledTimes(1);
+
+            count.set(2);
+            await flushAll();
+            expect(runs).toEqual([2]);
+            outer();
+        });
+
+        it('keeps the last value and warns when a disposed computed is read', () => {
+            const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const count = signal(1);
+            const getter = vi.fn(() => count() * 2);
+            let doubled;
+            const inner = scope(
+                () => {
+                    doubled = computed(getter);
+                },
+                undefined,
+                { ownComputeds: true }
+            );
+            expect(doubled()).toBe(2);
+            expect(consoleWarn).not.toHaveBeenCalled();
+
+            inner();
+            count.set(2);
+
+            expect(doubled()).toBe(2);
+            expect(getter).toHaveBeenCalledTimes(1);
+            expect(consoleWarn).toHaveBeenCalledWith(
+                '[@slimlib/store] Reading a computed of a disposed scope. It no longer tracks its sources: a stale value is recomputed once, then kept.'
+            );
+            consoleWarn.mockRestore();
+        });
+
+        it('computes a stale computed once without tracking after dispose', () => {
+            const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const count = signal(1);
+            let doubled;
+            const inner = scope(
+                () => {
+                    doubled = computed(() => count() * 2);
+                },
+                undefined,
+                { ownComputeds: true }
+            );
+            inner();
+
+            expect(doubled()).toBe(2);
+            count.set(2);
+            expect(doubled()).toBe(2);
+            consoleWarn.mockRestore();
+        });
+
+        it('is inherited by child scopes unless they opt out', () => {
+            const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const count = signal(1);
+            let owned;
+            let notOwned;
+            const root = scope(
+                () => {
+                    scope(() => {
+                        owned = computed(() => count());
+                    });
+                    scope(
+                        () => {
+                            notOwned = computed(() => count());
+                        },
+                        undefined,
+                        { ownComputeds: false }
+                    );
+                },
+                undefined,
+                { ownComputeds: true }
+            );
+            owned();
+            notOwned();
+            root();
+
+            count.set(2);
+            expect(owned()).toBe(1);
+            expect(notOwned()).toBe(2);
+            consoleWarn.mockRestore();
+        });
+    });
 });
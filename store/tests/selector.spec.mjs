@@ -0,0 +1,200 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, selector, setActiveScope, signal, state } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('selector', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('returns whether a key is selected', () => {
+        const selectedId = signal(1);
+        const isSelected = selector(selectedId);
+
+        expect(isSelected(1)).toBe(true);
+        expect(isSelected(2)).toBe(false);
+
+        selectedId.set(2);
+        expect(isSelected(1)).toBe(false);
+        expect(isSelected(2)).toBe(true);
+    });
+
+    it('re-runs only the readers of the previous and new key', async () => {
+        const selectedId = signal(0);
+        const isSelected = selector(selectedId);
+        /** @type {import('vitest').Mock[]} */
+        const rows = [];
+        for (let i = 0; i < 100; ++i) {
+            const row = vi.fn();
+            rows.push(row);
+            effect(() => {
+                row(isSelected(i));
+            });
+        }
+        await flushAll();
+        for (const row of rows) {
+            row.mockClear();
+        }
+
+        selectedId.set(42);
+        await flushAll();
+
+        expect(rows[0]).toHaveBeenCalledExactlyOnceWith(false);
+        expect(rows[42]).toHaveBeenCalledExactlyOnceWith(true);
+        expect(rows.filter(row => row.mock.calls.length !== 0)).toHaveLength(2);
+    });
+
+    it('does not notify when the source value is unchanged', async () => {
+        const store = state({ selected: 'a', other: 0 });
+        const isSelected = selector(() => store.selected);
+        const row = vi.fn();
+        effect(() => {
+            row(isSelected('a'));
+        });
+        await flushAll();
+
+        store.other = 1;
+        store.selected = 'a';
+        await flushAll();
+
+        expect(row).toHaveBeenCalledTimes(1);
+    });
+
+    it('works with computed sources', async () => {
+        const items = signal(['a', 'b', 'c']);
+        const index = signal(0);
+        const isSelected = selector(computed(() => items()[index()]));
+        const row = vi.fn();
+        effect(() => {
+            row(isSelected('b'));
+        });
+        await flushAll();
+
+        index.set(1);
+        await flushAll();
+        expect(row).toHaveBeenLastCalledWith(true);
+
+        items.set(['x', 'y']);
+        await flushAll();
+        expect(row).toHaveBeenLastCalledWith(false);
+    });
+
+    it('notifies live computeds of their key', async () => {
+        const selectedId = signal(1);
+        const isSelected = selector(selectedId);
+        const className = computed(() => (isSelected(2) ? 'selected' : ''));
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(className());
+        });
+        await flushAll();
+
+        selectedId.set(2);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith('selected');
+
+        selectedId.set(3);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith('');
+    });
+
+    it('keeps non-live computeds up to date', () => {
+        const selectedId = signal(1);
+        const isSelected = selector(selectedId);
+        const second = computed(() => isSelected(2));
+
+        expect(second()).toBe(false);
+        selectedId.set(2);
+        expect(second()).toBe(true);
+        selectedId.set(3);
+        selectedId.set(2);
+        expect(second()).toBe(true);
+        selectedId.set(4);
+        expect(second()).toBe(false);
+    });
+
+    it('re-subscribes a key after its readers were disposed', async () => {
+        const selectedId = signal(1);
+        const isSelected = selector(selectedId);
+        const first = vi.fn();
+        const dispose = effect(() => {
+            first(isSelected(2));
+        });
+        await flushAll();
+        dispose();
+
+        const second = vi.fn();
+        effect(() => {
+            second(isSelected(2));
+        });
+        await flushAll();
+
+        selectedId.set(2);
+        await flushAll();
+
+        expect(first).toHaveBeenCalledTimes(1);
+        expect(second).toHaveBeenLastCalledWith(true);
+    });
+
+    it('stops following the source when its scope is disposed', () => {
+        const selectedId = signal(1);
+        /** @type {(key: number) => boolean} */
+        let isSelected = () => false;
+        const ctx = scope(() => {
+            isSelected = selector(selectedId);
+        });
+
+        ctx();
+        selectedId.set(2);
+
+        expect(isSelected(1)).toBe(true);
+    });
+
+    it('stops following the source when disposed', () => {
+        const selectedId = signal(1);
+        setActiveScope(undefined);
+        const isSelected = selector(selectedId);
+        setActiveScope(testScope);
+
+        isSelected.dispose();
+        selectedId.set(2);
+
+        expect(isSelected(1)).toBe(true);
+    });
+
+    it('compares keys with Object.is', async () => {
+        const selectedId = signal(Number.NaN);
+        const isSelected = selector(selectedId);
+        const runs = vi.fn();
+
+        effect(() => {
+            runs(isSelected(Number.NaN));
+        });
+        await flushAll();
+
+        selectedId.set(0);
+        await flushAll();
+        expect(isSelected(-0)).toBe(false);
+
+        expect(runs.mock.calls).toEqual([[true], [false]]);
+    });
+});
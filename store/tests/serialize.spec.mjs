@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { effect, flushEffects, hydrate, scope, serialize, setActiveScope, signal, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('serialize / hydrate', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('round-trips named signals and state roots', () => {
+        const payload = serialize({
+            count: signal(5),
+            user: state({ name: 'Jane', tags: ['admin'], address: { city: 'Oslo' } }),
+        });
+        expect(typeof payload).toBe('string');
+
+        const count = signal(0);
+        const user = state({ name: '', tags: /** @type {string[]} */ ([]), address: { city: '' } });
+        hydrate(payload, { count, user });
+
+        expect(count()).toBe(5);
+        expect(user).toEqual({ name: 'Jane', tags: ['admin'], address: { city: 'Oslo' } });
+    });
+
+    it('round-trips values JSON cannot represent', () => {
+        const date = new Date('2024-01-02T03:04:05.000Z');
+        const source = {
+            date,
+            invalidDate: new Date(Number.NaN),
+            map: new Map([[{ id: 1 }, new Set([1, 2])]]),
+            big: 12345678901234567890n,
+            pattern: /a+b/gi,
+            missing: undefined,
+            numbers: [Number.NaN, Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY, -0],
+        };
+        const value = signal(/** @type {unknown} */ (undefined));
+
+        hydrate(serialize({ value: signal(source) }), { value });
+
+        const result = /** @type {typeof source} */ (value());
+        expect(result.date).toBeInstanceOf(Date);
+        expect(result.date.getTime()).toBe(date.getTime());
+        expect(Number.isNaN(result.invalidDate.getTime())).toBe(true);
+        expect([...result.map]).toEqual([[{ id: 1 }, new Set([1, 2])]]);
+        expect(result.big).toBe(12345678901234567890n);
+        expect(result.pattern).toEqual(/a+b/gi);
+        expect('missing' in result).toBe(true);
+        expect(result.missing).toBeUndefined();
+        expect(result.numbers).toEqual([Number.NaN, Number.POSITIVE_INFINITY, Number.NEGATIVE_INFINITY, -0]);
+        expect(Object.is(result.numbers[3], -0)).toBe(true);
+    });
+
+    it('keeps shared and circular references', () => {
+        const shared = { id: 1 };
+        /** @type {Record<string, unknown>} */
+        const node = { name: 'root' };
+        node.self = node;
+        const source = state({ a: shared, b: shared, list: [shared], node });
+
+        const payload = serialize({ source, other: signal(shared) });
+        const target = state(/** @type {Record<string, any>} */ ({}));
+        const other = signal(/** @type {unknown} */ (undefined));
+        hydrate(payload, { source: target, other });
+
+        const raw = unwrapValue(target);
+        expect(raw.a).toBe(raw.b);
+        expect(raw.list[0]).toBe(raw.a);
+        expect(raw.node.self).toBe(raw.node);
+        expect(other()).toBe(raw.a);
+    });
+
+    it('replaces state properties and deletes missing ones', () => {
+        const payload = serialize({ settings: state({ theme: 'dark' }), list: state([1, 2]) });
+        const settings = state(/** @type {Record<string, string>} */ ({ theme: 'light', extra: 'x' }));
+        const list = state([1, 2, 3, 4]);
+
+        hydrate(payload, { settings, list });
+
+        expect(settings).toEqual({ theme: 'dark' });
+        expect(list).toEqual([1, 2]);
+    });
+
+    it('notifies dependents of hydrated values', async () => {
+        const count = signal(0);
+        const store = state({ name: 'John' });
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(count(), store.name);
+        });
+        await flushAll();
+
+        hydrate(serialize({ count: signal(1), store: state({ name: 'Jane' }) }), { count, store });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenLastCalledWith(1, 'Jane');
+    });
+
+    it('does not track reads', async () => {
+        const count = signal(0);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber();
+            serialize({ count });
+        });
+        await flushAll();
+
+        count.set(1);
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves roots missing from the payload untouched', () => {
+        const count = signal(3);
+
+        hydrate(serialize({ other: signal(1) }), { count });
+
+        expect(count()).toBe(3);
+    });
+
+    it('escapes the payload for inline scripts', () => {
+        const text = '</script><script>alert(1)</script>\u2028';
+        const payload = serialize({ text: signal(text) });
+        const restored = signal('');
+
+        expect(payload).not.toContain('<');
+        expect(payload).not.toContain('\u2028');
+        hydrate(payload, { text: restored });
+        expect(restored()).toBe(text);
+    });
+
+    it('does not pollute prototypes', () => {
+        const restored = signal(/** @type {Record<string, unknown>} */ ({}));
+
+        hydrate('{"roots":{"value":0},"values":[{"__proto__":1},{"polluted":2},true]}', { value: restored });
+
+        expect(Object.getPrototypeOf(restored())).toBe(Object.prototype);
+        expect(Object.hasOwn(restored(), '__proto__')).toBe(true);
+        expect(/** @type {Record<string, unknown>} */ ({}).polluted).toBeUndefined();
+    });
+
+    it('throws for values that cannot be serialized', () => {
+        expect(() => serialize({ value: signal(() => {}) })).toThrow('[@slimlib/store] Cannot serialize [object Function]');
+        expect(() => serialize({ value: signal(new (class Point {})()) })).toThrow('[@slimlib/store] Cannot serialize [object Object]');
+    });
+
+    it('throws for invalid payloads', () => {
+        expect(() => hydrate('{"roots":{"a":5},"values":[]}', { a: signal(0) })).toThrow('[@slimlib/store] Invalid serialized payload');
+        expect(() => hydrate('{"roots":{"a":0},"values":[["Symbol"]]}', { a: signal(0) })).toThrow(
+            '[@slimlib/store] Invalid serialized payload'
+        );
+        expect(() => hydrate(serialize({ a: signal(1) }), { a: state({}) })).toThrow(
+            '[@slimlib/store] Cannot hydrate state "a" with a non-object value'
+        );
+    });
+});
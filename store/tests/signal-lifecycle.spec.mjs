@@ -0,0 +1,224 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, setActiveScope, signal } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('signal lifecycle hooks', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('does not call hooks on untracked reads', () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+
+        expect(s()).toBe(1);
+        s.set(2);
+
+        expect(onObserved).not.toHaveBeenCalled();
+        expect(onUnobserved).not.toHaveBeenCalled();
+    });
+
+    it('calls onObserved when the first effect subscribes and onUnobserved when it is disposed', async () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+
+        const dispose = effect(() => {
+            s();
+        });
+        expect(onObserved).not.toHaveBeenCalled();
+
+        await flushAll();
+        expect(onObserved).toHaveBeenCalledTimes(1);
+        expect(onUnobserved).not.toHaveBeenCalled();
+
+        dispose();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+    });
+
+    it('calls hooks only for the first and the last of several consumers', async () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+
+        const dispose1 = effect(() => {
+            s();
+        });
+        const dispose2 = effect(() => {
+            s();
+        });
+        await flushAll();
+        expect(onObserved).toHaveBeenCalledTimes(1);
+
+        dispose1();
+        expect(onUnobserved).not.toHaveBeenCalled();
+
+        dispose2();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+        expect(onObserved).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not repeat hooks when the same effect reads the signal several times', async () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+        const other = signal(2);
+
+        const dispose = effect(() => {
+            s();
+            other();
+            s();
+        });
+        await flushAll();
+
+        s.set(3);
+        await flushAll();
+
+        expect(onObserved).toHaveBeenCalledTimes(1);
+        expect(onUnobserved).not.toHaveBeenCalled();
+
+        dispose();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+    });
+
+    it('calls onUnobserved when an effect stops reading the signal conditionally', async () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+        const flag = signal(true);
+
+        effect(() => {
+            if (flag()) {
+                s();
+            }
+        });
+        await flushAll();
+        expect(onObserved).toHaveBeenCalledTimes(1);
+
+        flag.set(false);
+        await flushAll();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+
+        flag.set(true);
+        await flushAll();
+        expect(onObserved).toHaveBeenCalledTimes(2);
+    });
+
+    it('calls hooks when a computed reading the signal becomes live and non-live', async () => {
+        const onObserved = vi.fn();
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onObserved, onUnobserved });
+        const doubled = computed(() => s() * 2);
+
+        // Non-live read does not observe
+        expect(doubled()).toBe(2);
+        expect(onObserved).not.toHaveBeenCalled();
+
+        const dispose = effect(() => {
+            doubled();
+        });
+        await flushAll();
+        expect(onObserved).toHaveBeenCalledTimes(1);
+
+        dispose();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets onObserved set the value synchronously', async () => {
+        const values = [];
+        /** @type {import('../src/index.js').Signal<number>} */
+        const s = signal(0, {
+            onObserved: () => {
+                s.set(42);
+            },
+        });
+
+        effect(() => {
+            values.push(s());
+        });
+        await flushAll();
+
+        expect(s()).toBe(42);
+        expect(values[values.length - 1]).toBe(42);
+    });
+
+    it('runs hooks untracked', async () => {
+        const other = signal(1);
+        const runs = vi.fn();
+        const s = signal(0, {
+            onObserved: () => {
+                other();
+            },
+        });
+
+        effect(() => {
+            runs();
+            s();
+        });
+        await flushAll();
+        expect(runs).toHaveBeenCalledTimes(1);
+
+        other.set(2);
+        await flushAll();
+        expect(runs).toHaveBeenCalledTimes(1);
+    });
+
+    it('supports start/stop of an external source', async () => {
+        /** @type {ReturnType<typeof setInterval> | undefined} */
+        let timer;
+        /** @type {import('../src/index.js').Signal<number>} */
+        const ticks = signal(0, {
+            onObserved: () => {
+                timer = setInterval(() => ticks.set(ticks() + 1), 1);
+            },
+            onUnobserved: () => {
+                clearInterval(timer);
+                timer = undefined;
+            },
+        });
+
+        const dispose = effect(() => {
+            ticks();
+        });
+        await flushAll();
+        expect(timer).toBeDefined();
+
+        dispose();
+        expect(timer).toBeUndefined();
+    });
+
+    it('calls onUnobserved when the owning scope is disposed', async () => {
+        const onUnobserved = vi.fn();
+        const s = signal(1, { onUnobserved });
+
+        const inner = scope(() => {
+            effect(() => {
+                s();
+            });
+        });
+        await flushAll();
+
+        inner();
+        expect(onUnobserved).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,313 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { effect, flushEffects, restore, scope, setActiveScope, snapshot, state, unwrapValue } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('snapshot', () => {
+    it('returns a deep plain copy', () => {
+        const store = state({ user: { name: 'John', tags: ['a', 'b'] }, count: 1 });
+        const snap = snapshot(store);
+
+        expect(snap).toEqual({ user: { name: 'John', tags: ['a', 'b'] }, count: 1 });
+        expect(snap).not.toBe(unwrapValue(store));
+        expect(snap.user).not.toBe(unwrapValue(store.user));
+        expect(Array.isArray(snap.user.tags)).toBe(true);
+    });
+
+    it('freezes the whole tree', () => {
+        const store = state({ user: { name: 'John', tags: ['a'] } });
+        const snap = snapshot(store);
+
+        expect(Object.isFrozen(snap)).toBe(true);
+        expect(Object.isFrozen(snap.user)).toBe(true);
+        expect(Object.isFrozen(snap.user.tags)).toBe(true);
+    });
+
+    it('is not affected by later writes', () => {
+        const store = state({ user: { name: 'John' }, items: [1] });
+        const snap = snapshot(store);
+
+        store.user.name = 'Jane';
+        store.items.push(2);
+
+        expect(snap).toEqual({ user: { name: 'John' }, items: [1] });
+    });
+
+    it('returns the same snapshot when nothing changed', () => {
+        const store = state({ user: { name: 'John' } });
+
+        expect(snapshot(store)).toBe(snapshot(store));
+    });
+
+    it('shares unchanged subtrees with the previous snapshot', () => {
+        const store = state({ a: { x: 1 }, b: { y: { z: 2 } }, c: [1, 2] });
+        const first = snapshot(store);
+
+        store.b.y.z = 3;
+        const second = snapshot(store);
+
+        expect(second).not.toBe(first);
+        expect(second.a).toBe(first.a);
+        expect(second.c).toBe(first.c);
+        expect(second.b).not.toBe(first.b);
+        expect(second.b.y).toEqual({ z: 3 });
+    });
+
+    it('notices mutations through array methods', () => {
+        const store = state({ items: [1, 2] });
+        const first = snapshot(store);
+
+        store.items.push(3);
+        const second = snapshot(store);
+
+        expect(second.items).toEqual([1, 2, 3]);
+        expect(first.items).toEqual([1, 2]);
+    });
+
+    it('notices deleted properties', () => {
+        const store = state(/** @type {{ a?: number, b: number }} */ ({ a: 1, b: 2 }));
+        snapshot(store);
+
+        delete store.a;
+
+        expect(snapshot(store)).toEqual({ b: 2 });
+    });
+
+    it('keeps non-plain objects by reference', () => {
+        const date = new Date();
+        const map = new Map();
+        const store = state({ date, map });
+        const snap = snapshot(store);
+
+        expect(snap.date).toBe(date);
+        expect(snap.map).toBe(map);
+    });
+
+    it('copies frozen subtrees', () => {
+        const store = state({ cfg: Object.freeze({ a: 1, nested: Object.freeze({ b: 2 }) }) });
+        const snap = snapshot(store);
+
+        expect(snap).toEqual({ cfg: { a: 1, nested: { b: 2 } } });
+        expect(snapshot(store)).toEqual(snap);
+
+        store.cfg = Object.freeze({ a: 2, nested: Object.freeze({ b: 3 }) });
+        expect(snapshot(store)).toEqual({ cfg: { a: 2, nested: { b: 3 } } });
+    });
+
+    it('preserves shared references', () => {
+        const shared = { x: 1 };
+        const store = state({ a: shared, b: shared });
+        const snap = snapshot(store);
+
+        expect(snap.a).toBe(snap.b);
+    });
+
+    it('does not track reads', async () => {
+        const testScope = scope();
+        const store = state({ count: 0 });
+        const subscriber = vi.fn();
+
+        testScope(() => {
+            effect(() => {
+                subscriber();
+                snapshot(store);
+            });
+        });
+        await flushAll();
+
+        store.count = 1;
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+        testScope();
+    });
+});
+
+describe('restore', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('restores a previous snapshot', () => {
+        const store = state({ user: { name: 'John', tags: ['a'] }, count: 1 });
+        const snap = snapshot(store);
+
+        store.user.name = 'Jane';
+        store.user.tags.push('b');
+        store.count = 2;
+
+        restore(store, snap);
+
+        expect(unwrapValue(store)).toEqual({ user: { name: 'John', tags: ['a'] }, count: 1 });
+    });
+
+    it('keeps the state writable after restore', () => {
+        const store = state({ user: { name: 'John' } });
+        const snap = snapshot(store);
+
+        store.user = { name: 'Jane' };
+        restore(store, snap);
+        store.user.name = 'Bob';
+
+        expect(store.user.name).toBe('Bob');
+        expect(Object.isFrozen(unwrapValue(store.user))).toBe(false);
+    });
+
+    it('notifies only affected property dependents', async () => {
+        const store = state({ a: { x: 1 }, b: { y: 1 } });
+        const snap = snapshot(store);
+        const aSubscriber = vi.fn();
+        const bSubscriber = vi.fn();
+
+        effect(() => {
+            aSubscriber(store.a.x);
+        });
+        effect(() => {
+            bSubscriber(store.b.y);
+        });
+        await flushAll();
+
+        store.a.x = 2;
+        await flushAll();
+        expect(aSubscriber).toHaveBeenCalledTimes(2);
+
+        restore(store, snap);
+        await flushAll();
+
+        expect(aSubscriber).toHaveBeenCalledTimes(3);
+        expect(aSubscriber).toHaveBeenLastCalledWith(1);
+        expect(bSubscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps nested object identity when descending', () => {
+        const store = state({ user: { name: 'John' } });
+        const user = unwrapValue(store.user);
+        const snap = snapshot(store);
+
+        store.user.name = 'Jane';
+        restore(store, snap);
+
+        expect(unwrapValue(store.user)).toBe(user);
+    });
+
+    it('removes properties missing from the snapshot and adds new ones', async () => {
+        const store = state(/** @type {Record<string, number>} */ ({ a: 1 }));
+        const snap = snapshot(store);
+        const subscriber = vi.fn();
+
+        store.b = 2;
+        delete store.a;
+
+        effect(() => {
+            subscriber(store.a, store.b);
+        });
+        await flushAll();
+
+        restore(store, snap);
+        await flushAll();
+
+        expect(unwrapValue(store)).toEqual({ a: 1 });
+        expect(subscriber).toHaveBeenLastCalledWith(1, undefined);
+    });
+
+    it('shrinks arrays and notifies length dependents', async () => {
+        const store = state({ items: [1, 2] });
+        const snap = snapshot(store);
+        const subscriber = vi.fn();
+
+        store.items.push(3, 4);
+        effect(() => {
+            subscriber(store.items.length);
+        });
+        await flushAll();
+
+        restore(store, snap);
+        await flushAll();
+
+        expect(store.items).toEqual([1, 2]);
+        expect(subscriber).toHaveBeenLastCalledWith(2);
+    });
+
+    it('grows arrays and notifies length dependents', async () => {
+        const store = state({ items: [1, 2, 3] });
+        const snap = snapshot(store);
+        const subscriber = vi.fn();
+
+        store.items.length = 1;
+        effect(() => {
+            subscriber(store.items.length);
+        });
+        await flushAll();
+
+        restore(store, snap);
+        await flushAll();
+
+        expect(store.items).toEqual([1, 2, 3]);
+        expect(subscriber).toHaveBeenLastCalledWith(3);
+    });
+
+    it('replaces values of a different kind', () => {
+        const store = state(/** @type {{ value: unknown }} */ ({ value: [1, 2] }));
+        const snap = snapshot(store);
+
+        store.value = { a: 1 };
+        restore(store, snap);
+
+        expect(Array.isArray(store.value)).toBe(true);
+        expect(store.value).toEqual([1, 2]);
+    });
+
+    it('shares the restored snapshot with the next snapshot', () => {
+        const store = state({ a: { x: 1 }, b: { y: 1 } });
+        const snap = snapshot(store);
+
+        store.a = { x: 2 };
+        restore(store, snap);
+
+        expect(snapshot(store).a).toBe(snap.a);
+        expect(snapshot(store)).toBe(snap);
+    });
+
+    it('does not share a restored snapshot after later writes', () => {
+        const store = state({ a: { x: 1 }, b: { y: 1 } });
+        const snap = snapshot(store);
+
+        store.a.x = 2;
+        restore(store, snap);
+        store.b.y = 2;
+
+        const next = snapshot(store);
+        expect(next).not.toBe(snap);
+        expect(next.a).toBe(snap.a);
+        expect(next.b).toEqual({ y: 2 });
+    });
+
+    it('accepts plain objects that are not snapshots', () => {
+        const store = state({ a: { x: 1 }, b: 1 });
+        const data = { a: { x: 2 }, b: 2 };
+
+        restore(store, data);
+        data.a.x = 3;
+
+        expect(store.a.x).toBe(2);
+        expect(store.b).toBe(2);
+    });
+});
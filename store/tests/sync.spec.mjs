@@ -0,0 +1,214 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, setActiveScope, state, sync } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+/**
+ * Wait until posted messages arrived on the other port
+ */
+function delivered() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+describe('sync', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+    /** @type {MessageChannel} */
+    let channel;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+        channel = new MessageChannel();
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+        channel.port1.close();
+        channel.port2.close();
+    });
+
+    /**
+     * Two synchronized replicas of the same initial state
+     * @template {object} T
+     * @param {() => T} initial
+     */
+    function replicas(initial) {
+        const a = state(initial());
+        const b = state(initial());
+        sync(a, channel.port1, { id: 'a' });
+        sync(b, channel.port2, { id: 'b' });
+        return [a, b];
+    }
+
+    it('streams property writes to the other side', async () => {
+        const [a, b] = replicas(() => ({ user: { name: 'John' }, count: 0 }));
+
+        a.user.name = 'Jane';
+        a.count = 1;
+        await delivered();
+
+        expect(b).toEqual({ user: { name: 'Jane' }, count: 1 });
+    });
+
+    it('streams new objects, deletes and array methods', async () => {
+        const [a, b] = replicas(() => ({ items: [1, 2, 3], extra: /** @type {object | undefined} */ (undefined) }));
+
+        a.items.push(4);
+        a.items.splice(0, 1);
+        a.extra = { nested: { deep: true } };
+        await delivered();
+        expect(b).toEqual({ items: [2, 3, 4], extra: { nested: { deep: true } } });
+
+        delete a.extra;
+        a.items.length = 1;
+        await delivered();
+        expect(b).toEqual({ items: [2] });
+    });
+
+    it('syncs in both directions without echoing remote changes', async () => {
+        const [a, b] = replicas(() => ({ count: 0, name: '' }));
+        const postA = vi.spyOn(channel.port1, 'postMessage');
+        const postB = vi.spyOn(channel.port2, 'postMessage');
+
+        a.count = 1;
+        b.name = 'b';
+        await delivered();
+
+        expect(a).toEqual({ count: 1, name: 'b' });
+        expect(b).toEqual({ count: 1, name: 'b' });
+        expect(postA).toHaveBeenCalledTimes(1);
+        expect(postB).toHaveBeenCalledTimes(1);
+    });
+
+    it('notifies dependents of remote changes', async () => {
+        const [a, b] = replicas(() => ({ count: 1 }));
+        const doubled = computed(() => b.count * 2);
+        const subscriber = vi.fn();
+        effect(() => {
+            subscriber(doubled());
+        });
+        await flushPromises();
+
+        a.count = 2;
+        await delivered();
+        flushEffects();
+
+        expect(subscriber).toHaveBeenLastCalledWith(4);
+    });
+
+    it('resolves concurrent writes with last-writer-wins', async () => {
+        const [a, b] = replicas(() => ({ value: 'initial' }));
+
+        a.value = 'from a';
+        b.value = 'from b';
+        await delivered();
+
+        // Same clock - the greater peer id wins on both sides
+        expect(a.value).toBe('from b');
+        expect(b.value).toBe('from b');
+
+        a.value = 'later from a';
+        await delivered();
+
+        expect(b.value).toBe('later from a');
+    });
+
+    it('drops remote writes below a newer local write of a parent', async () => {
+        const [a, b] = replicas(() => ({ user: { name: 'John' } }));
+
+        a.user.name = 'Jane';
+        b.user.name = 'Bob';
+        b.user = { name: 'Replaced' };
+        await delivered();
+
+        expect(a.user).toEqual({ name: 'Replaced' });
+        expect(b.user).toEqual({ name: 'Replaced' });
+    });
+
+    it('rejects Map and Set writes before changing the collection', () => {
+        const [a] = replicas(() => ({ map: new Map([['a', 1]]) }));
+
+        expect(() => a.map.set('a', 2)).toThrow('[@slimlib/store] sync does not support Map and Set writes');
+        expect(() => a.map.delete('a')).toThrow('[@slimlib/store] sync does not support Map and Set writes');
+        expect(a.map.get('a')).toBe(1);
+    });
+
+    it('ignores unrelated messages', async () => {
+        const [a] = replicas(() => ({ count: 0 }));
+
+        channel.port2.postMessage('hello');
+        channel.port2.postMessage({ type: 'other' });
+        await delivered();
+
+        expect(a).toEqual({ count: 0 });
+    });
+
+    it('stops syncing when disposed or the scope is disposed', async () => {
+        const a = state({ count: 0 });
+        const b = state({ count: 0 });
+        const dispose = sync(a, channel.port1);
+        const ctx = scope(() => {
+            sync(b, channel.port2);
+        });
+
+        a.count = 1;
+        await delivered();
+        expect(b.count).toBe(1);
+
+        ctx();
+        a.count = 2;
+        await delivered();
+        expect(b.count).toBe(1);
+
+        dispose();
+    });
+
+    it('keeps other listeners of the transport', async () => {
+        const a = state({ count: 0 });
+        const b = state({ count: 0 });
+        const onmessage = vi.fn();
+        const listener = vi.fn();
+        channel.port2.onmessage = onmessage;
+        channel.port2.addEventListener('message', listener);
+        sync(a, channel.port1);
+        const dispose = sync(b, channel.port2);
+
+        a.count = 1;
+        await delivered();
+        dispose();
+        a.count = 2;
+        await delivered();
+
+        expect(b.count).toBe(1);
+        expect(channel.port2.onmessage).toBe(onmessage);
+        expect(onmessage).toHaveBeenCalledTimes(2);
+        expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it('reports transport errors to the scope', () => {
+        const handler = vi.fn();
+        const error = new Error('could not be cloned');
+        const store = state({ count: 0 });
+        const transport = {
+            postMessage: () => {
+                throw error;
+            },
+            addEventListener: () => {},
+            removeEventListener: () => {},
+        };
+
+        const ctx = scope((_onDispose, onError) => {
+            onError(handler);
+            sync(store, transport);
+        });
+        store.count = 1;
+
+        expect(handler).toHaveBeenCalledWith(error);
+        ctx();
+    });
+});
@@ -0,0 +1,533 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, TC39Signal as Signal, scope, setActiveScope, signal } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('TC39Signal', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    describe('State and Computed', () => {
+        it('reads and writes state', () => {
+            const state = new Signal.State(1);
+            const doubled = new Signal.Computed(() => state.get() * 2);
+
+            expect(doubled.get()).toBe(2);
+            state.set(5);
+            expect(doubled.get()).toBe(10);
+        });
+
+        it('caches computed values', () => {
+            const state = new Signal.State(1);
+            const callback = vi.fn(() => state.get() + 1);
+            const plusOne = new Signal.Computed(callback);
+
+            plusOne.get();
+            plusOne.get();
+            expect(callback).toHaveBeenCalledTimes(1);
+
+            state.set(2);
+            expect(plusOne.get()).toBe(3);
+            expect(callback).toHaveBeenCalledTimes(2);
+        });
+
+        it('calls callbacks and equals with the signal as this', () => {
+            /** @type {unknown[]} */
+            const contexts = [];
+            const state = new Signal.State(1, {
+                equals(a, b) {
+                    contexts.push(this);
+                    return a === b;
+                },
+            });
+            const computedSignal = new Signal.Computed(function () {
+                contexts.push(this);
+                return state.get();
+            });
+
+            computedSignal.get();
+            state.set(2);
+
+            expect(contexts).toEqual([computedSignal, state]);
+        });
+
+        it('uses custom equality to stop propagation', () => {
+            const state = new Signal.State({ id: 1 }, { equals: (a, b) => a.id === b.id });
+            const callback = vi.fn(() => state.get());
+            const current = new Signal.Computed(callback);
+
+            const first = current.get();
+            state.set({ id: 1 });
+
+            expect(current.get()).toBe(first);
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('caches and rethrows errors', () => {
+            const fail = new Signal.State(true);
+            const callback = vi.fn(() => {
+                if (fail.get()) {
+                    throw new Error('failed');
+                }
+                return 1;
+            });
+            const result = new Signal.Computed(callback);
+
+            expect(() => result.get()).toThrow('failed');
+            expect(() => result.get()).toThrow('failed');
+            expect(callback).toHaveBeenCalledTimes(1);
+
+            fail.set(false);
+            expect(result.get()).toBe(1);
+        });
+
+        it('throws on cycles', () => {
+            /** @type {InstanceType<typeof Signal.Computed<number>>} */
+            const cyclic = new Signal.Computed(() => cyclic.get());
+
+            expect(() => cyclic.get()).toThrow();
+        });
+
+        it('interoperates with store primitives', async () => {
+            const count = signal(1);
+            const state = new Signal.State(10);
+            const sum = new Signal.Computed(() => count() + state.get());
+            const doubled = computed(() => sum.get() * 2);
+            const subscriber = vi.fn();
+            effect(() => {
+                subscriber(doubled());
+            });
+            await flushAll();
+
+            count.set(2);
+            await flushAll();
+            state.set(20);
+            await flushAll();
+
+            expect(subscriber.mock.calls.map(([value]) => value)).toEqual([22, 24, 44]);
+        });
+
+        it('identifies signal kinds', () => {
+            const state = new Signal.State(0);
+            const computedSignal = new Signal.Computed(() => 0);
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            expect(Signal.isState(state)).toBe(true);
+            expect(Signal.isState(computedSignal)).toBe(false);
+            expect(Signal.isComputed(computedSignal)).toBe(true);
+            expect(Signal.subtle.isWatcher(watcher)).toBe(true);
+            expect(Signal.subtle.isWatcher(state)).toBe(false);
+        });
+    });
+
+    describe('subtle', () => {
+        it('untracks reads', () => {
+            const state = new Signal.State(1);
+            const callback = vi.fn(() => Signal.subtle.untrack(() => state.get()));
+            const result = new Signal.Computed(callback);
+
+            result.get();
+            state.set(2);
+
+            expect(result.get()).toBe(1);
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('reports the current computed', () => {
+            /** @type {unknown} */
+            let current;
+            const result = new Signal.Computed(() => {
+                current = Signal.subtle.currentComputed();
+                return 1;
+            });
+
+            expect(Signal.subtle.currentComputed()).toBeUndefined();
+            result.get();
+            expect(current).toBe(result);
+        });
+
+        it('introspects sources and sinks', () => {
+            const a = new Signal.State(1);
+            const b = new Signal.State(2);
+            const sum = new Signal.Computed(() => a.get() + b.get());
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            expect(Signal.subtle.hasSources(sum)).toBe(false);
+            watcher.watch(sum);
+            expect(Signal.subtle.hasSources(sum)).toBe(false);
+            sum.get();
+
+            expect(Signal.subtle.introspectSources(sum)).toEqual([a, b]);
+            expect(Signal.subtle.introspectSources(watcher)).toEqual([sum]);
+            expect(Signal.subtle.introspectSinks(a)).toEqual([sum]);
+            expect(Signal.subtle.introspectSinks(sum)).toEqual([watcher]);
+            expect(Signal.subtle.hasSinks(a)).toBe(true);
+            expect(Signal.subtle.hasSources(watcher)).toBe(true);
+
+            watcher.unwatch(sum);
+            expect(Signal.subtle.hasSinks(a)).toBe(false);
+            expect(Signal.subtle.hasSinks(sum)).toBe(false);
+        });
+
+        it('calls watched and unwatched callbacks', () => {
+            const events = vi.fn();
+            const state = new Signal.State(1, {
+                [Signal.subtle.watched]() {
+                    events('state watched', this);
+                },
+                [Signal.subtle.unwatched]() {
+                    events('state unwatched', this);
+                },
+            });
+            const result = new Signal.Computed(() => state.get(), {
+                [Signal.subtle.watched]() {
+                    events('computed watched');
+                },
+                [Signal.subtle.unwatched]() {
+                    events('computed unwatched');
+                },
+            });
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            result.get();
+            expect(events).not.toHaveBeenCalled();
+
+            watcher.watch(result);
+            expect(events.mock.calls).toEqual([['computed watched'], ['state watched', state]]);
+
+            events.mockClear();
+            watcher.unwatch(result);
+            expect(events.mock.calls).toEqual([['computed unwatched'], ['state unwatched', state]]);
+        });
+    });
+
+    describe('Watcher', () => {
+        it('notifies synchronously once until re-armed', () => {
+            const state = new Signal.State(1);
+            const doubled = new Signal.Computed(() => state.get() * 2);
+            const notify = vi.fn();
+            const watcher = new Signal.subtle.Watcher(notify);
+            watcher.watch(doubled);
+            doubled.get();
+
+            state.set(2);
+            expect(notify).toHaveBeenCalledTimes(1);
+            expect(notify.mock.contexts[0]).toBe(watcher);
+
+            state.set(3);
+            expect(notify).toHaveBeenCalledTimes(1);
+
+            doubled.get();
+            watcher.watch();
+            state.set(4);
+            expect(notify).toHaveBeenCalledTimes(2);
+        });
+
+        it('does not evaluate computeds when notifying', () => {
+            const state = new Signal.State(1);
+            const callback = vi.fn(() => state.get());
+            const watcher = new Signal.subtle.Watcher(() => {});
+            watcher.watch(new Signal.Computed(callback));
+            callback.mockClear();
+
+            state.set(2);
+
+            expect(callback).not.toHaveBeenCalled();
+        });
+
+        it('returns pending computeds', () => {
+            const state = new Signal.State(1);
+            const doubled = new Signal.Computed(() => state.get() * 2);
+            const watcher = new Signal.subtle.Watcher(() => {});
+            watcher.watch(state, doubled);
+
+            expect(watcher.getPending()).toEqual([doubled]);
+            doubled.get();
+            expect(watcher.getPending()).toEqual([]);
+            state.set(2);
+            expect(watcher.getPending()).toEqual([doubled]);
+
+            doubled.get();
+            expect(watcher.getPending()).toEqual([]);
+        });
+
+        it('drives a microtask effect loop', async () => {
+            const state = new Signal.State(1);
+            /** @type {number[]} */
+            const values = [];
+            const watcher = new Signal.subtle.Watcher(() => {
+                queueMicrotask(() => {
+                    for (const pending of watcher.getPending()) {
+                        pending.get();
+                    }
+                    watcher.watch();
+                });
+            });
+            const logger = new Signal.Computed(() => {
+                values.push(state.get());
+            });
+            watcher.watch(logger);
+            logger.get();
+
+            state.set(2);
+            state.set(3);
+            await Promise.resolve();
+            state.set(4);
+            await Promise.resolve();
+
+            expect(values).toEqual([1, 3, 4]);
+        });
+
+        it('stops notifying after unwatch', () => {
+            const state = new Signal.State(1);
+            const notify = vi.fn();
+            const watcher = new Signal.subtle.Watcher(notify);
+            watcher.watch(state);
+            watcher.unwatch(state);
+
+            state.set(2);
+
+            expect(notify).not.toHaveBeenCalled();
+        });
+
+        it('throws for values that are not signals', () => {
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            // @ts-expect-error - testing invalid input
+            expect(() => watcher.watch({})).toThrow(TypeError);
+        });
+    });
+
+    // Adapted from the test suite of the proposal polyfill (signal-polyfill)
+    describe('proposal polyfill behavior', () => {
+        it('does not evaluate computeds when watched', () => {
+            const state = new Signal.State(1);
+            const callback = vi.fn(() => state.get());
+            const result = new Signal.Computed(callback);
+            const notify = vi.fn();
+            const watcher = new Signal.subtle.Watcher(notify);
+
+            watcher.watch(result);
+
+            expect(callback).not.toHaveBeenCalled();
+            expect(watcher.getPending()).toEqual([result]);
+            expect(Signal.subtle.introspectSources(watcher)).toEqual([result]);
+            expect(Signal.subtle.hasSinks(state)).toBe(false);
+
+            expect(result.get()).toBe(1);
+            expect(Signal.subtle.hasSinks(state)).toBe(true);
+            state.set(2);
+            expect(notify).toHaveBeenCalledTimes(1);
+        });
+
+        it('marks computeds read before a write as pending when watched', () => {
+            const state = new Signal.State(1);
+            const doubled = new Signal.Computed(() => state.get() * 2);
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            expect(doubled.get()).toBe(2);
+            state.set(2);
+            watcher.watch(doubled);
+
+            expect(watcher.getPending()).toEqual([doubled]);
+            expect(doubled.get()).toBe(4);
+            expect(watcher.getPending()).toEqual([]);
+        });
+
+        it('calls watched and unwatched only for the first and last watcher', () => {
+            const watchedSpy = vi.fn();
+            const unwatchedSpy = vi.fn();
+            const result = new Signal.Computed(() => 1, {
+                [Signal.subtle.watched]: watchedSpy,
+                [Signal.subtle.unwatched]: unwatchedSpy,
+            });
+            const first = new Signal.subtle.Watcher(() => {});
+            const second = new Signal.subtle.Watcher(() => {});
+
+            result.get();
+            expect(watchedSpy).not.toHaveBeenCalled();
+
+            first.watch(result);
+            second.watch(result);
+            expect(watchedSpy).toHaveBeenCalledTimes(1);
+
+            second.unwatch(result);
+            expect(unwatchedSpy).not.toHaveBeenCalled();
+            first.unwatch(result);
+            expect(unwatchedSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('ignores watching twice and unwatching signals that are not watched', () => {
+            const state = new Signal.State(1);
+            const other = new Signal.State(2);
+            const watcher = new Signal.subtle.Watcher(() => {});
+
+            watcher.watch(state, state);
+            watcher.watch(state);
+            watcher.unwatch(other);
+            expect(Signal.subtle.introspectSources(watcher)).toEqual([state]);
+            expect(Signal.subtle.introspectSinks(state)).toEqual([watcher]);
+
+            watcher.unwatch(state);
+            watcher.unwatch(state);
+            expect(Signal.subtle.hasSources(watcher)).toBe(false);
+            expect(Signal.subtle.hasSinks(state)).toBe(false);
+        });
+
+        it('keeps the order of watched signals when unwatching', () => {
+            const a = new Signal.State(1);
+            const b = new Signal.State(2);
+            const c = new Signal.State(3);
+            const notify = vi.fn();
+            const watcher = new Signal.subtle.Watcher(notify);
+
+            watcher.watch(a, b, c);
+            watcher.unwatch(b);
+
+            expect(Signal.subtle.introspectSources(watcher)).toEqual([a, c]);
+            b.set(3);
+            expect(notify).not.toHaveBeenCalled();
+            c.set(4);
+            expect(notify).toHaveBeenCalledTimes(1);
+        });
+
+        it('only recalculates until things are equal', () => {
+            const state = new Signal.State(0);
+            let n1 = 0;
+            const c1 = new Signal.Computed(() => {
+                n1++;
+                return state.get();
+            });
+            let n2 = 0;
+            const c2 = new Signal.Computed(() => {
+                n2++;
+                c1.get();
+                return 5;
+            });
+            let n3 = 0;
+            const c3 = new Signal.Computed(() => {
+                n3++;
+                return c2.get();
+            });
+
+            expect(c3.get()).toBe(5);
+            expect([n1, n2, n3]).toEqual([1, 1, 1]);
+
+            state.set(1);
+            expect([n1, n2, n3]).toEqual([1, 1, 1]);
+            expect(c3.get()).toBe(5);
+            expect([n1, n2, n3]).toEqual([2, 2, 1]);
+        });
+
+        it('tracks dynamic dependencies', () => {
+            const letters = new Signal.State('abc');
+            /** @type {Record<string, InstanceType<typeof Signal.State<string>>>} */
+            const children = { a: new Signal.State('a'), b: new Signal.State('b'), c: new Signal.State('c') };
+            const result = new Signal.Computed(() => {
+                let out = '';
+                for (const letter of letters.get()) {
+                    out += children[letter]?.get();
+                }
+                return out;
+            });
+
+            expect(result.get()).toBe('abc');
+            expect(Signal.subtle.introspectSources(result)).toEqual([letters, children.a, children.b, children.c]);
+
+            letters.set('ab');
+            expect(result.get()).toBe('ab');
+            expect(Signal.subtle.introspectSources(result)).toEqual([letters, children.a, children.b]);
+
+            letters.set('cb');
+            expect(result.get()).toBe('cb');
+            expect(Signal.subtle.introspectSources(result)).toEqual([letters, children.c, children.b]);
+        });
+
+        it('uses the Computed as this of its callback', () => {
+            const result = new Signal.Computed(function () {
+                return this;
+            });
+
+            expect(result.get()).toBe(result);
+        });
+
+        it('throws on writes inside a Computed', () => {
+            const state = new Signal.State(1);
+            const writer = new Signal.Computed(() => {
+                state.set(state.get() + 1);
+                return state.get();
+            });
+
+            expect(() => writer.get()).toThrow('[@slimlib/store] Cannot write signals inside a Computed');
+            expect(state.get()).toBe(1);
+        });
+
+        it('allows writes inside untrack in a Computed', () => {
+            const state = new Signal.State(1);
+            const writer = new Signal.Computed(() => {
+                Signal.subtle.untrack(() => state.set(2));
+                return 1;
+            });
+
+            expect(writer.get()).toBe(1);
+            expect(state.get()).toBe(2);
+        });
+
+        it('allows writes inside effects of the store', async () => {
+            const source = new Signal.State(1);
+            const target = new Signal.State(0);
+
+            effect(() => {
+                target.set(source.get() * 2);
+            });
+            await flushAll();
+
+            expect(target.get()).toBe(2);
+        });
+
+        it('throws on reads and writes during a Watcher callback', () => {
+            const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const state = new Signal.State(1);
+            const reader = new Signal.subtle.Watcher(() => {
+                state.get();
+            });
+            reader.watch(state);
+
+            state.set(2);
+            expect(consoleError).toHaveBeenLastCalledWith(new Error('[@slimlib/store] Cannot read signals during a Watcher callback'));
+            reader.unwatch(state);
+
+            const writer = new Signal.subtle.Watcher(() => {
+                state.set(4);
+            });
+            writer.watch(state);
+
+            state.set(3);
+            expect(consoleError).toHaveBeenLastCalledWith(new Error('[@slimlib/store] Cannot write signals during a Watcher callback'));
+            expect(state.get()).toBe(3);
+            writer.unwatch(state);
+
+            expect(() => state.set(5)).not.toThrow();
+            consoleError.mockRestore();
+        });
+    });
+});
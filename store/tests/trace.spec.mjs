@@ -0,0 +1,290 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+    computed,
+    debugConfig,
+    effect,
+    flushEffects,
+    inspect,
+    scope,
+    setActiveScope,
+    setTraceCallback,
+    signal,
+    state,
+    TRACE_RUNS,
+    unwrapValue,
+} from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('TRACE_RUNS', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+    /** @type {import('vitest').Mock<(trace: import('../src/index.js').RunTrace) => void>} */
+    let onTrace;
+
+    /**
+     * Traces of one node
+     * @param {object} target
+     */
+    function tracesOf(target) {
+        const id = inspect(target)?.id;
+        return onTrace.mock.calls.map(([trace]) => trace).filter(trace => trace.node.id === id);
+    }
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+        onTrace = vi.fn();
+        setTraceCallback(onTrace);
+        debugConfig(TRACE_RUNS);
+    });
+
+    afterEach(() => {
+        debugConfig(0);
+        setTraceCallback(undefined);
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('does not trace when the flag is disabled', async () => {
+        debugConfig(0);
+        const count = signal(0);
+        effect(() => {
+            count();
+        });
+        await flushAll();
+        count.set(1);
+        await flushAll();
+
+        expect(onTrace).not.toHaveBeenCalled();
+    });
+
+    it('reports the first run without causes', async () => {
+        const dispose = effect(() => {});
+        await flushAll();
+
+        const [trace] = tracesOf(dispose);
+        expect(trace?.node.kind).toBe('effect');
+        expect(trace?.causes).toEqual([]);
+    });
+
+    it('reports the written signal with previous and new values', async () => {
+        const count = signal(1);
+        const dispose = effect(() => {
+            count();
+        });
+        await flushAll();
+
+        count.set(2);
+        await flushAll();
+
+        const traces = tracesOf(dispose);
+        expect(traces).toHaveLength(2);
+        expect(traces[1]?.causes).toEqual([
+            {
+                source: expect.objectContaining({ kind: 'signal', target: count }),
+                property: undefined,
+                oldValue: 1,
+                newValue: 2,
+                path: [],
+            },
+        ]);
+    });
+
+    it('reports the written state property', async () => {
+        const store = state({ user: { name: 'John' } });
+        const dispose = effect(() => {
+            store.user.name;
+        });
+        await flushAll();
+
+        store.user.name = 'Jane';
+        await flushAll();
+
+        const [cause] = tracesOf(dispose)[1]?.causes ?? [];
+        expect(cause?.source?.kind).toBe('state');
+        expect(cause?.property).toBe('name');
+        expect(cause?.oldValue).toBe('John');
+        expect(cause?.newValue).toBe('Jane');
+    });
+
+    it('reports missing Map keys as undefined and copies of collections', async () => {
+        const store = state({ map: new Map([['a', 1]]), items: [1] });
+        const onKey = effect(() => {
+            store.map.get('a');
+        });
+        const onItems = effect(() => {
+            store.items.map(item => item);
+        });
+        await flushAll();
+
+        store.map.delete('a');
+        store.items.push(2);
+        await flushAll();
+        store.items.push(3);
+
+        const [keyCause] = tracesOf(onKey)[1]?.causes ?? [];
+        expect(keyCause?.oldValue).toBe(1);
+        expect(keyCause?.newValue).toBeUndefined();
+        const itemsCause = tracesOf(onItems)[1]?.causes.find(cause => cause.property === '[iterate]');
+        expect(itemsCause?.newValue).toEqual([1, 2]);
+        expect(itemsCause?.newValue).not.toBe(unwrapValue(store.items));
+    });
+
+    it('reports the computeds a change propagated through', async () => {
+        const count = signal(1);
+        const doubled = computed(() => count() * 2);
+        const quadrupled = computed(() => doubled() * 2);
+        const dispose = effect(() => {
+            quadrupled();
+        });
+        await flushAll();
+
+        count.set(2);
+        await flushAll();
+
+        const [cause] = tracesOf(dispose)[1]?.causes ?? [];
+        expect(cause?.source?.target).toBe(count);
+        expect(cause?.path.map(node => node.target)).toEqual([doubled, quadrupled]);
+        expect(cause?.oldValue).toBe(1);
+        expect(cause?.newValue).toBe(2);
+
+        const [doubledCause] = tracesOf(doubled)[1]?.causes ?? [];
+        expect(doubledCause?.path).toEqual([]);
+    });
+
+    it('reports every write of a batch', async () => {
+        const a = signal(0);
+        const b = signal(0);
+        const dispose = effect(() => {
+            a();
+            b();
+        });
+        await flushAll();
+
+        a.set(1);
+        b.set(1);
+        await flushAll();
+
+        const causes = tracesOf(dispose)[1]?.causes ?? [];
+        expect(causes.map(cause => cause.source?.target)).toEqual([a, b]);
+    });
+
+    it('drops causes of a run that was skipped', async () => {
+        const count = signal(1);
+        const parity = computed(() => count() % 2);
+        const dispose = effect(() => {
+            parity();
+        });
+        await flushAll();
+
+        count.set(3);
+        await flushAll();
+        expect(tracesOf(dispose)).toHaveLength(1);
+
+        count.set(4);
+        await flushAll();
+
+        const causes = tracesOf(dispose)[1]?.causes ?? [];
+        expect(causes).toHaveLength(1);
+        expect(causes[0]?.oldValue).toBe(3);
+        expect(causes[0]?.newValue).toBe(4);
+    });
+
+    it('reports values of each write', async () => {
+        const count = signal(0);
+        const dispose = effect(() => {
+            count();
+        });
+        await flushAll();
+
+        count.set(1);
+        count.set(2);
+        await flushAll();
+
+        const causes = tracesOf(dispose)[1]?.causes ?? [];
+        expect(causes.map(cause => [cause.oldValue, cause.newValue])).toEqual([
+            [0, 1],
+            [0, 2],
+        ]);
+    });
+
+    it('copies written objects without caching snapshots on them', async () => {
+        const frozen = signal(Object.freeze({ a: 1 }));
+        const plain = signal({ a: 1 });
+        const onFrozen = effect(() => {
+            frozen();
+        });
+        const onPlain = effect(() => {
+            plain();
+        });
+        await flushAll();
+
+        frozen.set(Object.freeze({ a: 2 }));
+        const value = { a: 2, b: 2 };
+        plain.set(value);
+        await flushAll();
+        delete value.b;
+        plain.set({});
+        plain.set(value);
+        await flushAll();
+
+        expect(tracesOf(onFrozen)[1]?.causes[0]?.newValue).toEqual({ a: 2 });
+        expect(frozen()).toEqual({ a: 2 });
+        expect(tracesOf(onPlain)[2]?.causes.map(cause => cause.newValue)).toEqual([{}, { a: 2 }]);
+    });
+
+    it('does not track values read for the trace', async () => {
+        const count = signal(0);
+        const outerRuns = vi.fn();
+        const inner = computed(() => count());
+
+        effect(() => {
+            outerRuns();
+        });
+        effect(() => {
+            inner();
+        });
+        await flushAll();
+
+        count.set(1);
+        await flushAll();
+
+        expect(outerRuns).toHaveBeenCalledTimes(1);
+    });
+
+    it('logs errors thrown by the callback', async () => {
+        const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const error = new Error('trace failed');
+        setTraceCallback(() => {
+            throw error;
+        });
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber();
+        });
+        await flushAll();
+
+        expect(subscriber).toHaveBeenCalledTimes(1);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(error);
+        consoleErrorSpy.mockRestore();
+    });
+
+    it('stops tracing when the callback is removed', async () => {
+        setTraceCallback(undefined);
+        effect(() => {});
+        await flushAll();
+
+        expect(onTrace).not.toHaveBeenCalled();
+    });
+});
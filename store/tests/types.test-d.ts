@@ -4,28 +4,84 @@ import { it } from 'vitest';
 
 import {
     activeScope,
+    applyPatches,
+    asyncEffect,
     type Computed,
     computed,
     debugConfig,
     type EffectCleanup,
+    type EffectConfig,
     EffectOptions,
+    EffectPriority,
+    EffectTiming,
+    type ErrorHandler,
     effect,
+    exportGraph,
     flushEffects,
+    fromObservable,
     getParentScope,
+    type History,
+    history,
+    hydrate,
+    type IdleScheduler,
+    INSPECT_GRAPH,
+    type InspectGraph,
+    type InspectInfo,
+    type InspectScopeInfo,
+    inspect,
+    linkedSignal,
+    memoryStorage,
+    type Observable,
+    type ObservableSignal,
     type OnDisposeCallback,
+    type OnErrorCallback,
+    observePatches,
+    type PatchOperation,
+    type PersistOptions,
+    type PersistStorage,
+    persist,
+    type ReadonlyState,
+    type Resource,
+    type RunTrace,
+    readonly,
+    resource,
+    restore,
+    type Schema,
     type Scope,
     type ScopeCallback,
     type ScopeFunction,
+    type ScopeOptions,
     type ScopeParent,
+    type Selector,
     type Signal,
+    type SignalOptions,
+    type Snapshot,
+    type StateOptions,
+    type StateSchema,
+    type SyncMessage,
+    type SyncTransport,
+    schema,
     scope,
+    selector,
+    serialize,
     setActiveScope,
+    setIdleScheduler,
     setScheduler,
+    setTraceCallback,
     signal,
+    snapshot,
     state,
+    sync,
+    TC39Signal,
+    type TC39SignalOptions,
+    TRACE_RUNS,
+    toAsyncIterable,
+    toObservable,
     untracked,
     unwrapValue,
     WARN_ON_WRITE_IN_COMPUTED,
+    type WritableComputed,
+    writableComputed,
 } from '@slimlib/store';
 
 it('signal type tests', () => {
@@ -76,6 +132,25 @@ it('signal type tests', () => {
 
     // @ts-expect-error - number not in union
     unionSignal.set(42);
+
+    // signal with lifecycle hooks
+    const observedSignal: Signal<number> = signal(0, { onObserved: () => {}, onUnobserved: () => {} });
+    const options: SignalOptions = { onObserved: () => {} };
+    signal('value', options);
+
+    // @ts-expect-error - hooks must be functions
+    signal(0, { onObserved: true });
+
+    // signal with equality option
+    signal({ x: 1 }, { equals: (a, b) => a.x === b.x });
+    signal('event', { equals: false });
+    const typedOptions: SignalOptions<number> = { equals: (a, b) => a === b };
+
+    // @ts-expect-error - equals cannot be true
+    signal(0, { equals: true });
+
+    // @ts-expect-error - equals arguments must match signal type
+    signal(0, { equals: (a: string, b: string) => a === b });
 });
 
 it('computed tests', () => {
@@ -152,9 +227,26 @@ it('EffectOptions type tests', () => {
     // effect returns dispose function with EAGER option set.
     const eagerDispose: () => void = effect(() => {}, EffectOptions.EAGER);
 
-    // @ts-expect-error - EffectOptions only accepts 0 or 1, not arbitrary numbers
+    // effect accepts an options object with flags, priority, timing and wait
+    effect(() => {}, { flags: EffectOptions.EAGER, timing: EffectTiming.DEBOUNCE, priority: EffectPriority.NORMAL, wait: 100 });
+    effect(() => {}, { timing: EffectTiming.THROTTLE, wait: 100 });
+    effect(() => {}, { timing: EffectTiming.ONCE });
+    effect(() => {}, {});
+    const config: EffectConfig = { timing: EffectTiming.ONCE };
+    const onceLit: 1 = EffectTiming.ONCE;
+
+    // @ts-expect-error - wait must be a number
+    effect(() => {}, { timing: EffectTiming.DEBOUNCE, wait: '100' });
+
+    // @ts-expect-error - only DEFERRED and EAGER are accepted as flags
     effect(() => {}, 2);
 
+    // @ts-expect-error - flags only accepts EffectOptions
+    effect(() => {}, { flags: 3 });
+
+    // @ts-expect-error - timing only accepts EffectTiming
+    effect(() => {}, { timing: 4 });
+
     // @ts-expect-error - EffectOptions does not accept string
     effect(() => {}, 'eager');
 
@@ -162,6 +254,30 @@ it('EffectOptions type tests', () => {
     effect(() => {}, true);
 });
 
+it('EffectPriority type tests', () => {
+    const idle: EffectPriority = EffectPriority.IDLE;
+    const syncLit: 0 = EffectPriority.SYNC;
+
+    // effect accepts EffectPriority as priority of the options object.
+    effect(() => {}, { priority: EffectPriority.USER_BLOCKING });
+    effect(() => {}, { flags: EffectOptions.EAGER, priority: 3 });
+
+    // @ts-expect-error - EffectPriority only accepts 0 to 3
+    effect(() => {}, { priority: 4 });
+
+    // @ts-expect-error - priority is not a positional argument
+    effect(() => {}, EffectOptions.DEFERRED, EffectPriority.IDLE);
+
+    const idleScheduler: IdleScheduler = callback => {
+        setTimeout(() => callback({ timeRemaining: () => 5 }));
+    };
+    setIdleScheduler(idleScheduler);
+    setIdleScheduler(callback => requestIdleCallback(callback));
+
+    // @ts-expect-error - deadline must provide timeRemaining
+    setIdleScheduler(callback => callback({}));
+});
+
 it('state tests', () => {
     // state wraps object
     const myState = state({ count: 0, name: 'test' });
@@ -204,6 +320,18 @@ it('scope tests', () => {
         });
     });
 
+    // scope with error handler
+    const handler: ErrorHandler = (error: unknown) => {};
+    scope((_onDispose, onError: OnErrorCallback) => {
+        onError(handler);
+        onError(error => {
+            throw error;
+        });
+
+        // @ts-expect-error - handler must be a function
+        onError('invalid');
+    });
+
     // scope with parent
     const childScope = scope(undefined, myScope);
     const _parentScope: ScopeParent | undefined = getParentScope(childScope);
@@ -223,6 +351,13 @@ it('scope tests', () => {
     // @ts-expect-error - scope parent does not accept null
     scope(undefined, null);
 
+    // scope owning its computeds
+    const options: ScopeOptions = { ownComputeds: true };
+    const owningScope = scope(undefined, myScope, options);
+
+    // @ts-expect-error - ownComputeds must be a boolean
+    scope(undefined, undefined, { ownComputeds: 'yes' });
+
     // calling scope disposes it
     myScope();
 
@@ -243,6 +378,7 @@ it('scope tests', () => {
 it('debugConfig tests', () => {
     // debugConfig accepts number flags
     debugConfig(WARN_ON_WRITE_IN_COMPUTED);
+    debugConfig(WARN_ON_WRITE_IN_COMPUTED | INSPECT_GRAPH);
     debugConfig(0);
 
     // WARN_ON_WRITE_IN_COMPUTED is a number
@@ -320,3 +456,359 @@ it('complex type scenarios', () => {
     // @ts-expect-error - NumSignalValue is number, not string
     const _wrongTypeCheck: NumSignalValue = 'string';
 });
+
+it('writableComputed type tests', () => {
+    const count = signal(1);
+    const doubled = writableComputed(
+        () => count() * 2,
+        value => count.set(value / 2)
+    );
+    const doubledValue: number = doubled();
+    doubled.set(4);
+
+    // @ts-expect-error - cannot set string to number writable computed
+    doubled.set('4');
+
+    // WritableComputed is assignable to Computed and Signal
+    const asComputed: Computed<number> = doubled;
+    const asSignal: Signal<number> = doubled;
+    const typed: WritableComputed<number> = doubled;
+
+    // with custom equality
+    const obj = writableComputed(
+        () => ({ id: count() }),
+        value => count.set(value.id),
+        (a, b) => a.id === b.id
+    );
+    obj.set({ id: 2 });
+});
+
+it('resource type tests', () => {
+    const id = signal(1);
+
+    // without initial value, value may be undefined
+    const user = resource(id, async (value: number, abortSignal: AbortSignal) => ({ id: value, aborted: abortSignal.aborted }));
+    const userValue: { id: number; aborted: boolean } | undefined = user.value;
+    const loading: boolean = user.loading;
+    const error: unknown = user.error;
+    user.refetch();
+    user.dispose();
+
+    // @ts-expect-error - value may be undefined
+    const definedUser: { id: number } = user.value;
+
+    // with initial value, value is always defined
+    const list = resource(id, async () => [1, 2, 3], [] as number[]);
+    const listValue: number[] = list.value;
+    const typed: Resource<number[]> = list;
+
+    // @ts-expect-error - value is readonly
+    list.value = [];
+});
+
+it('state options type tests', () => {
+    const store = state({ tags: ['a'], price: 1 }, { equals: (a, b) => a === b, comparators: { tags: () => true } });
+    const price: number = store.price;
+    const options: StateOptions = { comparators: { [Symbol.iterator]: Object.is } };
+    state({}, options);
+
+    // @ts-expect-error - comparators must be functions
+    state({ a: 1 }, { comparators: { a: true } });
+});
+
+it('state schema type tests', () => {
+    const definition: StateSchema = {
+        type: 'object',
+        properties: {
+            age: { type: 'number', min: 0, required: true },
+            role: { enum: ['admin', 'user'] },
+            tags: { type: 'array', max: 3, items: { type: 'string' } },
+        },
+    };
+    const checks: Schema = schema(definition);
+    const same: StateSchema = checks.definition;
+    state({ age: 1, tags: [] }, { schema: checks, coerce: true });
+
+    // @ts-expect-error - unknown type
+    schema({ type: 'date' });
+
+    // @ts-expect-error - schema option takes the result of schema()
+    state({}, { schema: definition });
+});
+
+it('snapshot type tests', () => {
+    const store = state({ user: { name: 'John' }, tags: ['a'] });
+    const snap = snapshot(store);
+    const name: string = snap.user.name;
+    const tag: string | undefined = snap.tags[0];
+    const typed: Snapshot<{ user: { name: string }; tags: string[] }> = snap;
+
+    // @ts-expect-error - snapshots are readonly
+    snap.user.name = 'Jane';
+
+    // @ts-expect-error - snapshot arrays are readonly
+    snap.tags.push('b');
+
+    restore(store, snap);
+    restore(store, { user: { name: 'Jane' }, tags: [] });
+
+    // @ts-expect-error - snapshot must match the state shape
+    restore(store, { user: { name: 1 }, tags: [] });
+});
+
+it('history type tests', () => {
+    const store = state({ count: 0 });
+    const h: History = history(store, { limit: 10 });
+    const canUndo: boolean = h.canUndo;
+    const canRedo: boolean = h.canRedo;
+    h.undo();
+    h.redo();
+    h.commit();
+    h.clear();
+    h.dispose();
+
+    // @ts-expect-error - canUndo is readonly
+    h.canUndo = true;
+
+    // @ts-expect-error - limit must be a number
+    history(store, { limit: '10' });
+});
+
+it('patches type tests', () => {
+    const store = state({ count: 0 });
+    const unsubscribe: () => void = observePatches(store, (operation: PatchOperation) => {
+        const path: string = operation.path;
+        if (operation.op !== 'remove') {
+            const value: unknown = operation.value;
+        }
+    });
+    unsubscribe();
+
+    applyPatches(store, [
+        { op: 'add', path: '/a', value: 1 },
+        { op: 'replace', path: '/count', value: 1 },
+        { op: 'remove', path: '/a' },
+    ]);
+
+    // @ts-expect-error - remove has no value
+    const removeValue = ({ op: 'remove', path: '/a' } as PatchOperation & { op: 'remove' }).value;
+
+    // @ts-expect-error - unsupported operation
+    applyPatches(store, [{ op: 'move', path: '/a' }]);
+});
+
+it('inspect type tests', () => {
+    const count = signal(0);
+    const info: InspectInfo | undefined = inspect(count);
+    const kind: 'signal' | 'computed' | 'effect' | 'state' | undefined = info?.kind;
+    const sources: number[] | undefined = info?.sources.map(node => node.id);
+    const runs: number | undefined = info?.runs;
+
+    const ctx = scope();
+    const scopeInfo: InspectScopeInfo | undefined = inspect(ctx);
+    const children: InspectScopeInfo[] | undefined = scopeInfo?.children;
+
+    const graph: InspectGraph = exportGraph();
+    const json: InspectGraph = exportGraph('json');
+    const dot: string = exportGraph('dot');
+
+    // @ts-expect-error - unsupported format
+    exportGraph('svg');
+
+    // @ts-expect-error - DOT export is a string
+    const wrong: InspectGraph = exportGraph('dot');
+});
+
+it('trace type tests', () => {
+    debugConfig(TRACE_RUNS);
+
+    setTraceCallback((trace: RunTrace) => {
+        const kind: 'signal' | 'computed' | 'effect' | 'state' = trace.node.kind;
+        for (const cause of trace.causes) {
+            const property: string | undefined = cause.property;
+            const sourceId: number | undefined = cause.source?.id;
+            const path: number[] = cause.path.map(node => node.id);
+            const oldValue: unknown = cause.oldValue;
+        }
+    });
+    setTraceCallback(undefined);
+
+    // @ts-expect-error - callback must be a function
+    setTraceCallback('invalid');
+});
+
+it('asyncEffect type tests', () => {
+    const dispose: () => void = asyncEffect(async abortSignal => {
+        const aborted: boolean = abortSignal.aborted;
+    });
+
+    asyncEffect(async () => () => {}, { flags: EffectOptions.EAGER, priority: EffectPriority.IDLE });
+
+    // @ts-expect-error - callback must return a promise
+    asyncEffect(() => {});
+
+    // @ts-expect-error - cleanup must be a function
+    asyncEffect(async () => 42);
+});
+
+it('persist type tests', () => {
+    const storage: PersistStorage = memoryStorage();
+    const count = signal(0);
+    const dispose: () => void = persist(count, { key: 'count', storage, wait: 50 });
+
+    const store = state({ user: { name: 'John' } });
+    const options: PersistOptions<{ user: { name: string } }> = {
+        key: 'store',
+        version: 2,
+        migrate: (value, version: number) => ({ user: { name: String(version) } }),
+    };
+    persist(store, options);
+    persist(count, { key: 'count', serialize: ({ version, value }) => `${version}:${value}` });
+
+    // @ts-expect-error - key is required
+    persist(count, { storage });
+
+    // @ts-expect-error - migrate must return the signal value type
+    persist(count, { key: 'count', migrate: () => 'zero' });
+});
+
+it('sync type tests', () => {
+    const store = state({ count: 0 });
+    const dispose: () => void = sync(store, new BroadcastChannel('store'), { id: 'tab' });
+    sync(store, new MessageChannel().port1);
+
+    const transport: SyncTransport = {
+        postMessage: (message: SyncMessage) => {
+            const path: string[] = message.path;
+            const clock: number = message.clock;
+        },
+        addEventListener: (type: 'message', listener: (event: MessageEvent) => void) => {},
+        removeEventListener: (type: 'message', listener: (event: MessageEvent) => void) => {},
+    };
+    sync(store, transport);
+    sync(store, new Worker('worker.js'));
+
+    // @ts-expect-error - transport must have addEventListener and removeEventListener
+    sync(store, { postMessage: () => {} });
+
+    // @ts-expect-error - id must be a string
+    sync(store, transport, { id: 1 });
+});
+
+it('serialize type tests', () => {
+    const count = signal(0);
+    const store = state({ items: [new Date()] });
+    const payload: string = serialize({ count, store });
+    hydrate(payload, { count, store });
+
+    // @ts-expect-error - roots must be signals or state objects
+    serialize({ count: 1 });
+
+    // @ts-expect-error - payload must be a string
+    hydrate({}, { count });
+});
+
+it('linkedSignal type tests', () => {
+    const selected = signal({ id: 1, name: 'John' });
+    const draft: Signal<{ id: number; name: string }> = linkedSignal(selected);
+    const name: Signal<string> = linkedSignal(selected, (row, previous: string | undefined) => row.name);
+    linkedSignal(
+        () => 1,
+        undefined,
+        (a, b) => a === b
+    );
+    name.set('Jane');
+
+    // @ts-expect-error - value must match the computed type
+    name.set(1);
+
+    // @ts-expect-error - compute receives the source value
+    linkedSignal(selected, (row: number) => row);
+});
+
+it('selector type tests', () => {
+    const selectedId = signal(1);
+    const isSelected: Selector<number> = selector(selectedId);
+    const selected: boolean = isSelected(2);
+    isSelected.dispose();
+
+    // @ts-expect-error - key must match the source type
+    isSelected('2');
+});
+
+it('readonly type tests', () => {
+    const store = state({ user: { name: 'John' }, tags: ['a'] });
+    const view: ReadonlyState<{ user: { name: string }; tags: string[] }> = readonly(store);
+    const name: string = view.user.name;
+    const tag: string | undefined = view.tags[0];
+
+    // @ts-expect-error - properties are readonly
+    view.user.name = 'Jane';
+    // @ts-expect-error - arrays are readonly
+    view.tags.push('b');
+
+    const collections = readonly(state({ map: new Map([['a', { x: 1 }]]), set: new Set([1]) }));
+    const x: number | undefined = collections.map.get('a')?.x;
+    const has: boolean = collections.set.has(1);
+    // @ts-expect-error - Map entries are readonly
+    collections.map.get('a')!.x = 2;
+    // @ts-expect-error - Maps are readonly
+    collections.map.set('b', { x: 2 });
+    // @ts-expect-error - Sets are readonly
+    collections.set.add(2);
+
+    const count = signal(1);
+    const read: () => number = readonly(count);
+    // @ts-expect-error - readonly signals have no set
+    readonly(count).set(2);
+});
+
+it('TC39Signal type tests', () => {
+    const options: TC39SignalOptions<number> = { equals: (a, b) => a === b };
+    const state = new TC39Signal.State(1);
+    new TC39Signal.State<number>(1, options).set(2);
+    const doubled = new TC39Signal.Computed(() => state.get() * 2);
+    const value: number = doubled.get();
+    state.set(2);
+
+    const watcher = new TC39Signal.subtle.Watcher(() => {});
+    watcher.watch(state, doubled);
+    const pending: { get(): unknown }[] = watcher.getPending();
+    const isState: boolean = TC39Signal.isState(state);
+    const untracked: number = TC39Signal.subtle.untrack(() => state.get());
+
+    new TC39Signal.State(1, {
+        [TC39Signal.subtle.watched]() {},
+    });
+
+    // @ts-expect-error - value must match the state type
+    state.set('2');
+
+    // @ts-expect-error - computed is not writable
+    doubled.set(1);
+});
+
+it('observable type tests', async () => {
+    const count = signal(1);
+    const observable: Observable<number> = toObservable(count);
+    const subscription = observable.subscribe({ next: (value: number) => {}, error: (error: unknown) => {} });
+    subscription.unsubscribe();
+    observable.subscribe(value => {
+        const n: number = value;
+    });
+
+    const mirror: ObservableSignal<number> = fromObservable(observable, 0);
+    const read: () => number = mirror;
+    mirror.dispose();
+    fromObservable({ subscribe: () => () => {} }, 'initial');
+
+    for await (const value of toAsyncIterable(count)) {
+        const n: number = value;
+    }
+
+    // @ts-expect-error - initial value must match the observable type
+    fromObservable(observable, 'zero');
+
+    // @ts-expect-error - fromObservable returns a read-only signal
+    mirror.set(1);
+});
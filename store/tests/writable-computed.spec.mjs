@@ -0,0 +1,177 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { computed, effect, flushEffects, scope, setActiveScope, signal, state, writableComputed } from '../src/index.js';
+
+function flushPromises() {
+    return new Promise(resolve => setTimeout(resolve));
+}
+
+async function flushAll() {
+    await Promise.resolve();
+    flushEffects();
+    await flushPromises();
+}
+
+describe('writableComputed', () => {
+    /** @type {ReturnType<typeof scope>} */
+    let testScope;
+
+    beforeEach(() => {
+        testScope = scope();
+        setActiveScope(testScope);
+    });
+
+    afterEach(() => {
+        testScope();
+        setActiveScope(undefined);
+    });
+
+    it('reads like a computed', () => {
+        const count = signal(2);
+        const doubled = writableComputed(
+            () => count() * 2,
+            value => count.set(value / 2)
+        );
+
+        expect(doubled()).toBe(4);
+        count.set(3);
+        expect(doubled()).toBe(6);
+    });
+
+    it('writes through the setter', () => {
+        const count = signal(2);
+        const doubled = writableComputed(
+            () => count() * 2,
+            value => count.set(value / 2)
+        );
+
+        doubled.set(10);
+        expect(count()).toBe(5);
+        expect(doubled()).toBe(10);
+    });
+
+    it('keeps a celsius/fahrenheit pair in sync', async () => {
+        const celsius = signal(0);
+        const fahrenheit = writableComputed(
+            () => (celsius() * 9) / 5 + 32,
+            value => celsius.set(((value - 32) * 5) / 9)
+        );
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(celsius(), fahrenheit());
+        });
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(0, 32);
+
+        fahrenheit.set(212);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(100, 212);
+        expect(subscriber).toHaveBeenCalledTimes(2);
+
+        celsius.set(-40);
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith(-40, -40);
+        expect(subscriber).toHaveBeenCalledTimes(3);
+    });
+
+    it('maps onto a nested state path', async () => {
+        const store = state({ user: { profile: { name: 'John' } } });
+        const name = writableComputed(
+            () => store.user.profile.name,
+            value => {
+                store.user.profile.name = value;
+            }
+        );
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(name());
+        });
+        await flushAll();
+
+        name.set('Jane');
+        await flushAll();
+
+        expect(store.user.profile.name).toBe('Jane');
+        expect(subscriber).toHaveBeenLastCalledWith('Jane');
+        expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('participates in equality cutoff', async () => {
+        const value = signal(1);
+        const parity = writableComputed(
+            () => value() % 2,
+            next => value.set(next)
+        );
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(parity());
+        });
+        await flushAll();
+
+        value.set(3);
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('uses custom equality function', async () => {
+        const source = signal({ id: 1, label: 'a' });
+        const item = writableComputed(
+            () => ({ ...source() }),
+            next => source.set(next),
+            (a, b) => a.id === b.id
+        );
+        const subscriber = vi.fn();
+
+        effect(() => {
+            subscriber(item().label);
+        });
+        await flushAll();
+
+        item.set({ id: 1, label: 'b' });
+        await flushAll();
+        expect(subscriber).toHaveBeenCalledTimes(1);
+
+        item.set({ id: 2, label: 'c' });
+        await flushAll();
+        expect(subscriber).toHaveBeenLastCalledWith('c');
+    });
+
+    it('can be used as a source of other computeds', () => {
+        const count = signal(1);
+        const doubled = writableComputed(
+            () => count() * 2,
+            value => count.set(value / 2)
+        );
+        const quadrupled = computed(() => doubled() * 2);
+
+        expect(quadrupled()).toBe(4);
+        doubled.set(8);
+        expect(quadrupled()).toBe(16);
+    });
+
+    it('does not track reads inside the setter', async () => {
+        const count = signal(1);
+        const other = signal(0);
+        const runs = vi.fn();
+        const writable = writableComputed(
+            () => count(),
+            value => {
+                count.set(value + other());
+            }
+        );
+
+        effect(() => {
+            runs();
+            writable.set(5);
+        });
+        await flushAll();
+        expect(runs).toHaveBeenCalledTimes(1);
+
+        other.set(1);
+        await flushAll();
+        expect(runs).toHaveBeenCalledTimes(1);
+    });
+});